@@ -0,0 +1,474 @@
+#!/usr/bin/env node
+// --- TreeGenius CLI ---
+// 从磁盘目录生成与网页端完全一致的目录树，可用于 CI 中更新 / 校验 README 里的项目结构。
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { createSnapshot, diffTrees, parseSnapshot } from '../src/lib/diff.js';
+import { applyMarkerOptions, blockRequirements, findTreeBlocks, injectTrees } from '../src/lib/markdown.js';
+import { parseTextTree } from '../src/lib/parse.js';
+import { missingCommentPaths, normalizeComment } from '../src/lib/comments.js';
+import { LINE_COUNT_LIMIT } from '../src/lib/content.js';
+import { GIT_STATUSES, mergeGitRepos } from '../src/lib/git.js';
+import { parseLimitSpec, sanitizePathLimits } from '../src/lib/limits.js';
+import { SCAFFOLD_FORMATS, exportScaffold } from '../src/lib/scaffold.js';
+import { EXPORT_FORMATS } from '../src/lib/formats.js';
+import { ICON_SETS } from '../src/lib/icons.js';
+import { SORT_KEYS } from '../src/lib/sort.js';
+import { parseSize } from '../src/lib/size.js';
+import { parseStyles } from '../src/lib/styles.js';
+import { validateTemplates } from '../src/lib/template.js';
+import { DEFAULT_CONFIG, DEFAULT_IGNORES, TREE_STYLES, buildTree, formatSize, generateTree, renderTree } from '../src/lib/tree.js';
+import { combineRoots, uniqueAlias, validateAlias } from '../src/lib/workspace.js';
+import { readGitRepo } from '../src/node/git.js';
+import { walkDirectory } from '../src/node/walk.js';
+
+const STYLES = [...Object.keys(TREE_STYLES), ...Object.keys(EXPORT_FORMATS)];
+
+const HELP = `Usage: tree-genius [path] [options]
+       tree-genius [alias=]<path> [alias=]<path> ... [options]   多个目录组合为一棵树 (多根工作区)
+       tree-genius --from <file> [options]
+
+Options:
+  -s, --style <name>        输出风格: ${STYLES.join(', ')} (默认 ${DEFAULT_CONFIG.style})
+      --style-file <file>   载入网页端导出的自定义风格 (JSON)，之后可以用 --style 选择
+  -d, --max-depth <n>       最大深度 (默认 ${DEFAULT_CONFIG.maxDepth})
+      --max-children <n>    每个目录最多显示的条目数，其余汇总为 "… N more files (size)" 一行
+      --path-limit <spec>   按路径覆盖深度 / 条目数，可重复，如 "assets=children:20"、"vendor=depth:1"、"=children:50" (根目录)
+      --compact-dirs        将只含一个子目录的目录链合并为一行 (src/main/java/)
+  -i, --ignore <pattern>    追加排除规则，可重复；支持名称、glob (/dist/ 锚定根目录) 与 re:正则
+      --no-default-ignores  不使用默认排除名单 (${DEFAULT_IGNORES.join(', ')})
+      --include <pattern>   仅包含匹配的文件，可重复
+      --gitignore           应用目录中的 .gitignore
+      --git                 读取 .git/index，标注 modified / untracked / ignored 的文件 (不需要 git 命令)
+      --tracked-only        只显示已被 Git 跟踪的文件 (包含 --git)
+      --no-git-modified     Git 模式下不按大小与修改时间检测 modified
+      --no-files            只显示目录
+      --no-empty-dirs       不显示空目录
+      --prune-empty         删除因排除规则而变空的目录
+      --sizes               显示文件大小 (目录显示汇总大小与文件数)
+      --sort <key>          排序: ${SORT_KEYS.join(', ')} (默认 ${DEFAULT_CONFIG.sortBy})
+  -r, --reverse             降序排列
+      --no-dirs-first       目录与文件混合排序
+      --trailing-slash      目录名后追加 /
+      --links               markdown 风格中为文件生成相对链接
+      --icons <set>         图标: ${ICON_SETS.join(', ')}；任意文本风格均可使用 (emoji 风格默认 emoji)
+      --icon-map <file>     JSON 文件中的自定义图标规则，优先于默认映射表
+      --date                文件后注释修改日期
+      --lines               文件后注释行数 (读取文本文件内容)
+      --language            文件后注释语言
+      --analyze             内容分析：统计行数 (目录显示总行数)、按语言汇总，并标记内容重复的文件
+      --content-limit <size> 内容分析时跳过大于此大小的文件，如 512K、10M (默认 ${formatSize(DEFAULT_CONFIG.contentSizeLimit)})
+      --comments <file>     在名称后对齐显示 JSON 文件中的注释 ({ "相对路径": "说明" })
+      --template <text>     逐行模板，如 "{prefix}{icon}{name}{slash} {size|pad:40} {mtime:YYYY-MM-DD}"
+      --header <text>       头部模板，可用 {root} {dirs} {files} {totalSize} {totalBytes} {lines} {date}，\\n 表示换行
+      --footer <text>       尾部模板，变量同 --header
+      --stats               在 stderr 输出统计信息
+      --root-name <name>    根节点名称 (默认取目录名；多个目录时默认为 workspace)
+      --separate-roots      多个目录时依次输出为独立的树 (仅文本风格)，而不是放在合成根节点之下
+      --from <file>         从文本目录树 (各风格输出或 tree 命令输出) 读取结构，- 表示 stdin
+      --save-snapshot <file> 保存快照 (JSON)，供之后对比
+      --scaffold <format>   输出重建目录结构的脚手架: ${Object.keys(SCAFFOLD_FORMATS).join(', ')} (zip 需要 --output)
+      --compare <snapshot>  与快照对比，行首以 + - ~ > 标记新增 / 删除 / 修改 / 移动
+  -o, --output <file>       写入文件而不是 stdout
+      --inject <file>       更新 Markdown 文件中 <!-- tree-genius:start --> / <!-- tree-genius:end --> 之间的内容
+      --check               与 --output / --inject 的文件比较，不一致时以非零状态退出
+  -h, --help                显示帮助
+`;
+
+const fail = (message) => {
+    process.stderr.write(`tree-genius: ${message}\n`);
+    process.exit(2);
+};
+
+// --stats 中的数量：1 file / 2 files
+const count = (n, one, many) => `${n.toLocaleString('en-US')} ${n === 1 ? one : many}`;
+
+const readStdin = async () => {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+const parseCli = (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                style: { type: 'string', short: 's' },
+                'style-file': { type: 'string' },
+                'max-depth': { type: 'string', short: 'd' },
+                'max-children': { type: 'string' },
+                'path-limit': { type: 'string', multiple: true },
+                'compact-dirs': { type: 'boolean' },
+                ignore: { type: 'string', short: 'i', multiple: true },
+                'no-default-ignores': { type: 'boolean' },
+                include: { type: 'string', multiple: true },
+                gitignore: { type: 'boolean' },
+                git: { type: 'boolean' },
+                'tracked-only': { type: 'boolean' },
+                'no-git-modified': { type: 'boolean' },
+                'no-files': { type: 'boolean' },
+                'no-empty-dirs': { type: 'boolean' },
+                'prune-empty': { type: 'boolean' },
+                sizes: { type: 'boolean' },
+                sort: { type: 'string' },
+                reverse: { type: 'boolean', short: 'r' },
+                'no-dirs-first': { type: 'boolean' },
+                'trailing-slash': { type: 'boolean' },
+                links: { type: 'boolean' },
+                icons: { type: 'string' },
+                'icon-map': { type: 'string' },
+                date: { type: 'boolean' },
+                lines: { type: 'boolean' },
+                language: { type: 'boolean' },
+                analyze: { type: 'boolean' },
+                'content-limit': { type: 'string' },
+                comments: { type: 'string' },
+                template: { type: 'string' },
+                header: { type: 'string' },
+                footer: { type: 'string' },
+                stats: { type: 'boolean' },
+                'root-name': { type: 'string' },
+                'separate-roots': { type: 'boolean' },
+                from: { type: 'string' },
+                'save-snapshot': { type: 'string' },
+                scaffold: { type: 'string' },
+                compare: { type: 'string' },
+                output: { type: 'string', short: 'o' },
+                inject: { type: 'string' },
+                check: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (err) {
+        fail(err.message);
+    }
+    return parsed;
+};
+
+const main = async () => {
+    const { values, positionals } = parseCli(process.argv.slice(2));
+
+    if (values.help) {
+        process.stdout.write(HELP);
+        return;
+    }
+    if (values.from && positionals.length > 0) fail('--from 与目录参数不能同时使用');
+    if (values.from && (values.git || values['tracked-only'])) fail('--git / --tracked-only 不能与 --from 同时使用');
+
+    let customStyles = {};
+    if (values['style-file']) {
+        try {
+            customStyles = parseStyles(await readFile(values['style-file'], 'utf8'));
+        } catch (err) {
+            fail(`无法载入风格文件 ${values['style-file']}: ${err.message}`);
+        }
+    }
+
+    const style = values.style || DEFAULT_CONFIG.style;
+    const styles = [...STYLES, ...Object.keys(customStyles)];
+    if (!styles.includes(style)) fail(`未知的风格 "${style}"，可选: ${styles.join(', ')}`);
+
+    let maxDepth = DEFAULT_CONFIG.maxDepth;
+    if (values['max-depth'] !== undefined) {
+        maxDepth = Number(values['max-depth']);
+        if (!Number.isInteger(maxDepth) || maxDepth < 1) fail('--max-depth 必须是正整数');
+    }
+
+    let maxChildren = DEFAULT_CONFIG.maxChildren;
+    if (values['max-children'] !== undefined) {
+        maxChildren = Number(values['max-children']);
+        if (!Number.isInteger(maxChildren) || maxChildren < 1) fail('--max-children 必须是正整数');
+    }
+
+    let contentSizeLimit = DEFAULT_CONFIG.contentSizeLimit;
+    if (values['content-limit'] !== undefined) {
+        contentSizeLimit = parseSize(values['content-limit']);
+        if (!contentSizeLimit) fail('--content-limit 必须是正的大小，如 512K、10M');
+    }
+
+    const pathLimits = {};
+    (values['path-limit'] || []).forEach(spec => {
+        const index = spec.lastIndexOf('=');
+        if (index < 0) fail(`无效的 --path-limit "${spec}"，格式为 <路径>=depth:<n>,children:<n>`);
+        try {
+            pathLimits[spec.slice(0, index)] = parseLimitSpec(spec.slice(index + 1));
+        } catch (err) {
+            fail(`--path-limit "${spec}": ${err.message}`);
+        }
+    });
+
+    const sortBy = values.sort || DEFAULT_CONFIG.sortBy;
+    if (!SORT_KEYS.includes(sortBy)) fail(`未知的排序 "${sortBy}"，可选: ${SORT_KEYS.join(', ')}`);
+
+    if (values.icons !== undefined && !ICON_SETS.includes(values.icons)) {
+        fail(`未知的图标集 "${values.icons}"，可选: ${ICON_SETS.join(', ')}`);
+    }
+
+    let iconMap = DEFAULT_CONFIG.iconMap;
+    if (values['icon-map']) {
+        try {
+            iconMap = JSON.parse(await readFile(values['icon-map'], 'utf8'));
+        } catch (err) {
+            fail(`无法读取图标规则 ${values['icon-map']}: ${err.message}`);
+        }
+        if (!Array.isArray(iconMap) || iconMap.some(rule => !rule || typeof rule.match !== 'string')) {
+            fail('图标规则必须是 { match, emoji?, nerd?, language? } 的数组');
+        }
+    }
+
+    let comments = {};
+    if (values.comments) {
+        try {
+            comments = JSON.parse(await readFile(values.comments, 'utf8'));
+        } catch (err) {
+            fail(`无法读取注释文件 ${values.comments}: ${err.message}`);
+        }
+        if (!comments || typeof comments !== 'object' || Array.isArray(comments)
+            || Object.values(comments).some(text => typeof text !== 'string')) {
+            fail('注释文件必须是 { "相对路径": "说明" } 形式的对象');
+        }
+        comments = Object.fromEntries(Object.entries(comments).map(([path, text]) => [path, normalizeComment(text)]));
+    }
+
+    // 头部 / 尾部模板中的 \n 表示换行，便于在命令行中书写多行
+    const templates = {
+        lineTemplate: values.template || '',
+        headerTemplate: (values.header || '').replace(/\\n/g, '\n'),
+        footerTemplate: (values.footer || '').replace(/\\n/g, '\n')
+    };
+    const TEMPLATE_OPTIONS = { lineTemplate: '--template', headerTemplate: '--header', footerTemplate: '--footer' };
+    Object.entries(validateTemplates(templates)).forEach(([key, message]) => fail(`${TEMPLATE_OPTIONS[key]}: ${message}`));
+
+    if (values.output && values.inject) fail('--output 与 --inject 不能同时使用');
+    if (values.check && !values.output && !values.inject) fail('--check 需要配合 --output 或 --inject 使用');
+    if (values.compare && values.inject) fail('--compare 与 --inject 不能同时使用');
+    if (values.scaffold !== undefined) {
+        if (!SCAFFOLD_FORMATS[values.scaffold]) fail(`未知的脚手架格式 "${values.scaffold}"，可选: ${Object.keys(SCAFFOLD_FORMATS).join(', ')}`);
+        if (values.inject || values.compare || values.check) fail('--scaffold 不能与 --inject / --compare / --check 同时使用');
+        if (values.scaffold === 'zip' && !values.output) fail('--scaffold zip 需要配合 --output 使用');
+    }
+
+    const config = {
+        ...DEFAULT_CONFIG,
+        style,
+        customStyles,
+        maxDepth,
+        maxChildren,
+        pathLimits: sanitizePathLimits(pathLimits),
+        compactDirs: !!values['compact-dirs'],
+        ignores: [...(values['no-default-ignores'] ? [] : DEFAULT_IGNORES), ...(values.ignore || [])],
+        includes: values.include || [],
+        showFiles: !values['no-files'],
+        showSizes: !!values.sizes,
+        trailingSlash: !!values['trailing-slash'],
+        linkFiles: !!values.links,
+        sortBy,
+        sortOrder: values.reverse ? 'desc' : 'asc',
+        dirsFirst: !values['no-dirs-first'],
+        iconSet: values.icons || DEFAULT_CONFIG.iconSet,
+        showIcons: values.icons !== undefined && values.icons !== 'none',
+        iconMap,
+        annotateDate: !!values.date,
+        annotateLines: !!values.lines,
+        annotateLanguage: !!values.language,
+        analyzeContent: !!values.analyze,
+        contentSizeLimit,
+        comments,
+        ...templates,
+        useGitignore: !!values.gitignore,
+        gitStatus: !!values.git || !!values['tracked-only'],
+        gitCheckModified: !values['no-git-modified'],
+        gitTrackedOnly: !!values['tracked-only'],
+        showEmptyDirs: !values['no-empty-dirs'],
+        pruneEmptyDirs: !!values['prune-empty']
+    };
+
+    // 目录参数：[别名=]路径；多个目录时以别名 (默认取目录名) 作为合成根节点下的一级目录
+    const rootDirs = [];
+    (positionals.length > 0 ? positionals : ['.']).forEach(spec => {
+        const match = spec.match(/^([^=/\\]+)=(.+)$/);
+        const dir = resolve(match ? match[2] : spec);
+        const taken = rootDirs.map(root => root.alias);
+        const alias = match ? match[1] : uniqueAlias(basename(dir), taken);
+        const error = validateAlias(alias, taken);
+        if (error) fail(`目录参数 "${spec}": ${error}`);
+        rootDirs.push({ alias, dir });
+    });
+    const isWorkspace = rootDirs.length > 1;
+    let rootName = values['root-name'] || (isWorkspace ? 'workspace' : rootDirs[0].alias);
+
+    const target = values.output || values.inject;
+    let committed = null;
+    if (values.check || values.inject) {
+        try {
+            committed = await readFile(target, 'utf8');
+        } catch (err) {
+            // --check 时文件不存在视为过期
+            if (values.inject) fail(`无法读取 ${target}: ${err.message}`);
+        }
+    }
+
+    // 注入模式下标记可以单独开启行数、内容分析、gitignore 与 Git 模式，先扫描标记决定需要读取的内容
+    let needs = { lines: false, hashes: false, gitignores: false, git: false };
+    if (values.inject) {
+        let blocks;
+        try {
+            blocks = findTreeBlocks(committed, { customStyles });
+        } catch (err) {
+            fail(`${target}: ${err.message}`);
+        }
+        if (blocks.length === 0) fail(`${target} 中没有 tree-genius 标记`);
+        needs = blockRequirements(blocks, config);
+    }
+
+    let walked;
+    if (values.from) {
+        let parsed;
+        try {
+            const source = values.from === '-' ? await readStdin() : await readFile(values.from, 'utf8');
+            parsed = parseTextTree(source, { iconMap, dirsFirst: config.dirsFirst, sortBy, sortOrder: config.sortOrder });
+        } catch (err) {
+            fail(`无法解析 ${values.from}: ${err.message}`);
+        }
+        walked = { entries: parsed.entries, gitignores: [], git: null };
+        rootName = values['root-name'] || parsed.rootName;
+        // 文本树中的注释保留下来，--comments 中的同名路径优先
+        config.comments = { ...parsed.comments, ...comments };
+    } else {
+        const roots = [];
+        for (const { alias, dir } of rootDirs) {
+            let root;
+            try {
+                root = await walkDirectory(dir, {
+                    ignores: config.ignores,
+                    readGitignores: config.useGitignore || config.gitStatus || needs.gitignores,
+                    countLines: config.annotateLines || config.analyzeContent || needs.lines,
+                    hashFiles: config.analyzeContent || needs.hashes,
+                    contentLimit: config.analyzeContent || needs.hashes ? config.contentSizeLimit : LINE_COUNT_LIMIT
+                });
+            } catch (err) {
+                fail(`无法读取目录 ${dir}: ${err.message}`);
+            }
+            if (config.gitStatus || needs.git) {
+                try {
+                    root.git = await readGitRepo(dir);
+                } catch (err) {
+                    fail(err.message);
+                }
+            }
+            roots.push({ alias, dir, ...root });
+        }
+
+        const workspace = combineRoots(roots.map(root => ({ alias: root.alias, items: root.entries })));
+        config.workspaceRoots = workspace.workspaceRoots;
+        config.workspaceLayout = values['separate-roots'] ? 'separate' : 'root';
+        walked = {
+            entries: workspace.items,
+            // 多个目录时 .gitignore 与仓库路径加上别名前缀
+            gitignores: roots.flatMap(root => (isWorkspace
+                ? root.gitignores.map(item => ({ ...item, dir: item.dir ? `${root.alias}/${item.dir}` : root.alias }))
+                : root.gitignores)),
+            git: isWorkspace ? mergeGitRepos(roots.map(root => ({ base: root.alias, repo: root.git || null }))) : roots[0].git || null
+        };
+        if (!walked.git && config.gitStatus) {
+            process.stderr.write(`tree-genius: ${rootDirs.map(root => root.dir).join(', ')} 中没有 .git/index，已忽略 --git\n`);
+        }
+    }
+
+    const { tree, statistics, ...result } = await generateTree(walked.entries, config, rootName, { gitignores: walked.gitignores, git: walked.git });
+    let { output } = result;
+
+    const missing = missingCommentPaths(tree, config.comments);
+    if (missing.length > 0) process.stderr.write(`tree-genius: 注释的路径不存在: ${missing.join(', ')}\n`);
+
+    if (values['save-snapshot']) {
+        await writeFile(values['save-snapshot'], JSON.stringify(createSnapshot(tree, rootName)));
+    }
+
+    if (values.scaffold) {
+        const { content, scaffold } = exportScaffold(tree, config, rootName, values.scaffold);
+        if (scaffold.skipped.length > 0) {
+            process.stderr.write(`tree-genius: 已跳过名称不安全的路径: ${scaffold.skipped.join(', ')}\n`);
+        }
+        if (values.output) await writeFile(values.output, content);
+        else process.stdout.write(content);
+        return;
+    }
+
+    let changes = null;
+    if (values.compare) {
+        let base;
+        try {
+            base = parseSnapshot(await readFile(values.compare, 'utf8'));
+        } catch (err) {
+            fail(`无法读取快照 ${values.compare}: ${err.message}`);
+        }
+        const { tree: baseTree } = await buildTree(base.entries, config);
+        const diff = diffTrees(baseTree, tree);
+        changes = diff.changes;
+        output = await renderTree(diff.tree, config, rootName, { statistics, changes });
+    }
+
+    let text = output.endsWith('\n') ? output : `${output}\n`;
+
+    if (values.stats) {
+        process.stderr.write(`${count(statistics.dirs, 'directory', 'directories')}, ${count(statistics.files, 'file', 'files')}, ${formatSize(statistics.totalSize)}\n`);
+        if (changes) {
+            process.stderr.write(`+${changes.added} added, -${changes.removed} removed, ~${changes.modified} modified, >${changes.moved} moved\n`);
+        }
+        if (statistics.languages) {
+            process.stderr.write(`${count(statistics.lines, 'line', 'lines')}\n`);
+            statistics.languages.forEach(item => {
+                process.stderr.write(`  ${item.language}: ${count(item.files, 'file', 'files')}, ${count(item.lines, 'line', 'lines')}, ${formatSize(item.size)}\n`);
+            });
+            const { groups, files, wastedSize } = statistics.duplicates;
+            if (groups > 0) process.stderr.write(`${files} duplicate files in ${groups} groups, ${formatSize(wastedSize)} wasted\n`);
+        }
+        if (statistics.roots) {
+            statistics.roots.forEach(item => {
+                process.stderr.write(`  ${item.name}: ${count(item.dirs, 'directory', 'directories')}, ${count(item.files, 'file', 'files')}, ${formatSize(item.totalSize)}\n`);
+            });
+        }
+        if (statistics.git) {
+            process.stderr.write(`git: ${GIT_STATUSES.map(status => `${statistics.git[status]} ${status}`).join(', ')}\n`);
+        }
+    }
+
+    if (values.inject) {
+        const injected = await injectTrees(committed, async (options) => {
+            const cfg = applyMarkerOptions(config, options);
+            const result = await generateTree(walked.entries, cfg, options.rootName || rootName, { gitignores: walked.gitignores, git: walked.git });
+            return { output: result.output, style: cfg.style };
+        }, { customStyles });
+        text = injected.markdown;
+    }
+
+    if (values.check) {
+        if (committed !== text) {
+            process.stderr.write(`tree-genius: ${target} 已过期，请重新生成\n`);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (values.inject) {
+        await writeFile(target, text);
+        return;
+    }
+
+    if (values.output) {
+        await writeFile(values.output, text);
+    } else {
+        process.stdout.write(text);
+    }
+};
+
+main().catch((err) => {
+    process.stderr.write(`tree-genius: ${err.message}\n`);
+    process.exit(2);
+});
@@ -1,61 +1,361 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
     Folder, FileText, Copy, Trash2, Plus,
     Download, RefreshCw, Layers, Code,
     Loader2, HardDrive, Menu, X, Maximize2, Minimize2,
-    Ban
+    Ban, FileCode2, Upload, RotateCw, ClipboardPaste, Camera, GitCompare,
+    BarChart3, ArrowDownWideNarrow, ArrowUpNarrowWide, Pencil, GitBranch
 } from 'lucide-react';
+import { missingCommentPaths, normalizeComment } from './lib/comments.js';
+import { createSnapshot, diffTrees, parseSnapshot } from './lib/diff.js';
+import { EXPORT_FORMATS, formatOf } from './lib/formats.js';
+import { GIT_STATUSES } from './lib/git.js';
+import { ICON_SETS } from './lib/icons.js';
+import { applyMarkerOptions, injectTrees } from './lib/markdown.js';
+import { parseTextTree } from './lib/parse.js';
+import {
+    addProfile, decodeProfileHash, encodeProfileHash, loadProfiles, parseProfiles, saveProfiles, serializeProfiles,
+    uniqueProfileName
+} from './lib/profiles.js';
+import { limitSpecText, parseLimitSpec } from './lib/limits.js';
+import { isValidPattern, pathToPattern } from './lib/patterns.js';
+import { exportScaffold } from './lib/scaffold.js';
+import { DEFAULT_CONFIG, buildTree, formatSize, generateTree, renderRows, renderTree, rowsText, visibleRows } from './lib/tree.js';
+import { parseStyles, serializeStyles, styleOf } from './lib/styles.js';
+import { countMatches, createSearchMatcher, pruneTree } from './lib/search.js';
+import { combineRoots, mergePathLimits, splitRootPath, uniqueAlias } from './lib/workspace.js';
+import TreeView from './components/TreeView.jsx';
+import SizePanel from './components/SizePanel.jsx';
+import IconMapEditor from './components/IconMapEditor.jsx';
+import TemplateEditor from './components/TemplateEditor.jsx';
+import StyleEditor from './components/StyleEditor.jsx';
+import ProfileBar from './components/ProfileBar.jsx';
+import CommentList from './components/CommentList.jsx';
+import ScaffoldMenu from './components/ScaffoldMenu.jsx';
+import SearchBar from './components/SearchBar.jsx';
+import WorkspaceRoots from './components/WorkspaceRoots.jsx';
+import { fromInputFiles, isGitIndexItem, isGitignoreItem, readGitRepo, readGitignores, toEntries } from './files.js';
+import { collectDropRoots, scanRoots } from './fsAccess.js';
+import { runTreeJob } from './treeWorkerClient.js';
+
+const SORT_LABELS = { name: '名称', natural: '自然 (数字)', size: '大小', extension: '扩展名', mtime: '修改时间' };
+const ICON_SET_LABELS = { emoji: 'Emoji', nerd: 'Nerd Font', none: '无' };
+// 内容分析读取的文件大小上限
+const CONTENT_LIMITS = [256 * 1024, 1024 * 1024, 10 * 1024 * 1024, 100 * 1024 * 1024];
+const PROGRESS_LABELS = {
+    read: (done, total) => `Reading contents: ${done} of ${total} files`,
+    build: (done, total) => `${done} of ${total} files processed`,
+    render: (done, total) => `Rendering ${done} of ${total} lines`
+};
+
+// 去掉 path 各级上级目录的折叠状态 (不含 path 本身)，没有变化时返回原集合
+const expandAncestors = (collapsed, path) => {
+    const parts = path.split('/');
+    const next = new Set(collapsed);
+    for (let i = 1; i < parts.length; i++) next.delete(parts.slice(0, i).join('/'));
+    return next.size === collapsed.size ? collapsed : next;
+};
+
+// --- 导出工具 ---
+
+const saveAs = (content, filename, type = 'text/plain') => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+const writeClipboard = (text) => navigator.clipboard.writeText(text).catch(() => {
+    // Fallback
+    const ta = document.createElement('textarea');
+    ta.value = text;
+    document.body.appendChild(ta);
+    ta.select();
+    document.execCommand('copy');
+    document.body.removeChild(ta);
+});
+
+// 规则列表：输入框 + 规则标签，标签上显示该规则在当前树中的命中数
+const PatternList = ({ label, items, hits, hitLabel, placeholder, onChange, action }) => {
+    const [input, setInput] = useState('');
+
+    const addItem = () => {
+        const value = input.trim();
+        if (!value) return;
+        if (!items.includes(value)) onChange([...items, value]);
+        setInput('');
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex justify-between items-center">
+                <label className="text-xs font-bold text-slate-400 uppercase">{label}</label>
+                {action}
+            </div>
+            <div className="flex gap-1">
+                <input
+                    type="text"
+                    value={input}
+                    onChange={e => setInput(e.target.value)}
+                    onKeyDown={e => e.key === 'Enter' && addItem()}
+                    placeholder={placeholder}
+                    className={`flex-1 px-2 py-1.5 text-xs border rounded outline-none ${
+                        input && !isValidPattern(input.trim()) ? 'border-red-300 focus:border-red-500' : 'border-slate-200 focus:border-blue-500'
+                    }`}
+                />
+                <button
+                    onClick={addItem}
+                    className="bg-slate-100 px-2 rounded text-slate-600 hover:bg-slate-200"
+                >
+                    <Plus size={16} />
+                </button>
+            </div>
+            <div className="flex flex-wrap gap-1.5">
+                {items.map(item => {
+                    const valid = isValidPattern(item);
+                    const count = hits[item] || 0;
+                    return (
+                        <span
+                            key={item}
+                            title={valid ? `${hitLabel} ${count} 个文件` : '无效的规则'}
+                            className={`inline-flex items-center gap-1 px-1.5 py-0.5 border text-[10px] rounded group cursor-default ${
+                                valid ? 'bg-slate-50 border-slate-200 text-slate-600' : 'bg-red-50 border-red-200 text-red-600 line-through'
+                            }`}
+                        >
+                            {item}
+                            {count > 0 && <span className="px-1 rounded bg-slate-200 text-slate-500">{count}</span>}
+                            <button onClick={() => onChange(items.filter(i => i !== item))} className="text-slate-400 hover:text-red-500">
+                                <Trash2 size={10} />
+                            </button>
+                        </span>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// 按路径覆盖的深度 / 条目数限制 (见 limits.js)，点击标签修改
+const PathLimitList = ({ limits, onEdit, onChange }) => (
+    <div className="space-y-1.5 px-1">
+        <span className="text-xs text-slate-500">按目录限制</span>
+        <div className="flex flex-wrap gap-1.5">
+            {Object.entries(limits).map(([path, limit]) => (
+                <span
+                    key={path}
+                    className="inline-flex items-center gap-1 px-1.5 py-0.5 border text-[10px] rounded bg-slate-50 border-slate-200 text-slate-600"
+                >
+                    <button onClick={() => onEdit(path)} title="修改" className="font-mono hover:text-blue-600">
+                        {path || '/'} <span className="text-slate-400">{limitSpecText(limit)}</span>
+                    </button>
+                    <button
+                        onClick={() => onChange(Object.fromEntries(Object.entries(limits).filter(([p]) => p !== path)))}
+                        className="text-slate-400 hover:text-red-500"
+                    >
+                        <Trash2 size={10} />
+                    </button>
+                </span>
+            ))}
+        </div>
+    </div>
+);
+
+// 文本树导入：粘贴已有的目录树 (各风格输出或 `tree` 命令输出)，解析后作为输入来源
+// config 中的图标映射表与排序用于识别图标和推断空目录
+const TextTreeImporter = ({ config, onImport }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [text, setText] = useState('');
+    const [error, setError] = useState(null);
 
-// --- 常量定义 ---
-
-const DEFAULT_IGNORES = [
-    'node_modules', '.git', '.idea', '.vscode', 'dist',
-    'build', 'coverage', '__pycache__', '.DS_Store'
-];
-
-// 样式定义
-const TREE_STYLES = {
-    classic: {
-        branch: '├── ',
-        lastBranch: '└── ',
-        vertical: '│   ',
-        space: '    '
-    },
-    ascii: {
-        branch: '|-- ',
-        lastBranch: '`-- ',
-        vertical: '|   ',
-        space: '    '
-    },
-    minimal: {
-        branch: '+ ',
-        lastBranch: '+ ',
-        vertical: '  ',
-        space: '  '
-    },
-    // Indent 模式特殊处理，这里定义为空，我们在逻辑中单独处理空格
-    indent: {
-        branch: '',
-        lastBranch: '',
-        vertical: '',
-        space: ''
-    },
-    emoji: {
-        branch: '├── ',
-        lastBranch: '└── ',
-        vertical: '│   ',
-        space: '    ',
-        folderIcon: '📁 ',
-        fileIcon: '📄 '
+    const importText = () => {
+        try {
+            const { iconMap, dirsFirst, sortBy, sortOrder } = config;
+            const result = parseTextTree(text, { iconMap, dirsFirst, sortBy, sortOrder });
+            if (result.entries.length === 0) throw new Error('只有根节点，没有可导入的条目');
+            onImport(result);
+            setError(null);
+            setIsOpen(false);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={() => setIsOpen(true)}
+                className="w-full flex items-center justify-center gap-1 text-[11px] text-slate-400 hover:text-blue-600"
+            >
+                <ClipboardPaste size={12} /> 或导入文本目录树
+            </button>
+        );
     }
+
+    return (
+        <div className="space-y-1.5">
+            <textarea
+                value={text}
+                onChange={e => { setText(e.target.value); setError(null); }}
+                placeholder={'粘贴目录树，例如：\nmy-app\n├── src\n│   └── index.js\n└── package.json'}
+                rows={6}
+                className="w-full px-2 py-1.5 text-[11px] font-mono border border-slate-200 rounded focus:border-blue-500 outline-none resize-y whitespace-pre"
+            />
+            {error && <p className="text-[11px] text-red-500">{error}</p>}
+            <div className="flex gap-1">
+                <button
+                    onClick={importText}
+                    disabled={!text.trim()}
+                    className="flex-1 text-xs py-1.5 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-slate-200 disabled:text-slate-400"
+                >
+                    导入
+                </button>
+                <button onClick={() => setIsOpen(false)} className="bg-slate-100 px-2 rounded text-xs text-slate-600 hover:bg-slate-200">
+                    取消
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// 快照对比：保存当前树为快照，或以快照 / 当前树为基准，之后载入的文件夹都与它对比
+const SnapshotCompare = ({ canSnapshot, baseline, onSave, onUseCurrent, onLoad, onClear }) => {
+    const [error, setError] = useState(null);
+
+    const loadFile = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        e.target.value = '';
+        try {
+            onLoad({ ...parseSnapshot(await file.text()), label: file.name });
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <label className="text-xs font-bold text-slate-400 uppercase">Compare</label>
+            <div className="flex gap-1">
+                <button
+                    onClick={onSave}
+                    disabled={!canSnapshot}
+                    title="下载当前树的快照 (JSON)"
+                    className="flex-1 flex items-center justify-center gap-1 text-xs py-1.5 rounded bg-slate-100 text-slate-600 hover:bg-slate-200 disabled:opacity-50"
+                >
+                    <Camera size={12} /> 保存快照
+                </button>
+                <button
+                    onClick={onUseCurrent}
+                    disabled={!canSnapshot}
+                    title="以当前树为基准，再载入另一个文件夹进行对比"
+                    className="flex-1 flex items-center justify-center gap-1 text-xs py-1.5 rounded bg-slate-100 text-slate-600 hover:bg-slate-200 disabled:opacity-50"
+                >
+                    <GitCompare size={12} /> 设为基准
+                </button>
+                <label className="bg-slate-100 px-2 rounded text-slate-600 hover:bg-slate-200 cursor-pointer flex items-center" title="载入快照作为基准">
+                    <Upload size={14} />
+                    <input type="file" accept=".json" className="hidden" onChange={loadFile} />
+                </label>
+            </div>
+            {baseline && (
+                <div className="flex items-center justify-between gap-1 px-2 py-1 text-[11px] rounded bg-amber-50 border border-amber-200 text-amber-700">
+                    <span className="truncate" title={baseline.createdAt}>基准：{baseline.label}</span>
+                    <button onClick={onClear} title="退出对比" className="text-amber-500 hover:text-red-500 shrink-0">
+                        <X size={12} />
+                    </button>
+                </div>
+            )}
+            {error && <p className="text-[11px] text-red-500">{error}</p>}
+        </div>
+    );
 };
 
-const formatSize = (bytes) => {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+// Markdown 注入面板：粘贴或载入文档，替换 tree-genius 标记块后复制 / 下载
+// customStyles 中的自定义风格同样可以在标记中用 style= 选择
+const MarkdownInjector = ({ canRender, render, customStyles }) => {
+    const [doc, setDoc] = useState('');
+    const [fileName, setFileName] = useState('README.md');
+    const [message, setMessage] = useState(null); // { type: 'ok' | 'error', text }
+    const [isBusy, setIsBusy] = useState(false);
+
+    const loadFile = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        setDoc(await file.text());
+        setFileName(file.name);
+        setMessage(null);
+        e.target.value = '';
+    };
+
+    const update = async () => {
+        setIsBusy(true);
+        try {
+            const { markdown, count } = await injectTrees(doc, render, { customStyles });
+            if (count === 0) {
+                setMessage({ type: 'error', text: '未找到 <!-- tree-genius:start --> / <!-- tree-genius:end --> 标记' });
+            } else {
+                setDoc(markdown);
+                setMessage({ type: 'ok', text: `已更新 ${count} 个标记块` });
+            }
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex justify-between items-center">
+                <label className="text-xs font-bold text-slate-400 uppercase">Markdown Inject</label>
+                <label className="text-slate-400 hover:text-blue-600 cursor-pointer" title="载入 Markdown 文件">
+                    <Upload size={12} />
+                    <input type="file" accept=".md,.markdown,.txt" className="hidden" onChange={loadFile} />
+                </label>
+            </div>
+            <textarea
+                value={doc}
+                onChange={e => { setDoc(e.target.value); setMessage(null); }}
+                placeholder={'粘贴 README，在需要的位置放置：\n<!-- tree-genius:start depth=3 -->\n<!-- tree-genius:end -->'}
+                rows={5}
+                className="w-full px-2 py-1.5 text-[11px] font-mono border border-slate-200 rounded focus:border-blue-500 outline-none resize-y"
+            />
+            {message && (
+                <p className={`text-[11px] ${message.type === 'ok' ? 'text-green-600' : 'text-red-500'}`}>{message.text}</p>
+            )}
+            <div className="flex gap-1">
+                <button
+                    onClick={update}
+                    disabled={!canRender || !doc || isBusy}
+                    className="flex-1 flex items-center justify-center gap-1 text-xs py-1.5 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-slate-200 disabled:text-slate-400"
+                >
+                    {isBusy ? <Loader2 className="animate-spin" size={12} /> : <FileCode2 size={12} />} 更新标记块
+                </button>
+                <button
+                    onClick={() => writeClipboard(doc)}
+                    disabled={!doc}
+                    title="复制文档"
+                    className="bg-slate-100 px-2 rounded text-slate-600 hover:bg-slate-200 disabled:opacity-50"
+                >
+                    <Copy size={14} />
+                </button>
+                <button
+                    onClick={() => saveAs(doc, fileName, 'text/markdown')}
+                    disabled={!doc}
+                    title="下载文档"
+                    className="bg-slate-100 px-2 rounded text-slate-600 hover:bg-slate-200 disabled:opacity-50"
+                >
+                    <Download size={14} />
+                </button>
+            </div>
+        </div>
+    );
 };
 
 export default function App() {
@@ -64,37 +364,102 @@ export default function App() {
     const [isFullScreen, setIsFullScreen] = useState(false);  // 全屏预览
 
     // --- Data State ---
-    const [fileList, setFileList] = useState([]);
-    const [rootName, setRootName] = useState('project-root');
+    // 工作区的根 { id, alias, items, source?, ignores, maxDepth }：items 为 { file, path } 列表 (见 files.js)，
+    // source 为拖入的根对象 (用于刷新)，ignores / maxDepth 只作用于该根，见 workspace.js
+    const [roots, setRoots] = useState([]);
+    const [workspaceName, setWorkspaceName] = useState('workspace'); // 多个根时合成根节点的名称
+    const nextRootId = useRef(1);
+    const [isDragOver, setIsDragOver] = useState(false);
+    const [scanCount, setScanCount] = useState(null); // 扫描中时为已发现的文件数
 
     // --- Generation State ---
     const [generatedTree, setGeneratedTree] = useState('');
+    const [treeModel, setTreeModel] = useState(null);
+    const [treeRows, setTreeRows] = useState(null); // 文本风格的行列表，用于交互式预览
+    const [collapsed, setCollapsed] = useState(() => new Set()); // 折叠的目录路径
     const [stats, setStats] = useState({ dirs: 0, files: 0, totalSize: 0 });
+    const [patternHits, setPatternHits] = useState({ ignores: {}, includes: {} });
     const [isGenerating, setIsGenerating] = useState(false);
+    const [progress, setProgress] = useState(null); // { phase, processed, total }
+
+    // --- Search State ---
+    const [search, setSearch] = useState({ query: '', mode: 'text', onlyMatches: false });
+    const [activeMatch, setActiveMatch] = useState(0);
+    const [view, setView] = useState(null); // 对比 / 过滤后的结果 { request, rows, output, changes }
+    const [baseline, setBaseline] = useState(null); // 对比基准 { root, entries, label, createdAt }
     const [isCopied, setIsCopied] = useState(false);
+    const [showSizePanel, setShowSizePanel] = useState(false);
+    const [styleEditor, setStyleEditor] = useState(null); // { id } 编辑中的自定义风格，新建时 id 为 null
+    const [styleImportError, setStyleImportError] = useState(null);
+    const [isLinkCopied, setIsLinkCopied] = useState(false);
     const abortControllerRef = useRef(null);
 
     // --- Config State (Persistent) ---
-    const [config, setConfig] = useState(() => {
-        const saved = localStorage.getItem('tree-genius-config-v3');
-        return saved ? JSON.parse(saved) : {
-            maxDepth: 10,
-            style: 'classic',
-            ignores: [...DEFAULT_IGNORES],
-            showFiles: true,
-            showSizes: false,
-            trailingSlash: false,
-            showStats: true
-        };
+    // 多个命名方案 (见 profiles.js)，config 为当前方案；通过分享链接打开时导入链接中的方案。
+    // 读取存储或分享链接出错时退回已有方案，错误显示在方案栏中
+    const [initialProfiles] = useState(() => {
+        const { store, error } = loadProfiles(localStorage);
+        try {
+            const shared = decodeProfileHash(window.location.hash);
+            return { store: shared ? addProfile(store, shared.name, shared.config) : store, error };
+        } catch (err) {
+            return { store, error: err.message };
+        }
     });
-    const [ignoreInput, setIgnoreInput] = useState('');
+    const [profileStore, setProfileStore] = useState(initialProfiles.store);
+    const [profileError, setProfileError] = useState(initialProfiles.error);
+    const config = profileStore.profiles[profileStore.active];
+    const setConfig = (update) => setProfileStore(store => ({
+        ...store,
+        profiles: {
+            ...store.profiles,
+            [store.active]: typeof update === 'function' ? update(store.profiles[store.active]) : update
+        }
+    }));
+
+    // 多个根组合为一棵树；只有一个根时与直接打开该文件夹相同
+    const workspace = useMemo(() => combineRoots(roots), [roots]);
+    const fileList = workspace.items;
+    const rootName = roots.length > 1 ? workspaceName : roots.length === 1 ? roots[0].alias : 'project-root';
+    // 生成时使用的配置：附加工作区的根与各根的深度 (不写入方案)
+    const treeConfig = useMemo(() => (
+        workspace.workspaceRoots.length === 0 && Object.keys(workspace.pathLimits).length === 0
+            ? config
+            : {
+                ...config,
+                workspaceRoots: workspace.workspaceRoots,
+                pathLimits: mergePathLimits(config.pathLimits, workspace.pathLimits)
+            }
+    ), [config, workspace]);
+
+    // 导出格式 (json、yaml 等) 没有可折叠的行，折叠状态在生成时应用；文本风格的预览与导出按 visibleRows 过滤
+    const exportCollapsed = useMemo(() => (EXPORT_FORMATS[config.style] ? [...collapsed] : null), [config.style, collapsed]);
 
     // --- Effects ---
 
     // 1. 持久化保存
     useEffect(() => {
-        localStorage.setItem('tree-genius-config-v3', JSON.stringify(config));
-    }, [config]);
+        saveProfiles(localStorage, profileStore);
+    }, [profileStore]);
+
+    // 分享链接：导入后从地址栏移除，之后在已打开的页面中粘贴链接同样生效
+    useEffect(() => {
+        const clearHash = () => history.replaceState(null, '', window.location.pathname + window.location.search);
+        const handleHashChange = () => {
+            try {
+                const shared = decodeProfileHash(window.location.hash);
+                if (!shared) return;
+                setProfileStore(store => addProfile(store, shared.name, shared.config));
+                setProfileError(null);
+            } catch (err) {
+                setProfileError(err.message);
+            }
+            clearHash();
+        };
+        if (window.location.hash.includes('profile=')) clearHash();
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
 
     // 2. 移动端自适应：屏幕宽度小于 768px 时默认收起侧边栏
     useEffect(() => {
@@ -117,7 +482,7 @@ export default function App() {
         if (fileList.length === 0) return;
         generateTreeProcess();
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [fileList, config, rootName]);
+    }, [fileList, treeConfig, rootName, exportCollapsed]);
 
     // --- 逻辑函数 ---
 
@@ -129,17 +494,31 @@ export default function App() {
         const signal = controller.signal;
 
         setIsGenerating(true);
-        setGeneratedTree(''); // 清空旧内容，显示加载感
+        setTreeRows(null);
+        setProgress({ phase: 'build', processed: 0, total: fileList.length });
 
-        try {
-            await new Promise(resolve => setTimeout(resolve, 50)); // UI 缓冲
+        // 旧内容保留到第一批新输出到达为止，之后逐批追加
+        let streamed = null;
+        const onChunk = (text) => {
             if (signal.aborted) return;
+            streamed = streamed === null ? text : streamed + text;
+            setGeneratedTree(streamed);
+        };
+        const onProgress = (p) => {
+            if (!signal.aborted) setProgress(p);
+        };
 
-            const { treeString, statistics } = await buildTreeAsync(fileList, config, rootName, signal);
+        try {
+            const { tree, rows, output: treeString, statistics, hits } = await runTreeJob(
+                fileList, treeConfig, rootName, { signal, collapsed: exportCollapsed, onChunk, onProgress }
+            );
 
             if (!signal.aborted) {
                 setGeneratedTree(treeString);
+                setTreeModel(tree);
+                setTreeRows(rows);
                 setStats(statistics);
+                setPatternHits(hits);
             }
         } catch (err) {
             if (err.message !== 'Aborted') {
@@ -149,128 +528,322 @@ export default function App() {
         } finally {
             if (!signal.aborted) {
                 setIsGenerating(false);
+                setProgress(null);
                 abortControllerRef.current = null;
             }
         }
     };
 
-    const buildTreeAsync = async (files, cfg, root, signal) => {
-        const tree = {};
-        const stats = { dirs: 0, files: 0, totalSize: 0 };
-        const CHUNK_SIZE = 1500; // 批处理大小
+    // 注释所指的路径已不在当前树中时标记出来 (不自动删除)
+    const missingComments = useMemo(
+        () => (treeModel && !isGenerating ? missingCommentPaths(treeModel, config.comments) : []),
+        [treeModel, isGenerating, config.comments]
+    );
 
-        // 1. 构建树结构 (耗时操作)
-        for (let i = 0; i < files.length; i++) {
-            if (i % CHUNK_SIZE === 0) {
-                await new Promise(r => setTimeout(r, 0));
-                if (signal.aborted) throw new Error('Aborted');
-            }
+    // --- 交互处理 ---
 
-            const file = files[i];
-            const path = file.webkitRelativePath || file.name;
-            const parts = path.split('/');
-            const relevantParts = parts.slice(1);
-
-            if (relevantParts.some(part => cfg.ignores.includes(part))) continue;
-
-            let currentLevel = tree;
-            relevantParts.forEach((part, index) => {
-                const isFile = index === relevantParts.length - 1;
-                if (!currentLevel[part]) {
-                    if (isFile) {
-                        currentLevel[part] = { _type: 'file', size: file.size };
-                        stats.files++;
-                        stats.totalSize += file.size;
-                    } else {
-                        currentLevel[part] = { _type: 'dir', _children: {} };
-                        stats.dirs++;
-                    }
-                }
-                if (!isFile) currentLevel = currentLevel[part]._children;
-            });
+    // 搜索：无效的正则只提示错误，不影响预览
+    const searchMatcher = useMemo(() => {
+        try {
+            return { match: createSearchMatcher(search.query, search.mode) };
+        } catch (err) {
+            return { match: null, error: err.message };
         }
+    }, [search.query, search.mode]);
+
+    // 与快照对比、"只显示匹配项" 都在主线程上基于树模型重新渲染，结果按请求对象区分新旧
+    const viewRequest = useMemo(() => {
+        if (!treeModel || isGenerating) return null;
+        const match = search.onlyMatches ? searchMatcher.match : null;
+        if (!baseline && !match) return null;
+        return { tree: treeModel, baseline, match, config: treeConfig, rootName, stats, collapsed: exportCollapsed };
+    }, [baseline, search.onlyMatches, searchMatcher, treeModel, isGenerating, treeConfig, rootName, stats, exportCollapsed]);
+
+    useEffect(() => {
+        if (!viewRequest) return;
+        let cancelled = false;
+        (async () => {
+            const { baseline: base, match, config: cfg, rootName: root, stats: statistics, collapsed: folded } = viewRequest;
+            // 出错时同样记录结果 (错误信息作为输出)，避免一直处于等待状态
+            let result = { rows: null, output: '' };
+            try {
+                let tree = viewRequest.tree;
+                let changes;
+                if (base) {
+                    // 快照同样应用当前的排除规则，避免规则差异被当作变化
+                    const { tree: baseTree } = await buildTree(base.entries, cfg);
+                    ({ tree, changes } = diffTrees(baseTree, tree));
+                }
+                if (match) tree = pruneTree(tree, match);
+                const rows = EXPORT_FORMATS[cfg.style] ? null : await renderRows(tree, cfg, root, { statistics, changes });
+                const output = rows ? rowsText(rows) : await renderTree(tree, cfg, root, { statistics, changes, collapsed: folded });
+                result = { rows, output, changes };
+            } catch (err) {
+                console.error("Error:", err);
+                result = { rows: null, output: `Error: ${err.message}` };
+            } finally {
+                if (!cancelled) setView({ request: viewRequest, ...result });
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [viewRequest]);
+
+    const viewResult = view && view.request === viewRequest ? view : null;
+    const isViewPending = !!viewRequest && !viewResult;
+    const baseRows = viewRequest ? viewResult && viewResult.rows : treeRows;
+    const baseOutput = viewRequest ? (viewResult ? viewResult.output : '') : generatedTree;
+
+    // 导出内容与预览中的折叠状态、搜索过滤保持一致
+    const shownRows = useMemo(() => (baseRows ? visibleRows(baseRows, collapsed) : null), [baseRows, collapsed]);
+    const outputText = useMemo(() => (shownRows ? rowsText(shownRows) : baseOutput), [shownRows, baseOutput]);
+
+    // 匹配行的路径：在全部行 (包括折叠目录之下的行) 中查找，计数与没有行列表时的 countMatches 一致
+    const matchPaths = useMemo(() => {
+        if (!baseRows || !searchMatcher.match) return [];
+        return baseRows
+            .filter(row => row.path && !row.extra && !row.more && searchMatcher.match(row.name, row.path))
+            .map(row => row.path);
+    }, [baseRows, searchMatcher]);
+    const matchCount = baseRows
+        ? matchPaths.length
+        : (searchMatcher.match && treeModel ? countMatches(treeModel, searchMatcher.match) : 0);
+    const currentMatch = matchPaths.length ? Math.min(activeMatch, matchPaths.length - 1) : 0;
+    const activePath = matchPaths.length ? matchPaths[currentMatch] : null;
+
+    // 当前匹配变化时展开其所在的折叠目录 (在渲染中按变化调整状态，之后折叠这些目录不会被再次展开)
+    const [revealedPath, setRevealedPath] = useState(null);
+    if (activePath !== revealedPath) {
+        setRevealedPath(activePath);
+        if (activePath) setCollapsed(prev => expandAncestors(prev, activePath));
+    }
+    const activeIndex = useMemo(
+        () => (activePath && shownRows ? shownRows.findIndex(row => row.path === activePath) : -1),
+        [activePath, shownRows]
+    );
+
+    const updateSearch = (next) => {
+        if (next.query !== search.query || next.mode !== search.mode) setActiveMatch(0);
+        setSearch(next);
+    };
 
-        // 2. 渲染字符串
-        let resultString = '';
-        if (cfg.style === 'json') {
-            resultString = JSON.stringify(tree, null, 2);
-        } else {
-            const rootLabel = cfg.trailingSlash ? `${root}/` : root;
-            const rootSize = cfg.showSizes ? ` (${formatSize(stats.totalSize)})` : '';
-            resultString = `${rootLabel}${rootSize}\n`;
-            resultString += await renderNodes(tree, '', 0, cfg, signal);
+    const stepMatch = (delta) => {
+        if (!matchPaths.length) return;
+        setActiveMatch((currentMatch + delta + matchPaths.length) % matchPaths.length);
+    };
+
+    // 从体积分析面板跳转到预览中的某个路径：展开其所有上级目录并搜索定位
+    const locatePath = (path) => {
+        const parts = path.split('/');
+        setCollapsed(prev => new Set([...prev].filter(p => !parts.some((_, i) => parts.slice(0, i + 1).join('/') === p))));
+        updateSearch({ query: path, mode: 'text', onlyMatches: false });
+        setShowSizePanel(false);
+    };
+
+    const toggleCollapsed = (path) => {
+        setCollapsed(prev => {
+            const next = new Set(prev);
+            if (next.has(path)) next.delete(path);
+            else next.add(path);
+            return next;
+        });
+    };
+
+    // 多个根时写入所属根的排除规则 (相对该根)，修改别名或调整顺序后仍然有效
+    const excludePath = (path) => {
+        const { alias, path: relative } = splitRootPath(path, workspace.workspaceRoots);
+        if (relative === '') return; // 根本身在工作区列表中移除
+        const pattern = pathToPattern(relative);
+        if (alias === null) {
+            setConfig(c => (c.ignores.includes(pattern) ? c : { ...c, ignores: [...c.ignores, pattern] }));
+            return;
         }
+        setRoots(prev => prev.map(root => (
+            root.alias === alias && !root.ignores.includes(pattern) ? { ...root, ignores: [...root.ignores, pattern] } : root
+        )));
+    };
 
-        return { treeString: resultString, statistics: stats };
+    // 设置目录的深度 / 条目数限制，清空即删除
+    const editPathLimit = (path) => {
+        const current = config.pathLimits[path];
+        let text = prompt(`${path || '根目录'} 的限制 (如 depth:1, children:20；留空删除)：`, current ? limitSpecText(current) : '');
+        while (text !== null && text.trim()) {
+            try {
+                const limit = parseLimitSpec(text);
+                setConfig(c => ({ ...c, pathLimits: { ...c.pathLimits, [path]: limit } }));
+                return;
+            } catch (err) {
+                text = prompt(`${err.message}\n${path || '根目录'} 的限制：`, text);
+            }
+        }
+        if (text !== null && current) {
+            setConfig(c => {
+                const pathLimits = { ...c.pathLimits };
+                delete pathLimits[path];
+                return { ...c, pathLimits };
+            });
+        }
     };
 
-    const renderNodes = async (nodes, prefix, depth, cfg, signal) => {
-        if (depth >= cfg.maxDepth) return '';
-        if (signal.aborted) throw new Error('Aborted');
+    // 添加 / 编辑路径的注释，清空文本即删除
+    const editComment = (path) => {
+        const text = prompt(`${path} 的注释：`, config.comments[path] || '');
+        if (text === null) return;
+        const comment = normalizeComment(text);
+        setConfig(c => {
+            const comments = { ...c.comments };
+            if (comment) comments[path] = comment;
+            else delete comments[path];
+            return { ...c, comments };
+        });
+    };
 
-        let output = '';
-        const entries = Object.entries(nodes).sort((a, b) => {
-            const aIsDir = a[1]._type === 'dir';
-            const bIsDir = b[1]._type === 'dir';
-            if (aIsDir && !bIsDir) return -1;
-            if (!aIsDir && bIsDir) return 1;
-            return a[0].localeCompare(b[0]);
+    const progressPercent = progress && progress.total > 0
+        ? Math.min(100, Math.round(progress.processed / progress.total * 100))
+        : 0;
+    const progressLabel = progress
+        ? PROGRESS_LABELS[progress.phase](progress.processed.toLocaleString(), progress.total.toLocaleString())
+        : 'Generating Tree...';
+
+    const hasGitignore = fileList.some(isGitignoreItem);
+    const hasGitIndex = roots.some(root => root.items.some(isGitIndexItem));
+
+    // --- 工作区 ---
+
+    // 加入新的根 ({ name, items, source? })，别名取文件夹名称并去重；replace 时替换整个工作区
+    const addRoots = (added, replace = false) => {
+        const created = added.map(root => ({
+            id: nextRootId.current++, name: root.name, items: root.items, source: root.source, ignores: [], maxDepth: null
+        }));
+        setRoots(prev => {
+            const next = replace ? [] : [...prev];
+            created.forEach(({ name, ...root }) => {
+                next.push({ ...root, alias: uniqueAlias(name, next.map(item => item.alias)) });
+            });
+            return next;
         });
+        if (replace) setCollapsed(new Set());
+        // 移动端选择后自动收起侧边栏，提升体验
+        if (window.innerWidth < 768) setIsSidebarOpen(false);
+    };
+
+    const inputRoot = (files) => {
+        const firstPath = files[0].webkitRelativePath;
+        return { name: firstPath ? firstPath.split('/')[0] : 'project-root', items: fromInputFiles(files) };
+    };
 
-        const style = TREE_STYLES[cfg.style] || TREE_STYLES.classic;
-        const isIndentMode = cfg.style === 'indent';
+    const handleFolderSelect = (e) => {
+        const files = e.target.files;
+        if (!files || files.length === 0) return;
+        addRoots([inputRoot(files)], true);
+    };
 
-        for (let i = 0; i < entries.length; i++) {
-            if (i % 500 === 0) await new Promise(r => setTimeout(r, 0));
+    const updateRoot = (id, patch) => setRoots(prev => prev.map(root => (root.id === id ? { ...root, ...patch } : root)));
 
-            const [name, data] = entries[i];
-            const isLast = i === entries.length - 1;
-            const isDir = data._type === 'dir';
+    const moveRoot = (id, delta) => setRoots(prev => {
+        const index = prev.findIndex(root => root.id === id);
+        const target = index + delta;
+        if (index < 0 || target < 0 || target >= prev.length) return prev;
+        const next = [...prev];
+        [next[index], next[target]] = [next[target], next[index]];
+        return next;
+    });
 
-            if (!cfg.showFiles && !isDir) continue;
+    const removeRoot = (id) => {
+        if (roots.length === 1 && roots[0].id === id) {
+            // 移除最后一个根时清空预览
+            if (abortControllerRef.current) abortControllerRef.current.abort();
+            abortControllerRef.current = null;
+            setIsGenerating(false);
+            setProgress(null);
+            setGeneratedTree('');
+            setTreeModel(null);
+            setTreeRows(null);
+        }
+        setRoots(prev => prev.filter(root => root.id !== id));
+    };
 
-            let linePrefix = '';
+    const importTextTree = ({ rootName: name, entries, comments }) => {
+        if (Object.keys(comments).length) setConfig(c => ({ ...c, comments: { ...c.comments, ...comments } }));
+        addRoots([{ name, items: entries }], true);
+    };
 
-            // --- Indent 模式逻辑 ---
-            if (isIndentMode) {
-                // 强制使用空格作为缩进，每一级深度增加 2 个空格 (或者 4 个)
-                linePrefix = '  '.repeat(depth + 1);
-            } else {
-                // 其他模式使用树线逻辑
-                linePrefix = prefix + (isLast ? style.lastBranch : style.branch);
-            }
+    const saveSnapshot = () => {
+        saveAs(JSON.stringify(createSnapshot(treeModel, rootName)), `${rootName}_snapshot.json`, 'application/json');
+    };
 
-            let icon = '';
-            if (cfg.style === 'emoji') icon = isDir ? style.folderIcon : style.fileIcon;
+    const setCurrentAsBaseline = () => {
+        const snapshot = createSnapshot(treeModel, rootName);
+        setBaseline({ ...snapshot, label: `${rootName} (${new Date(snapshot.createdAt).toLocaleTimeString()})` });
+    };
 
-            let lineContent = name;
-            if (isDir && cfg.trailingSlash) lineContent += '/';
-            if (cfg.showSizes && !isDir) lineContent += ` (${formatSize(data.size)})`;
+    // 扫描拖入的对象：每个目录各为一个根，其余文件合为一个根；source 为扫描用的根对象，刷新时沿用
+    const scanDropRoots = async (dropped) => {
+        const files = dropped.filter(root => root.kind !== 'directory');
+        const groups = [
+            ...dropped.filter(root => root.kind === 'directory').map(root => [root]),
+            ...(files.length > 0 ? [files] : [])
+        ];
+        const scanned = [];
+        let offset = 0;
+        for (const group of groups) {
+            const { items, rootName: name } = await scanRoots(group, {
+                ignores: config.ignores,
+                onProgress: count => setScanCount(offset + count)
+            });
+            offset += items.length;
+            scanned.push({ name: name || 'files', items, source: group });
+        }
+        return scanned;
+    };
 
-            output += `${linePrefix}${icon}${lineContent}\n`;
+    const loadDropRoots = async (dropped, replace) => {
+        if (dropped.length === 0) return;
+        setScanCount(0);
+        try {
+            addRoots(await scanDropRoots(dropped), replace);
+        } catch (err) {
+            console.error('Scan error:', err);
+            alert(`读取失败: ${err.message}`);
+        } finally {
+            setScanCount(null);
+        }
+    };
 
-            if (isDir) {
-                let nextPrefix = prefix;
-                if (!isIndentMode) {
-                    nextPrefix += (isLast ? style.space : style.vertical);
-                }
-                output += await renderNodes(data._children, nextPrefix, depth + 1, cfg, signal);
+    // 重新扫描拖入的根，保留别名、顺序、各根的设置与折叠状态
+    const refreshRoots = async (ids) => {
+        const targets = roots.filter(root => root.source && ids.includes(root.id));
+        if (targets.length === 0) return;
+        setScanCount(0);
+        try {
+            const scanned = new Map();
+            let offset = 0;
+            for (const root of targets) {
+                const { items } = await scanRoots(root.source, {
+                    ignores: config.ignores,
+                    onProgress: count => setScanCount(offset + count)
+                });
+                offset += items.length;
+                scanned.set(root.id, items);
             }
+            setRoots(prev => prev.map(root => (scanned.has(root.id) ? { ...root, items: scanned.get(root.id) } : root)));
+        } catch (err) {
+            console.error('Scan error:', err);
+            alert(`读取失败: ${err.message}`);
+        } finally {
+            setScanCount(null);
         }
-        return output;
     };
 
-    // --- 交互处理 ---
-
-    const handleFolderSelect = (e) => {
-        const files = e.target.files;
-        if (!files || files.length === 0) return;
-        setFileList(Array.from(files));
-        const firstPath = files[0].webkitRelativePath;
-        if (firstPath) setRootName(firstPath.split('/')[0]);
+    // 拖到导入区域替换工作区，拖到 "添加文件夹" 上则追加
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragOver(false);
+        // dataTransfer 只在事件处理期间有效，需同步取出
+        collectDropRoots(e.dataTransfer).then(dropped => loadDropRoots(dropped, true));
+    };
 
-        // 移动端选择后自动收起侧边栏，提升体验
-        if (window.innerWidth < 768) setIsSidebarOpen(false);
+    const dropToWorkspace = (dataTransfer) => {
+        collectDropRoots(dataTransfer).then(dropped => loadDropRoots(dropped, false));
     };
 
     const stopGeneration = () => {
@@ -278,45 +851,149 @@ export default function App() {
             abortControllerRef.current.abort();
             setGeneratedTree(prev => prev + '\n\n>>> ⚠️ 用户已终止生成 <<<');
             setIsGenerating(false);
+            setProgress(null);
         }
     };
 
     const copyToClipboard = () => {
-        if (!generatedTree) return;
-        navigator.clipboard.writeText(generatedTree).then(() => {
-            setIsCopied(true);
-            setTimeout(() => setIsCopied(false), 2000);
-        }).catch(err => {
-            // Fallback
-            const ta = document.createElement('textarea');
-            ta.value = generatedTree;
-            document.body.appendChild(ta);
-            ta.select();
-            document.execCommand('copy');
-            document.body.removeChild(ta);
+        if (!outputText) return;
+        writeClipboard(outputText).then(() => {
             setIsCopied(true);
             setTimeout(() => setIsCopied(false), 2000);
         });
     };
 
     const downloadFile = () => {
-        const blob = new Blob([generatedTree], { type: "text/plain" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = `${rootName}_tree.txt`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+        const { extension, mime } = formatOf(config.style);
+        saveAs(outputText, `${rootName}_tree.${extension}`, mime);
     };
 
-    const resetConfig = () => {
-        if (confirm('恢复默认设置？')) {
-            localStorage.removeItem('tree-genius-config-v3');
-            window.location.reload();
+    // 脚手架：由当前树模型生成，不受预览中的折叠、条目数限制与目录合并影响
+    const downloadScaffold = (format) => {
+        if (!treeModel) return;
+        try {
+            const { content, filename, mime, scaffold } = exportScaffold(treeModel, treeConfig, rootName, format);
+            saveAs(content, filename, mime);
+            if (scaffold.skipped.length > 0) alert(`已跳过名称不安全的路径：\n${scaffold.skipped.join('\n')}`);
+        } catch (err) {
+            alert(`导出失败: ${err.message}`);
         }
     };
 
+    // Markdown 注入：按标记上的选项覆盖当前配置，重新渲染一次 (保留预览中的折叠状态)
+    const renderForMarker = async (options) => {
+        const cfg = applyMarkerOptions(treeConfig, options);
+        const gitignores = cfg.useGitignore || cfg.gitStatus ? await readGitignores(fileList) : [];
+        const git = cfg.gitStatus ? await readGitRepo(fileList, cfg.workspaceRoots) : null;
+        const entries = await toEntries(fileList, cfg);
+        const { output } = await generateTree(entries, cfg, options.rootName || rootName, { gitignores, git, collapsed });
+        return { output, style: cfg.style };
+    };
+
+    // --- 自定义风格 ---
+
+    const saveCustomStyle = (id, style, previousId) => {
+        setConfig(c => {
+            const customStyles = { ...c.customStyles };
+            if (previousId && previousId !== id) delete customStyles[previousId];
+            customStyles[id] = style;
+            return { ...c, customStyles, style: id };
+        });
+        setStyleEditor(null);
+    };
+
+    const deleteCustomStyle = (id) => {
+        setConfig(c => {
+            const customStyles = { ...c.customStyles };
+            delete customStyles[id];
+            return { ...c, customStyles, style: c.style === id ? DEFAULT_CONFIG.style : c.style };
+        });
+        setStyleEditor(null);
+    };
+
+    const importCustomStyles = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        e.target.value = '';
+        try {
+            const styles = parseStyles(await file.text());
+            setConfig(c => ({ ...c, customStyles: { ...c.customStyles, ...styles } }));
+            setStyleImportError(null);
+        } catch (err) {
+            setStyleImportError(err.message);
+        }
+    };
+
+    const exportCustomStyles = () => {
+        saveAs(serializeStyles(config.customStyles), 'tree-genius-styles.json', 'application/json');
+    };
+
+    // --- 配置方案 ---
+
+    const switchProfile = (name) => setProfileStore(store => ({ ...store, active: name }));
+
+    const createProfile = () => {
+        const name = prompt('新方案名称', uniqueProfileName(profileStore.profiles, '新方案'))?.trim();
+        if (!name) return;
+        setProfileStore(store => addProfile(store, name, config));
+    };
+
+    const renameProfile = () => {
+        const current = profileStore.active;
+        const name = prompt('重命名方案', current)?.trim();
+        if (!name || name === current) return;
+        if (profileStore.profiles[name]) {
+            setProfileError(`方案 "${name}" 已存在`);
+            return;
+        }
+        setProfileStore(store => {
+            // 保持方案的原有顺序
+            const profiles = {};
+            Object.entries(store.profiles).forEach(([key, value]) => { profiles[key === current ? name : key] = value; });
+            return { ...store, active: name, profiles };
+        });
+        setProfileError(null);
+    };
+
+    const deleteProfile = () => {
+        const current = profileStore.active;
+        if (!confirm(`删除方案 "${current}"？`)) return;
+        setProfileStore(store => {
+            const profiles = { ...store.profiles };
+            delete profiles[current];
+            return { ...store, active: Object.keys(profiles)[0], profiles };
+        });
+    };
+
+    const importProfiles = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        e.target.value = '';
+        try {
+            const imported = parseProfiles(await file.text());
+            setProfileStore(store => Object.entries(imported).reduce((next, [name, cfg]) => addProfile(next, name, cfg), store));
+            setProfileError(null);
+        } catch (err) {
+            setProfileError(err.message);
+        }
+    };
+
+    const exportProfiles = () => {
+        saveAs(serializeProfiles(profileStore.profiles), 'tree-genius-profiles.json', 'application/json');
+    };
+
+    const shareProfile = () => {
+        const { origin, pathname, search } = window.location;
+        writeClipboard(`${origin}${pathname}${search}#${encodeProfileHash(profileStore.active, config)}`);
+        setIsLinkCopied(true);
+        setTimeout(() => setIsLinkCopied(false), 2000);
+    };
+
+    // 只重置当前方案
+    const resetConfig = () => {
+        if (confirm(`将方案 "${profileStore.active}" 恢复默认设置？`)) setConfig({ ...DEFAULT_CONFIG });
+    };
+
     const Toggle = ({ label, checked, onChange }) => (
         <div className="flex items-center justify-between py-1.5 cursor-pointer hover:bg-slate-50 px-1 rounded" onClick={() => onChange(!checked)}>
             <span className="text-sm text-slate-600 select-none">{label}</span>
@@ -354,13 +1031,45 @@ export default function App() {
 
                 <div className="flex-1 overflow-y-auto p-4 space-y-6 custom-scrollbar">
 
+                    {/* 0. 配置方案 */}
+                    <ProfileBar
+                        names={Object.keys(profileStore.profiles)}
+                        active={profileStore.active}
+                        isShared={isLinkCopied}
+                        error={profileError}
+                        onSwitch={switchProfile}
+                        onCreate={createProfile}
+                        onRename={renameProfile}
+                        onDelete={deleteProfile}
+                        onImport={importProfiles}
+                        onExport={exportProfiles}
+                        onShare={shareProfile}
+                    />
+
                     {/* 1. 上传 */}
                     <div className="space-y-2">
                         <div className="flex justify-between items-center">
                             <label className="text-xs font-bold text-slate-400 uppercase">Input Source</label>
-                            {fileList.length > 0 && <span className="text-[10px] bg-green-100 text-green-700 px-1.5 rounded">Loaded</span>}
+                            <div className="flex items-center gap-1.5">
+                                {roots.some(root => root.source) && (
+                                    <button
+                                        onClick={() => refreshRoots(roots.map(root => root.id))}
+                                        disabled={scanCount !== null}
+                                        title="重新扫描同一文件夹 (排除名单变化后同样需要刷新)"
+                                        className="text-slate-400 hover:text-blue-600 disabled:opacity-50"
+                                    >
+                                        <RotateCw size={12} className={scanCount !== null ? 'animate-spin' : ''} />
+                                    </button>
+                                )}
+                                {fileList.length > 0 && <span className="text-[10px] bg-green-100 text-green-700 px-1.5 rounded">Loaded</span>}
+                            </div>
                         </div>
-                        <div className="relative group">
+                        <div
+                            className="relative group"
+                            onDragOver={e => { e.preventDefault(); setIsDragOver(true); }}
+                            onDragLeave={() => setIsDragOver(false)}
+                            onDrop={handleDrop}
+                        >
                             <input
                                 type="file"
                                 webkitdirectory=""
@@ -369,12 +1078,37 @@ export default function App() {
                                 className="absolute inset-0 w-full h-full opacity-0 cursor-pointer z-10"
                                 onChange={handleFolderSelect}
                             />
-                            <div className="border border-dashed border-blue-300 bg-blue-50 rounded-lg p-4 text-center hover:bg-blue-100 transition-colors">
-                                <Folder className="mx-auto text-blue-500 mb-2" size={24} />
-                                <p className="text-sm font-medium text-blue-700">选择文件夹</p>
-                                <p className="text-xs text-blue-400 mt-1 scale-90">支持拖拽 / 点击</p>
+                            <div className={`border border-dashed rounded-lg p-4 text-center transition-colors ${
+                                isDragOver ? 'border-blue-500 bg-blue-100' : 'border-blue-300 bg-blue-50 hover:bg-blue-100'
+                            }`}>
+                                {scanCount !== null
+                                    ? <Loader2 className="mx-auto text-blue-500 mb-2 animate-spin" size={24} />
+                                    : <Folder className="mx-auto text-blue-500 mb-2" size={24} />}
+                                <p className="text-sm font-medium text-blue-700">
+                                    {scanCount !== null ? `扫描中… ${scanCount.toLocaleString()} 项` : isDragOver ? '松开以导入' : '选择文件夹'}
+                                </p>
+                                <p className="text-xs text-blue-400 mt-1 scale-90">支持拖拽 / 点击，可同时拖入多个文件夹</p>
                             </div>
                         </div>
+                        {roots.length > 0 && (
+                            <WorkspaceRoots
+                                roots={roots}
+                                statistics={stats.roots}
+                                hidden={workspace.hidden}
+                                name={workspaceName}
+                                layout={config.workspaceLayout}
+                                isScanning={scanCount !== null}
+                                onAdd={files => addRoots([inputRoot(files)])}
+                                onDropAdd={dropToWorkspace}
+                                onUpdate={updateRoot}
+                                onMove={moveRoot}
+                                onRemove={removeRoot}
+                                onRefresh={id => refreshRoots([id])}
+                                onNameChange={setWorkspaceName}
+                                onLayoutChange={layout => setConfig(c => ({ ...c, workspaceLayout: layout }))}
+                            />
+                        )}
+                        <TextTreeImporter config={config} onImport={importTextTree} />
                     </div>
 
                     {/* 2. 样式 */}
@@ -387,7 +1121,7 @@ export default function App() {
                                 { id: 'ascii', label: 'ASCII' },
                                 { id: 'minimal', label: '极简' },
                                 { id: 'emoji', label: 'Emoji' },
-                                { id: 'json', label: 'JSON' }
+                                ...Object.keys(config.customStyles).map(id => ({ id, label: id, custom: true }))
                             ].map(opt => (
                                 <button
                                     key={opt.id}
@@ -398,10 +1132,62 @@ export default function App() {
                                             : 'bg-white text-slate-600 border-slate-200 hover:border-blue-300'
                                     }`}
                                 >
+                                    {opt.custom && <Pencil size={9} className="inline mr-1 opacity-60" />}
                                     {opt.label}
                                 </button>
                             ))}
                         </div>
+                        {/* 自定义风格：新建 / 编辑 / 导入 / 导出 */}
+                        <div className="flex items-center gap-1 text-[11px]">
+                            <button onClick={() => setStyleEditor({ id: null })} className="flex items-center gap-1 text-slate-400 hover:text-blue-600">
+                                <Plus size={12} /> 自定义风格
+                            </button>
+                            {config.customStyles[config.style] && (
+                                <button onClick={() => setStyleEditor({ id: config.style })} className="flex items-center gap-1 text-slate-400 hover:text-blue-600 ml-2">
+                                    <Pencil size={11} /> 编辑
+                                </button>
+                            )}
+                            <label className="ml-auto text-slate-400 hover:text-blue-600 cursor-pointer" title="导入风格 (JSON)">
+                                <Upload size={12} />
+                                <input type="file" accept=".json" className="hidden" onChange={importCustomStyles} />
+                            </label>
+                            <button
+                                onClick={exportCustomStyles}
+                                disabled={Object.keys(config.customStyles).length === 0}
+                                title="导出自定义风格 (JSON)"
+                                className="text-slate-400 hover:text-blue-600 disabled:opacity-40"
+                            >
+                                <Download size={12} />
+                            </button>
+                        </div>
+                        {styleImportError && <p className="text-[11px] text-red-500">{styleImportError}</p>}
+                        {styleEditor && (
+                            <StyleEditor
+                                key={styleEditor.id || ''}
+                                id={styleEditor.id}
+                                customStyles={config.customStyles}
+                                config={config}
+                                onSave={saveCustomStyle}
+                                onDelete={deleteCustomStyle}
+                                onClose={() => setStyleEditor(null)}
+                            />
+                        )}
+                        {/* 导出格式：由同一棵树生成，同样遵循深度 / 排除 / 显示文件 */}
+                        <div className="grid grid-cols-4 gap-1.5">
+                            {Object.entries(EXPORT_FORMATS).map(([id, format]) => (
+                                <button
+                                    key={id}
+                                    onClick={() => setConfig({ ...config, style: id })}
+                                    className={`text-[10px] py-1.5 px-1 rounded border transition-all truncate ${
+                                        config.style === id
+                                            ? 'bg-blue-600 text-white border-blue-600 shadow-sm'
+                                            : 'bg-white text-slate-600 border-slate-200 hover:border-blue-300'
+                                    }`}
+                                >
+                                    {format.label}
+                                </button>
+                            ))}
+                        </div>
 
                         <div className="pt-2 px-1">
                             <div className="flex justify-between text-xs text-slate-500 mb-1.5">
@@ -414,49 +1200,171 @@ export default function App() {
                                 className="w-full h-1.5 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
                             />
                         </div>
+
+                        <div className="flex items-center gap-1 px-1">
+                            <span className="text-xs text-slate-500 mr-auto">每个目录最多显示</span>
+                            <input
+                                type="number" min="0" step="1"
+                                value={config.maxChildren}
+                                onChange={e => setConfig({ ...config, maxChildren: Math.max(0, parseInt(e.target.value) || 0) })}
+                                title="其余条目汇总为一行；0 为不限"
+                                className="w-16 text-xs px-1.5 py-1 border border-slate-200 rounded outline-none focus:border-blue-500 text-slate-600"
+                            />
+                            <span className="text-xs text-slate-400">项</span>
+                        </div>
+                        {Object.keys(config.pathLimits).length > 0 && (
+                            <PathLimitList
+                                limits={config.pathLimits}
+                                onEdit={editPathLimit}
+                                onChange={pathLimits => setConfig(c => ({...c, pathLimits}))}
+                            />
+                        )}
+
+                        <div className="flex items-center gap-1 px-1">
+                            <span className="text-xs text-slate-500 mr-auto">Sort</span>
+                            <select
+                                value={config.sortBy}
+                                onChange={e => setConfig({ ...config, sortBy: e.target.value })}
+                                className="text-xs px-1.5 py-1 border border-slate-200 rounded outline-none focus:border-blue-500 bg-white text-slate-600"
+                            >
+                                {Object.entries(SORT_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                            <button
+                                onClick={() => setConfig({ ...config, sortOrder: config.sortOrder === 'desc' ? 'asc' : 'desc' })}
+                                title={config.sortOrder === 'desc' ? '降序 (点击切换)' : '升序 (点击切换)'}
+                                className="p-1 rounded border border-slate-200 text-slate-500 hover:border-blue-300 hover:text-blue-600"
+                            >
+                                {config.sortOrder === 'desc' ? <ArrowDownWideNarrow size={14} /> : <ArrowUpNarrowWide size={14} />}
+                            </button>
+                        </div>
                     </div>
 
                     {/* 3. 选项 */}
                     <div className="space-y-1 py-2 border-t border-b border-slate-100">
                         <Toggle label="显示文件" checked={config.showFiles} onChange={v => setConfig({...config, showFiles: v})} />
+                        {/* 空目录只有拖拽 / 目录句柄等能够枚举目录的来源才会提供 */}
+                        <Toggle label="显示空目录" checked={config.showEmptyDirs} onChange={v => setConfig({...config, showEmptyDirs: v})} />
+                        <Toggle label="清理过滤后的空目录" checked={config.pruneEmptyDirs} onChange={v => setConfig({...config, pruneEmptyDirs: v})} />
+                        <Toggle label="目录优先" checked={config.dirsFirst} onChange={v => setConfig({...config, dirsFirst: v})} />
+                        <Toggle label="合并单子目录 (a/b/c/)" checked={!!config.compactDirs} onChange={v => setConfig({...config, compactDirs: v})} />
                         <Toggle label="显示大小" checked={config.showSizes} onChange={v => setConfig({...config, showSizes: v})} />
                         <Toggle label="尾部斜杠 (/)" checked={config.trailingSlash} onChange={v => setConfig({...config, trailingSlash: v})} />
                         <Toggle label="顶部统计信息" checked={config.showStats} onChange={v => setConfig({...config, showStats: v})} />
+                        {/* 读取文件内容：行数、语言分布与重复文件，结果按文件缓存 */}
+                        <Toggle label="内容分析 (行数 / 语言 / 重复)" checked={!!config.analyzeContent} onChange={v => setConfig({...config, analyzeContent: v})} />
+                        {config.analyzeContent && (
+                            <div className="flex items-center gap-1 px-1">
+                                <span className="text-xs text-slate-500 mr-auto">跳过大于</span>
+                                <select
+                                    value={config.contentSizeLimit}
+                                    onChange={e => setConfig({ ...config, contentSizeLimit: Number(e.target.value) })}
+                                    className="text-xs px-1.5 py-1 border border-slate-200 rounded outline-none focus:border-blue-500 bg-white text-slate-600"
+                                >
+                                    {!CONTENT_LIMITS.includes(config.contentSizeLimit) && (
+                                        <option value={config.contentSizeLimit}>{formatSize(config.contentSizeLimit)}</option>
+                                    )}
+                                    {CONTENT_LIMITS.map(limit => <option key={limit} value={limit}>{formatSize(limit)}</option>)}
+                                </select>
+                                <span className="text-xs text-slate-500">的文件</span>
+                            </div>
+                        )}
+                        {config.style === 'markdown' && (
+                            <Toggle label="文件链接" checked={!!config.linkFiles} onChange={v => setConfig({...config, linkFiles: v})} />
+                        )}
+                        {hasGitignore && (
+                            <Toggle label="使用 .gitignore" checked={!!config.useGitignore} onChange={v => setConfig({...config, useGitignore: v})} />
+                        )}
+                        {/* .git 不在排除名单中时，所选文件夹才含有 .git/index */}
+                        {hasGitIndex && (
+                            <>
+                                <Toggle label="Git 状态 (未跟踪 / 忽略 / 修改)" checked={!!config.gitStatus} onChange={v => setConfig({...config, gitStatus: v})} />
+                                {config.gitStatus && (
+                                    <div className="pl-3 space-y-1">
+                                        <Toggle label="按大小与时间检测修改" checked={!!config.gitCheckModified} onChange={v => setConfig({...config, gitCheckModified: v})} />
+                                        <Toggle label="仅已跟踪的文件" checked={!!config.gitTrackedOnly} onChange={v => setConfig({...config, gitTrackedOnly: v})} />
+                                    </div>
+                                )}
+                            </>
+                        )}
                     </div>
 
-                    {/* 4. 排除 */}
+                    {/* 4. 图标与注释 */}
                     <div className="space-y-2">
-                        <div className="flex justify-between items-center">
-                            <label className="text-xs font-bold text-slate-400 uppercase">Ignore List</label>
-                            <button onClick={resetConfig} title="重置全部" className="text-slate-400 hover:text-red-500"><RefreshCw size={12}/></button>
-                        </div>
-                        <div className="flex gap-1">
-                            <input
-                                type="text"
-                                value={ignoreInput}
-                                onChange={e => setIgnoreInput(e.target.value)}
-                                onKeyDown={e => e.key === 'Enter' && setConfig(c => ({...c, ignores: [...c.ignores, ignoreInput] }) || setIgnoreInput(''))}
-                                placeholder="添加目录 (如 test)..."
-                                className="flex-1 px-2 py-1.5 text-xs border border-slate-200 rounded focus:border-blue-500 outline-none"
-                            />
-                            <button
-                                onClick={() => { if(ignoreInput) { setConfig(c => ({...c, ignores: [...c.ignores, ignoreInput] })); setIgnoreInput(''); }}}
-                                className="bg-slate-100 px-2 rounded text-slate-600 hover:bg-slate-200"
-                            >
-                                <Plus size={16} />
-                            </button>
-                        </div>
-                        <div className="flex flex-wrap gap-1.5">
-                            {config.ignores.map(item => (
-                                <span key={item} className="inline-flex items-center gap-1 px-1.5 py-0.5 bg-slate-50 border border-slate-200 text-slate-600 text-[10px] rounded group cursor-default">
-                  {item}
-                                    <button onClick={() => setConfig(c => ({...c, ignores: c.ignores.filter(i => i !== item)}))} className="text-slate-400 hover:text-red-500">
-                    <Trash2 size={10} />
-                  </button>
-                </span>
+                        <label className="text-xs font-bold text-slate-400 uppercase">Icons & Annotations</label>
+                        <div className="grid grid-cols-3 gap-1.5">
+                            {ICON_SETS.map(id => (
+                                <button
+                                    key={id}
+                                    onClick={() => setConfig({ ...config, iconSet: id })}
+                                    className={`text-[10px] py-1.5 px-1 rounded border transition-all truncate ${
+                                        config.iconSet === id
+                                            ? 'bg-blue-600 text-white border-blue-600 shadow-sm'
+                                            : 'bg-white text-slate-600 border-slate-200 hover:border-blue-300'
+                                    }`}
+                                >
+                                    {ICON_SET_LABELS[id]}
+                                </button>
                             ))}
                         </div>
+                        <div className="space-y-1">
+                            {/* emoji 等自带图标的风格总是显示图标 */}
+                            {!styleOf(config).icons && (
+                                <Toggle label="显示图标" checked={!!config.showIcons} onChange={v => setConfig({...config, showIcons: v})} />
+                            )}
+                            <Toggle label="注释：修改日期" checked={!!config.annotateDate} onChange={v => setConfig({...config, annotateDate: v})} />
+                            <Toggle label="注释：行数" checked={!!config.annotateLines} onChange={v => setConfig({...config, annotateLines: v})} />
+                            <Toggle label="注释：语言" checked={!!config.annotateLanguage} onChange={v => setConfig({...config, annotateLanguage: v})} />
+                        </div>
+                        <IconMapEditor iconMap={config.iconMap} onChange={iconMap => setConfig(c => ({...c, iconMap}))} />
+                        <TemplateEditor
+                            templates={config}
+                            applies={!EXPORT_FORMATS[config.style]}
+                            onChange={templates => setConfig(c => ({...c, ...templates}))}
+                        />
                     </div>
+
+                    {/* 5. 排除 */}
+                    <PatternList
+                        label="Ignore List"
+                        items={config.ignores}
+                        hits={patternHits.ignores}
+                        hitLabel="隐藏"
+                        placeholder="添加规则 (如 test, *.log, /dist/, re:正则)..."
+                        onChange={ignores => setConfig(c => ({...c, ignores}))}
+                        action={<button onClick={resetConfig} title="当前方案恢复默认设置" className="text-slate-400 hover:text-red-500"><RefreshCw size={12}/></button>}
+                    />
+
+                    {/* 6. 仅包含 */}
+                    <PatternList
+                        label="Include Only"
+                        items={config.includes}
+                        hits={patternHits.includes}
+                        hitLabel="保留"
+                        placeholder="只显示匹配项 (如 *.ts, docs/**)..."
+                        onChange={includes => setConfig(c => ({...c, includes}))}
+                    />
+
+                    {/* 7. 注释 */}
+                    {Object.keys(config.comments).length > 0 && (
+                        <CommentList
+                            comments={config.comments}
+                            missing={missingComments}
+                            onChange={comments => setConfig(c => ({...c, comments}))}
+                        />
+                    )}
+
+                    {/* 8. 快照对比 */}
+                    <SnapshotCompare
+                        canSnapshot={!!treeModel && !isGenerating}
+                        baseline={baseline}
+                        onSave={saveSnapshot}
+                        onUseCurrent={setCurrentAsBaseline}
+                        onLoad={setBaseline}
+                        onClear={() => setBaseline(null)}
+                    />
+
+                    {/* 9. Markdown 注入 */}
+                    <MarkdownInjector canRender={fileList.length > 0} render={renderForMarker} customStyles={config.customStyles} />
                 </div>
             </div>
 
@@ -476,7 +1384,10 @@ export default function App() {
                         {isGenerating ? (
                             <div className="flex items-center gap-2 px-3 py-1 bg-blue-50 text-blue-700 rounded-full text-xs font-medium border border-blue-100 animate-in fade-in zoom-in duration-300">
                                 <Loader2 className="animate-spin" size={14} />
-                                <span className="hidden sm:inline">Generating Tree...</span>
+                                <span className="hidden sm:inline">{progressLabel}</span>
+                                <div className="w-16 sm:w-24 h-1.5 bg-blue-100 rounded-full overflow-hidden">
+                                    <div className="h-full bg-blue-600 rounded-full transition-all duration-200" style={{ width: `${progressPercent}%` }} />
+                                </div>
                                 <button onClick={stopGeneration} className="ml-2 pl-2 border-l border-blue-200 hover:text-red-500 flex items-center gap-1">
                                     <Ban size={12} /> <span className="hidden sm:inline">Stop</span>
                                 </button>
@@ -488,6 +1399,42 @@ export default function App() {
                                         <span className="flex items-center gap-1 font-medium text-slate-700"><Folder size={14} className="text-blue-500"/> {stats.dirs}</span>
                                         <span className="flex items-center gap-1 font-medium text-slate-700"><FileText size={14} className="text-blue-500"/> {stats.files}</span>
                                         <span className="hidden sm:flex items-center gap-1 text-slate-400"><HardDrive size={14}/> {formatSize(stats.totalSize)}</span>
+                                        {stats.languages && (
+                                            <span
+                                                className="hidden md:flex items-center gap-1 text-slate-400 truncate"
+                                                title={stats.languages.map(item => `${item.language}: ${item.files} files, ${item.lines.toLocaleString()} lines`).join('\n')}
+                                            >
+                                                <FileCode2 size={14}/> {stats.lines.toLocaleString()} lines
+                                                {stats.languages.length > 0 && ` · ${stats.languages.slice(0, 3).map(item => item.language).join(', ')}`}
+                                            </span>
+                                        )}
+                                        {stats.duplicates && stats.duplicates.groups > 0 && (
+                                            <span
+                                                className="hidden md:flex items-center gap-1 text-amber-600"
+                                                title={`${stats.duplicates.files} 个文件内容重复，多余副本共 ${formatSize(stats.duplicates.wastedSize)}`}
+                                            >
+                                                <Copy size={14}/> {stats.duplicates.groups} dup
+                                            </span>
+                                        )}
+                                        {stats.roots && (
+                                            <span
+                                                className="hidden md:flex items-center gap-1 text-slate-400"
+                                                title={stats.roots.map(item => `${item.name}: ${item.dirs} dirs, ${item.files} files, ${formatSize(item.totalSize)}`).join('\n')}
+                                            >
+                                                <Layers size={14}/> {stats.roots.length} roots
+                                            </span>
+                                        )}
+                                        {stats.git && (
+                                            <span
+                                                className="hidden md:flex items-center gap-1 text-slate-400"
+                                                title={GIT_STATUSES.map(status => `${status}: ${stats.git[status]}`).join('\n')}
+                                            >
+                                                <GitBranch size={14}/>
+                                                {stats.git.modified + stats.git.untracked > 0
+                                                    ? `${stats.git.modified} modified · ${stats.git.untracked} untracked`
+                                                    : 'clean'}
+                                            </span>
+                                        )}
                                     </>
                                 ) : (
                                     <span className="text-slate-400 italic">Ready to generate</span>
@@ -497,9 +1444,11 @@ export default function App() {
                     </div>
 
                     <div className="flex items-center gap-2">
+                        <ScaffoldMenu disabled={!treeModel || isGenerating} onExport={downloadScaffold} />
+
                         <button
                             onClick={downloadFile}
-                            disabled={!generatedTree}
+                            disabled={!outputText}
                             className="hidden sm:flex items-center gap-1.5 px-3 py-1.5 text-slate-600 bg-white border border-slate-200 hover:border-blue-400 hover:text-blue-600 rounded-md text-xs font-medium transition-all"
                             title="下载文件"
                         >
@@ -509,7 +1458,7 @@ export default function App() {
 
                         <button
                             onClick={downloadFile}
-                            disabled={!generatedTree}
+                            disabled={!outputText}
                             className="sm:hidden p-2 text-slate-600 hover:text-blue-600"
                         >
                             <Download size={18} />
@@ -517,11 +1466,11 @@ export default function App() {
 
                         <button
                             onClick={copyToClipboard}
-                            disabled={!generatedTree}
+                            disabled={!outputText}
                             className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-xs font-medium transition-all shadow-sm ${
                                 isCopied
                                     ? 'bg-green-600 text-white border border-green-600'
-                                    : generatedTree
+                                    : outputText
                                         ? 'bg-slate-900 text-white hover:bg-black border border-slate-900'
                                         : 'bg-slate-100 text-slate-400 border border-slate-200 cursor-not-allowed'
                             }`}
@@ -547,12 +1496,31 @@ export default function App() {
                                     <div className="w-3 h-3 rounded-full bg-[#27c93f] group-hover:brightness-90" />
                                 </div>
                                 <span className="ml-3 text-xs text-zinc-500 font-mono hidden sm:inline">
-                   {rootName}.{config.style === 'json' ? 'json' : 'txt'}
+                   {rootName}.{formatOf(config.style).extension}
                  </span>
                             </div>
 
-                            <div className="flex items-center gap-2">
-                                {isGenerating && <Loader2 size={14} className="animate-spin text-blue-500" />}
+                            <div className="flex items-center gap-2 min-w-0">
+                                {fileList.length > 0 && (
+                                    <SearchBar
+                                        search={search}
+                                        onChange={updateSearch}
+                                        matchCount={matchCount}
+                                        activeMatch={currentMatch}
+                                        onStep={stepMatch}
+                                        error={searchMatcher.error}
+                                    />
+                                )}
+                                {(isGenerating || isViewPending) && <Loader2 size={14} className="animate-spin text-blue-500" />}
+                                {treeModel && (
+                                    <button
+                                        onClick={() => setShowSizePanel(!showSizePanel)}
+                                        className={`p-1 rounded transition-colors ${showSizePanel ? 'text-[#007acc] bg-white/10' : 'text-zinc-500 hover:text-white'}`}
+                                        title="体积分析：最大的文件与目录"
+                                    >
+                                        <BarChart3 size={16} />
+                                    </button>
+                                )}
                                 <button
                                     onClick={() => setIsFullScreen(!isFullScreen)}
                                     className="text-zinc-500 hover:text-white transition-colors p-1"
@@ -563,6 +1531,18 @@ export default function App() {
                             </div>
                         </div>
 
+                        {/* 对比统计 */}
+                        {viewResult && viewResult.changes && (
+                            <div className="h-7 bg-[#2d2d2d] border-b border-black/30 flex items-center gap-4 px-4 text-[11px] font-mono shrink-0 select-none">
+                                <span className="text-zinc-500">对比 {baseline.label}</span>
+                                <span className="text-green-400">+{viewResult.changes.added} 新增</span>
+                                <span className="text-red-400">-{viewResult.changes.removed} 删除</span>
+                                <span className="text-amber-300">~{viewResult.changes.modified} 修改</span>
+                                <span className="text-sky-400">&gt;{viewResult.changes.moved} 移动</span>
+                                <span className="text-zinc-500">{viewResult.changes.unchanged} 未变</span>
+                            </div>
+                        )}
+
                         {/* Code Content */}
                         <div className="flex-1 overflow-auto p-4 custom-scrollbar relative bg-[#1e1e1e]">
                             {!fileList.length && !isGenerating ? (
@@ -570,9 +1550,22 @@ export default function App() {
                                     <Code size={64} strokeWidth={1} />
                                     <p className="mt-4 text-sm">Waiting for input...</p>
                                 </div>
+                            ) : showSizePanel && treeModel && !isGenerating ? (
+                                <SizePanel tree={treeModel} statistics={stats} onSelect={locatePath} />
+                            ) : shownRows && !isGenerating ? (
+                                <TreeView
+                                    rows={shownRows}
+                                    collapsed={collapsed}
+                                    onToggle={toggleCollapsed}
+                                    onExclude={excludePath}
+                                    onComment={editComment}
+                                    onLimit={editPathLimit}
+                                    match={searchMatcher.match}
+                                    activeIndex={activeIndex}
+                                />
                             ) : (
                                 <pre className="font-mono text-xs sm:text-sm leading-6 text-zinc-300 whitespace-pre font-ligatures-none">
-                   {generatedTree}
+                   {isGenerating || isViewPending ? generatedTree : baseOutput}
                  </pre>
                             )}
                         </div>
@@ -583,6 +1576,7 @@ export default function App() {
                                 <div className="flex gap-3">
                                     <span>UTF-8</span>
                                     <span>{stats.files} files</span>
+                                    {stats.languages && <span>{stats.lines.toLocaleString()} lines</span>}
                                 </div>
                                 <span>{config.style.toUpperCase()}</span>
                             </div>
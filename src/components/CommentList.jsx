@@ -0,0 +1,65 @@
+import React from 'react';
+import { AlertTriangle, Trash2 } from 'lucide-react';
+import { normalizeComment } from '../lib/comments.js';
+
+// --- 行内注释列表 ---
+// 列出当前方案中的全部注释，可直接编辑或删除；路径已不在树中的注释标记出来，由用户决定保留或删除。
+
+/**
+ * @param {object} props
+ * @param {{ [path: string]: string }} props.comments
+ * @param {string[]} props.missing 路径已不存在的注释
+ * @param {(comments: object) => void} props.onChange
+ */
+export default function CommentList({ comments, missing, onChange }) {
+    const paths = Object.keys(comments).sort();
+    const missingSet = new Set(missing);
+
+    const update = (path, text) => onChange({ ...comments, [path]: text });
+    const remove = (path) => {
+        const next = { ...comments };
+        delete next[path];
+        onChange(next);
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex justify-between items-center">
+                <label className="text-xs font-bold text-slate-400 uppercase">Comments</label>
+                {missing.length > 0 && (
+                    <button
+                        onClick={() => onChange(Object.fromEntries(Object.entries(comments).filter(([path]) => !missingSet.has(path))))}
+                        className="text-[10px] text-amber-600 hover:text-red-500"
+                    >
+                        清除失效注释 ({missing.length})
+                    </button>
+                )}
+            </div>
+            <div className="space-y-1">
+                {paths.map(path => (
+                    <div key={path} className="space-y-0.5">
+                        <div
+                            className={`flex items-center gap-1 text-[10px] font-mono truncate ${missingSet.has(path) ? 'text-amber-600' : 'text-slate-500'}`}
+                            title={missingSet.has(path) ? '路径不存在 (已删除、改名或被排除)' : path}
+                        >
+                            {missingSet.has(path) && <AlertTriangle size={10} className="shrink-0" />}
+                            <span className="truncate">{path || '(根目录)'}</span>
+                        </div>
+                        <div className="flex gap-1">
+                            <input
+                                type="text"
+                                value={comments[path]}
+                                onChange={e => update(path, e.target.value)}
+                                onBlur={e => (normalizeComment(e.target.value) ? update(path, normalizeComment(e.target.value)) : remove(path))}
+                                className="flex-1 min-w-0 px-2 py-1 text-xs border border-slate-200 rounded outline-none focus:border-blue-500"
+                            />
+                            <button onClick={() => remove(path)} title="删除注释" className="px-1 text-slate-400 hover:text-red-500">
+                                <Trash2 size={12} />
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, Copy, Plus, RotateCcw, Trash2 } from 'lucide-react';
+import { DEFAULT_ICON_MAP } from '../lib/icons.js';
+
+// --- 图标映射表编辑器 ---
+// 每条规则：文件名 / glob (逗号分隔)、emoji、Nerd Font 字形与语言名称。
+// 从上到下取第一条命中的规则。iconMap 只含自定义规则，排在只读的默认规则之前；
+// 默认规则可以复制为自定义规则后修改。
+
+const FIELDS = [
+    { key: 'match', placeholder: '*.ext, name', className: 'flex-1 min-w-0' },
+    { key: 'emoji', placeholder: '🙂', className: 'w-9 text-center' },
+    { key: 'nerd', placeholder: 'NF', className: 'w-9 text-center' },
+    { key: 'language', placeholder: '语言', className: 'w-20' }
+];
+
+export default function IconMapEditor({ iconMap, onChange }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    const updateRule = (index, key, value) => {
+        onChange(iconMap.map((rule, i) => (i === index ? { ...rule, [key]: value } : rule)));
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex justify-between items-center">
+                <button
+                    onClick={() => setIsOpen(!isOpen)}
+                    className="flex items-center gap-1 text-xs font-bold text-slate-400 uppercase hover:text-slate-600"
+                >
+                    {isOpen ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                    Icon Map
+                    <span className="font-normal normal-case">({iconMap.length} 条自定义)</span>
+                </button>
+                {iconMap.length > 0 && (
+                    <button onClick={() => onChange([])} title="删除所有自定义规则" className="text-slate-400 hover:text-red-500">
+                        <RotateCcw size={12} />
+                    </button>
+                )}
+            </div>
+            {isOpen && (
+                <div className="space-y-1">
+                    <button
+                        onClick={() => onChange([{ match: '' }, ...iconMap])}
+                        className="w-full flex items-center justify-center gap-1 text-[11px] py-1 rounded bg-slate-100 text-slate-600 hover:bg-slate-200"
+                    >
+                        <Plus size={12} /> 添加规则
+                    </button>
+                    <div className="max-h-64 overflow-y-auto space-y-1 custom-scrollbar pr-1">
+                        {iconMap.map((rule, index) => (
+                            <div key={index} className="flex items-center gap-1">
+                                {FIELDS.map(field => (
+                                    <input
+                                        key={field.key}
+                                        type="text"
+                                        value={rule[field.key] || ''}
+                                        onChange={e => updateRule(index, field.key, e.target.value)}
+                                        placeholder={field.placeholder}
+                                        className={`${field.className} px-1 py-0.5 text-[11px] border border-slate-200 rounded outline-none focus:border-blue-500`}
+                                    />
+                                ))}
+                                <button
+                                    onClick={() => onChange(iconMap.filter((_, i) => i !== index))}
+                                    className="text-slate-400 hover:text-red-500 shrink-0"
+                                >
+                                    <Trash2 size={10} />
+                                </button>
+                            </div>
+                        ))}
+                        <p className="pt-1 text-[10px] text-slate-400">默认规则</p>
+                        {DEFAULT_ICON_MAP.map((rule, index) => (
+                            <div key={index} className="flex items-center gap-1 text-slate-400">
+                                {FIELDS.map(field => (
+                                    <span key={field.key} className={`${field.className} px-1 py-0.5 text-[11px] truncate`}>
+                                        {rule[field.key] || ''}
+                                    </span>
+                                ))}
+                                <button
+                                    onClick={() => onChange([{ ...rule }, ...iconMap])}
+                                    title="复制为自定义规则"
+                                    className="hover:text-blue-600 shrink-0"
+                                >
+                                    <Copy size={10} />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
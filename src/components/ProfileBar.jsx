@@ -0,0 +1,36 @@
+import React from 'react';
+import { Check, Download, Link2, Pencil, Plus, Trash2, Upload } from 'lucide-react';
+
+// --- 配置方案切换栏 ---
+// 下拉切换当前方案，以及新建 / 重命名 / 删除 / 导入 / 导出 / 复制分享链接。
+
+const iconButton = 'p-1 rounded text-slate-400 hover:text-blue-600 hover:bg-slate-100 disabled:opacity-40 disabled:hover:bg-transparent';
+
+export default function ProfileBar({ names, active, isShared, error, onSwitch, onCreate, onRename, onDelete, onImport, onExport, onShare }) {
+    return (
+        <div className="space-y-1.5">
+            <label className="text-xs font-bold text-slate-400 uppercase">Profile</label>
+            <div className="flex items-center gap-0.5">
+                <select
+                    value={active}
+                    onChange={e => onSwitch(e.target.value)}
+                    className="flex-1 min-w-0 text-xs px-1.5 py-1 mr-1 border border-slate-200 rounded outline-none focus:border-blue-500 bg-white text-slate-700"
+                >
+                    {names.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <button onClick={onCreate} title="以当前设置新建方案" className={iconButton}><Plus size={13} /></button>
+                <button onClick={onRename} title="重命名" className={iconButton}><Pencil size={12} /></button>
+                <button onClick={onDelete} disabled={names.length <= 1} title="删除方案" className={iconButton}><Trash2 size={12} /></button>
+                <label title="导入方案 (JSON)" className={`${iconButton} cursor-pointer`}>
+                    <Upload size={12} />
+                    <input type="file" accept=".json" className="hidden" onChange={onImport} />
+                </label>
+                <button onClick={onExport} title="导出全部方案 (JSON)" className={iconButton}><Download size={12} /></button>
+                <button onClick={onShare} title="复制当前方案的分享链接" className={iconButton}>
+                    {isShared ? <Check size={12} className="text-green-600" /> : <Link2 size={12} />}
+                </button>
+            </div>
+            {error && <p className="text-[11px] text-red-500">{error}</p>}
+        </div>
+    );
+}
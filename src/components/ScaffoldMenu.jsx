@@ -0,0 +1,53 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, FolderPlus } from 'lucide-react';
+import { SCAFFOLD_FORMATS } from '../lib/scaffold.js';
+
+// --- 脚手架导出菜单 ---
+// 将当前树 (含导入的文本树) 导出为 sh / PowerShell 脚本或 zip，格式见 scaffold.js。
+
+export default function ScaffoldMenu({ disabled, onExport }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    // 点击其他位置 / Esc 时关闭
+    useEffect(() => {
+        if (!isOpen) return;
+        const close = () => setIsOpen(false);
+        const handleKey = (e) => e.key === 'Escape' && close();
+        window.addEventListener('click', close);
+        window.addEventListener('keydown', handleKey);
+        return () => {
+            window.removeEventListener('click', close);
+            window.removeEventListener('keydown', handleKey);
+        };
+    }, [isOpen]);
+
+    return (
+        <div className="relative hidden sm:block" onClick={e => e.stopPropagation()}>
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                disabled={disabled}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-slate-600 bg-white border border-slate-200 hover:border-blue-400 hover:text-blue-600 rounded-md text-xs font-medium transition-all disabled:opacity-50 disabled:hover:border-slate-200 disabled:hover:text-slate-600"
+                title="导出为可重建目录结构的脚本或 zip"
+            >
+                <FolderPlus size={14} />
+                <span>脚手架</span>
+                <ChevronDown size={12} />
+            </button>
+            {isOpen && (
+                <div className="absolute right-0 mt-1 z-20 min-w-48 py-1 bg-white border border-slate-200 rounded-md shadow-lg text-xs text-slate-600">
+                    {Object.entries(SCAFFOLD_FORMATS).map(([id, format]) => (
+                        <button
+                            key={id}
+                            onClick={() => { onExport(id); setIsOpen(false); }}
+                            className="w-full flex justify-between gap-4 px-3 py-1.5 hover:bg-blue-50 hover:text-blue-600 text-left"
+                        >
+                            <span>{format.label}</span>
+                            <span className="text-slate-400 font-mono">.{format.extension}</span>
+                        </button>
+                    ))}
+                    <p className="px-3 pt-1.5 mt-1 border-t border-slate-100 text-[10px] text-slate-400">遵循排除规则、深度与 "显示文件"</p>
+                </div>
+            )}
+        </div>
+    );
+}
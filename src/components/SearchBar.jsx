@@ -0,0 +1,76 @@
+import React, { useEffect, useRef } from 'react';
+import { Search, ChevronUp, ChevronDown, Filter, X } from 'lucide-react';
+
+// --- 预览区搜索栏 ---
+// Enter / Shift+Enter 在结果间跳转，Ctrl/Cmd+F 聚焦输入框。
+
+const MODE_LABELS = { text: 'Aa', glob: '*', regex: '.*' };
+const MODE_TITLES = { text: '子串匹配', glob: 'Glob 匹配', regex: '正则匹配' };
+
+export default function SearchBar({ search, onChange, matchCount, activeMatch, onStep, error }) {
+    const inputRef = useRef(null);
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+                e.preventDefault();
+                inputRef.current && inputRef.current.focus();
+            }
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, []);
+
+    const modes = Object.keys(MODE_LABELS);
+    const nextMode = modes[(modes.indexOf(search.mode) + 1) % modes.length];
+
+    return (
+        <div className="flex items-center gap-1 min-w-0">
+            <div className={`flex items-center gap-1 h-6 px-1.5 rounded bg-[#3c3c3c] border ${error ? 'border-red-500' : 'border-transparent focus-within:border-[#007acc]'}`}>
+                <Search size={12} className="text-zinc-500 shrink-0" />
+                <input
+                    ref={inputRef}
+                    value={search.query}
+                    onChange={e => onChange({ ...search, query: e.target.value })}
+                    onKeyDown={e => {
+                        if (e.key === 'Enter') onStep(e.shiftKey ? -1 : 1);
+                        if (e.key === 'Escape') onChange({ ...search, query: '' });
+                    }}
+                    placeholder="搜索..."
+                    title={error || '含 "/" 时按路径匹配，否则按名称匹配'}
+                    className="w-20 sm:w-36 bg-transparent text-xs text-zinc-200 placeholder-zinc-500 outline-none font-mono"
+                />
+                {search.query && (
+                    <button onClick={() => onChange({ ...search, query: '' })} className="text-zinc-500 hover:text-white">
+                        <X size={12} />
+                    </button>
+                )}
+                <button
+                    onClick={() => onChange({ ...search, mode: nextMode })}
+                    title={`${MODE_TITLES[search.mode]} (点击切换)`}
+                    className="px-1 text-[10px] font-mono text-zinc-400 hover:text-white rounded hover:bg-white/10"
+                >
+                    {MODE_LABELS[search.mode]}
+                </button>
+            </div>
+            {search.query && !error && (
+                <span className="text-[10px] text-zinc-500 font-mono whitespace-nowrap">
+                    {matchCount > 0 ? `${activeMatch + 1} / ${matchCount}` : '0 / 0'}
+                </span>
+            )}
+            <button onClick={() => onStep(-1)} disabled={!matchCount} title="上一个 (Shift+Enter)" className="p-0.5 text-zinc-500 hover:text-white disabled:opacity-30">
+                <ChevronUp size={14} />
+            </button>
+            <button onClick={() => onStep(1)} disabled={!matchCount} title="下一个 (Enter)" className="p-0.5 text-zinc-500 hover:text-white disabled:opacity-30">
+                <ChevronDown size={14} />
+            </button>
+            <button
+                onClick={() => onChange({ ...search, onlyMatches: !search.onlyMatches })}
+                title="只显示匹配项及其父目录"
+                className={`p-0.5 rounded ${search.onlyMatches ? 'text-[#007acc] bg-white/10' : 'text-zinc-500 hover:text-white'}`}
+            >
+                <Filter size={14} />
+            </button>
+        </div>
+    );
+}
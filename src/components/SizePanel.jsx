@@ -0,0 +1,105 @@
+import React, { useMemo } from 'react';
+import { Copy, File, FileCode2, Folder } from 'lucide-react';
+import { largestEntries } from '../lib/aggregate.js';
+import { duplicateGroups } from '../lib/analysis.js';
+import { formatSize } from '../lib/size.js';
+
+// --- 体积分析面板 ---
+// 列出最大的文件与目录 (目录按汇总大小)，条形长度相对于总大小；点击条目在预览中定位。
+// 开启内容分析时另列出语言分布 (按行数) 与重复文件组。
+
+const TOP_N = 15;
+
+const SizeList = ({ title, icon, items, total, onSelect }) => (
+    <div className="space-y-1 min-w-0">
+        <div className="text-[10px] font-bold uppercase text-zinc-500 mb-2">{title}</div>
+        {items.length === 0 && <div className="text-xs text-zinc-600">—</div>}
+        {items.map(item => {
+            const percent = total > 0 ? (item.size / total) * 100 : 0;
+            return (
+                <button
+                    key={item.path}
+                    onClick={() => onSelect(item.path)}
+                    title={item.path}
+                    className="w-full text-left group"
+                >
+                    <div className="flex items-center gap-2 text-xs font-mono">
+                        <span className="shrink-0 text-zinc-500">{icon}</span>
+                        <span className="truncate flex-1 text-zinc-300 group-hover:text-white">{item.path}</span>
+                        {item.fileCount !== undefined && <span className="text-zinc-600 shrink-0">{item.fileCount} files</span>}
+                        <span className="text-zinc-400 shrink-0 w-20 text-right">{formatSize(item.size)}</span>
+                    </div>
+                    <div className="h-1 mt-0.5 mb-1.5 rounded-full bg-white/5 overflow-hidden">
+                        <div className="h-full rounded-full bg-[#007acc] group-hover:bg-sky-400" style={{ width: `${Math.max(percent, 0.5)}%` }} />
+                    </div>
+                </button>
+            );
+        })}
+    </div>
+);
+
+const LanguageList = ({ languages, totalLines }) => (
+    <div className="space-y-1 min-w-0">
+        <div className="text-[10px] font-bold uppercase text-zinc-500 mb-2">Languages ({totalLines.toLocaleString()} lines)</div>
+        {languages.length === 0 && <div className="text-xs text-zinc-600">—</div>}
+        {languages.slice(0, TOP_N).map(item => {
+            const percent = totalLines > 0 ? (item.lines / totalLines) * 100 : 0;
+            return (
+                <div key={item.language}>
+                    <div className="flex items-center gap-2 text-xs font-mono">
+                        <span className="shrink-0 text-zinc-500"><FileCode2 size={12} /></span>
+                        <span className="truncate flex-1 text-zinc-300">{item.language}</span>
+                        <span className="text-zinc-600 shrink-0">{item.files} files</span>
+                        <span className="text-zinc-400 shrink-0 w-24 text-right">{item.lines.toLocaleString()} lines</span>
+                    </div>
+                    <div className="h-1 mt-0.5 mb-1.5 rounded-full bg-white/5 overflow-hidden">
+                        <div className="h-full rounded-full bg-emerald-600" style={{ width: `${Math.max(percent, 0.5)}%` }} />
+                    </div>
+                </div>
+            );
+        })}
+    </div>
+);
+
+const DuplicateList = ({ groups, wastedSize, onSelect }) => (
+    <div className="space-y-2 min-w-0">
+        <div className="text-[10px] font-bold uppercase text-zinc-500 mb-2">Duplicates ({formatSize(wastedSize)} wasted)</div>
+        {groups.length === 0 && <div className="text-xs text-zinc-600">—</div>}
+        {groups.slice(0, TOP_N).map(group => (
+            <div key={group.paths[0]} className="text-xs font-mono">
+                <div className="text-zinc-500">{group.paths.length} × {formatSize(group.size)}</div>
+                {group.paths.map(path => (
+                    <button
+                        key={path}
+                        onClick={() => onSelect(path)}
+                        title={path}
+                        className="w-full flex items-center gap-2 pl-2 text-left text-zinc-300 hover:text-white"
+                    >
+                        <Copy size={12} className="shrink-0 text-zinc-500" />
+                        <span className="truncate">{path}</span>
+                    </button>
+                ))}
+            </div>
+        ))}
+    </div>
+);
+
+export default function SizePanel({ tree, statistics, onSelect }) {
+    const { files, dirs } = useMemo(() => largestEntries(tree, TOP_N), [tree]);
+    const duplicates = useMemo(() => (statistics.duplicates ? duplicateGroups(tree) : []), [tree, statistics.duplicates]);
+
+    return (
+        <div className="absolute inset-0 overflow-auto p-4 custom-scrollbar">
+            <div className="grid gap-6 md:grid-cols-2">
+                <SizeList title={`Largest folders (top ${TOP_N})`} icon={<Folder size={12} />} items={dirs} total={statistics.totalSize} onSelect={onSelect} />
+                <SizeList title={`Largest files (top ${TOP_N})`} icon={<File size={12} />} items={files} total={statistics.totalSize} onSelect={onSelect} />
+                {statistics.languages && (
+                    <>
+                        <LanguageList languages={statistics.languages} totalLines={statistics.lines} />
+                        <DuplicateList groups={duplicates} wastedSize={statistics.duplicates.wastedSize} onSelect={onSelect} />
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
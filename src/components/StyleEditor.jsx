@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react';
+import { DEFAULT_CONFIG, buildTree, renderTree } from '../lib/tree.js';
+import { TREE_STYLES, normalizeStyle, validateStyleId } from '../lib/styles.js';
+
+// --- 自定义风格编辑器 ---
+// 编辑连线字形、缩进宽度、名称前后缀与根节点格式，并以示例目录树实时预览。
+// 字段含义见 styles.js。
+
+const PREVIEW_ID = '__preview';
+
+const SAMPLE_ENTRIES = [
+    { path: 'public', type: 'dir' },
+    { path: 'src/components/Button.jsx', size: 1200 },
+    { path: 'src/components/Modal.jsx', size: 2400 },
+    { path: 'src/index.js', size: 300 },
+    { path: 'package.json', size: 600 },
+    { path: 'README.md', size: 1800 }
+];
+
+let sampleTree = null;
+const getSampleTree = () => {
+    if (!sampleTree) sampleTree = buildTree(SAMPLE_ENTRIES, { ignores: [] }).then(result => result.tree);
+    return sampleTree;
+};
+
+const GLYPH_FIELDS = [
+    { key: 'branch', label: '分支' },
+    { key: 'lastBranch', label: '最后分支' },
+    { key: 'vertical', label: '竖线' },
+    { key: 'space', label: '空白' }
+];
+const AFFIX_FIELDS = [
+    { key: 'dirPrefix', label: '目录前缀' },
+    { key: 'dirSuffix', label: '目录后缀' },
+    { key: 'filePrefix', label: '文件前缀' },
+    { key: 'fileSuffix', label: '文件后缀' }
+];
+
+const inputClass = 'w-full px-1.5 py-1 text-[11px] font-mono border border-slate-200 rounded outline-none focus:border-blue-500 whitespace-pre';
+
+const Field = ({ label, children }) => (
+    <label className="block space-y-0.5">
+        <span className="text-[10px] text-slate-500">{label}</span>
+        {children}
+    </label>
+);
+
+/**
+ * @param {object} props
+ * @param {string | null} props.id 正在编辑的自定义风格，新建时为 null
+ * @param {object} props.customStyles 已有的自定义风格
+ * @param {object} props.config 当前配置 (预览沿用其中的图标设置)
+ * @param {(id: string, style: object, previousId: string | null) => void} props.onSave
+ * @param {(id: string) => void} props.onDelete
+ * @param {() => void} props.onClose
+ */
+export default function StyleEditor({ id, customStyles, config, onSave, onDelete, onClose }) {
+    const [name, setName] = useState(id || '');
+    const [draft, setDraft] = useState(() => ({ ...(id ? customStyles[id] : TREE_STYLES.classic) }));
+    const [preview, setPreview] = useState({ text: '', error: null });
+    const [error, setError] = useState(null);
+
+    const { iconSet, iconMap } = config;
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            try {
+                const style = normalizeStyle(draft);
+                const cfg = { ...DEFAULT_CONFIG, style: PREVIEW_ID, customStyles: { [PREVIEW_ID]: style }, iconSet, iconMap };
+                const text = await renderTree(await getSampleTree(), cfg, 'my-app');
+                if (!cancelled) setPreview({ text, error: null });
+            } catch (err) {
+                if (!cancelled) setPreview({ text: '', error: err.message });
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [draft, iconSet, iconMap]);
+
+    const update = (key, value) => setDraft(d => ({ ...d, [key]: value }));
+
+    const save = () => {
+        const trimmed = name.trim();
+        const idError = validateStyleId(trimmed) || (trimmed !== id && customStyles[trimmed] ? `"${trimmed}" 已存在` : null);
+        if (idError) {
+            setError(idError);
+            return;
+        }
+        try {
+            onSave(trimmed, normalizeStyle(draft), id);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="space-y-2 p-2 rounded border border-blue-200 bg-blue-50/40">
+            <div className="flex gap-1">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={e => { setName(e.target.value); setError(null); }}
+                    placeholder="风格名称 (如 house)"
+                    className="flex-1 min-w-0 px-2 py-1 text-xs border border-slate-200 rounded outline-none focus:border-blue-500"
+                />
+                <select
+                    value=""
+                    onChange={e => e.target.value && setDraft({ ...TREE_STYLES[e.target.value] })}
+                    title="以内置风格为起点"
+                    className="text-[11px] px-1 border border-slate-200 rounded outline-none bg-white text-slate-600"
+                >
+                    <option value="">预设…</option>
+                    {Object.keys(TREE_STYLES).map(key => <option key={key} value={key}>{key}</option>)}
+                </select>
+            </div>
+
+            <div className="grid grid-cols-4 gap-1">
+                {GLYPH_FIELDS.map(field => (
+                    <Field key={field.key} label={field.label}>
+                        <input type="text" value={draft[field.key] || ''} onChange={e => update(field.key, e.target.value)} className={inputClass} />
+                    </Field>
+                ))}
+            </div>
+            <div className="grid grid-cols-4 gap-1">
+                {AFFIX_FIELDS.map(field => (
+                    <Field key={field.key} label={field.label}>
+                        <input type="text" value={draft[field.key] || ''} onChange={e => update(field.key, e.target.value)} className={inputClass} />
+                    </Field>
+                ))}
+            </div>
+            <div className="grid grid-cols-4 gap-1 items-end">
+                <Field label="缩进宽度">
+                    <input
+                        type="number" min="0" max="16"
+                        value={draft.indentWidth || 0}
+                        onChange={e => update('indentWidth', Number(e.target.value))}
+                        title="0 表示按字形宽度"
+                        className={inputClass}
+                    />
+                </Field>
+                <div className="col-span-2">
+                    <Field label="根节点 ({name})">
+                        <input type="text" value={draft.rootLabel ?? '{name}'} onChange={e => update('rootLabel', e.target.value)} className={inputClass} />
+                    </Field>
+                </div>
+                <label className="flex items-center gap-1 text-[11px] text-slate-600 pb-1 cursor-pointer">
+                    <input type="checkbox" checked={!!draft.icons} onChange={e => update('icons', e.target.checked)} className="accent-blue-600" />
+                    图标
+                </label>
+            </div>
+
+            <pre className="text-[11px] leading-4 font-mono bg-[#1e1e1e] text-[#d4d4d4] rounded p-2 overflow-x-auto custom-scrollbar">
+                {preview.error ? <span className="text-red-400">{preview.error}</span> : preview.text}
+            </pre>
+
+            {error && <p className="text-[11px] text-red-500">{error}</p>}
+            <div className="flex gap-1">
+                <button
+                    onClick={save}
+                    disabled={!name.trim() || !!preview.error}
+                    className="flex-1 text-xs py-1.5 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-slate-200 disabled:text-slate-400"
+                >
+                    保存
+                </button>
+                {id && (
+                    <button
+                        onClick={() => confirm(`删除风格 "${id}"？`) && onDelete(id)}
+                        className="px-2 rounded text-xs text-red-500 bg-red-50 hover:bg-red-100"
+                    >
+                        删除
+                    </button>
+                )}
+                <button onClick={onClose} className="bg-slate-100 px-2 rounded text-xs text-slate-600 hover:bg-slate-200">
+                    取消
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, RotateCcw } from 'lucide-react';
+import { LINE_VARIABLES, SUMMARY_VARIABLES, TEMPLATE_FILTERS, validateTemplates } from '../lib/template.js';
+
+// --- 输出模板编辑器 ---
+// 逐行模板与头部 / 尾部模板，语法见 template.js。输入无效时显示错误并保留草稿，
+// 只有有效 (或清空) 的模板才写入配置，因此配置中的模板总是可以直接渲染。
+
+const FIELDS = [
+    { key: 'headerTemplate', label: '头部', variables: SUMMARY_VARIABLES, multiline: true, example: '{root}: {dirs} directories, {files} files ({totalSize})\n' },
+    { key: 'lineTemplate', label: '每行', variables: LINE_VARIABLES, multiline: false, example: '{prefix}{icon}{name}{slash} {size|padStart:10}' },
+    { key: 'footerTemplate', label: '尾部', variables: SUMMARY_VARIABLES, multiline: true, example: '\nGenerated {date:YYYY-MM-DD}' }
+];
+
+const inputClass = 'w-full px-1.5 py-1 text-[11px] font-mono border rounded outline-none whitespace-pre';
+
+/**
+ * @param {object} props
+ * @param {{ lineTemplate: string, headerTemplate: string, footerTemplate: string }} props.templates
+ * @param {boolean} props.applies 当前风格是否为文本风格 (导出格式不使用模板)
+ * @param {(templates: object) => void} props.onChange 只传入有变化且有效的字段
+ */
+export default function TemplateEditor({ templates, applies, onChange }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [drafts, setDrafts] = useState({}); // 无效的草稿 { [key]: { text, error } }
+    const isDefault = FIELDS.every(field => !templates[field.key]);
+
+    const update = (key, text) => {
+        const error = validateTemplates({ [key]: text })[key];
+        if (error) {
+            setDrafts(d => ({ ...d, [key]: { text, error } }));
+            return;
+        }
+        setDrafts(d => {
+            const next = { ...d };
+            delete next[key];
+            return next;
+        });
+        onChange({ [key]: text });
+    };
+
+    const reset = () => {
+        setDrafts({});
+        onChange(Object.fromEntries(FIELDS.map(field => [field.key, ''])));
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex justify-between items-center">
+                <button
+                    onClick={() => setIsOpen(!isOpen)}
+                    className="flex items-center gap-1 text-xs font-bold text-slate-400 uppercase hover:text-slate-600"
+                >
+                    {isOpen ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                    Output Template
+                    {!isDefault && <span className="font-normal normal-case">(已启用)</span>}
+                </button>
+                {!isDefault && (
+                    <button onClick={reset} title="清空模板，恢复风格内置的格式" className="text-slate-400 hover:text-red-500">
+                        <RotateCcw size={12} />
+                    </button>
+                )}
+            </div>
+            {isOpen && (
+                <div className="space-y-2">
+                    {!applies && <p className="text-[10px] text-amber-600">模板只作用于文本风格，当前的导出格式不使用模板。</p>}
+                    {FIELDS.map(field => {
+                        const draft = drafts[field.key];
+                        const value = draft ? draft.text : templates[field.key];
+                        const Input = field.multiline ? 'textarea' : 'input';
+                        return (
+                            <div key={field.key} className="space-y-0.5">
+                                <div className="flex justify-between items-center">
+                                    <span className="text-[10px] text-slate-500">{field.label}</span>
+                                    <button
+                                        onClick={() => update(field.key, field.example)}
+                                        className="text-[10px] text-slate-400 hover:text-blue-600"
+                                    >
+                                        示例
+                                    </button>
+                                </div>
+                                <Input
+                                    type={field.multiline ? undefined : 'text'}
+                                    rows={field.multiline ? 2 : undefined}
+                                    value={value}
+                                    onChange={e => update(field.key, e.target.value)}
+                                    placeholder={field.multiline ? '(无)' : '(风格内置的格式)'}
+                                    spellCheck={false}
+                                    className={`${inputClass} ${draft ? 'border-red-300 focus:border-red-500' : 'border-slate-200 focus:border-blue-500'}`}
+                                />
+                                {draft && <p className="text-[10px] text-red-500">{draft.error}</p>}
+                                <p className="text-[10px] text-slate-400 leading-relaxed">
+                                    {Object.entries(field.variables).map(([name, description]) => (
+                                        <span key={name} title={description} className="mr-1.5 font-mono cursor-help">{`{${name}}`}</span>
+                                    ))}
+                                </p>
+                            </div>
+                        );
+                    })}
+                    <p className="text-[10px] text-slate-400">
+                        过滤器：{TEMPLATE_FILTERS.join(', ')} (如 <span className="font-mono">{'{size|pad:10}'}</span>)；日期格式如 <span className="font-mono">{'{mtime:YYYY-MM-DD}'}</span>；字面量花括号写作 <span className="font-mono">{'{{ }}'}</span>
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+}
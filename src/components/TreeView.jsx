@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ChevronRight, ChevronDown, Ban, Copy, FolderTree, MessageSquare, ListFilter } from 'lucide-react';
+
+// --- 虚拟滚动的交互式目录树 ---
+// 只渲染可视区域内的行；点击目录折叠 / 展开，右键菜单可排除路径；高亮搜索结果并滚动到当前项；
+// 对比模式下按行的 status 着色，Git 模式下按 git 状态着色；行内注释以单独的颜色显示。
+
+const ROW_HEIGHT = 24; // 与 leading-6 一致
+const OVERSCAN = 20;
+
+// 对比模式下各状态的文字颜色
+const STATUS_COLORS = {
+    added: 'text-green-400',
+    removed: 'text-red-400 line-through decoration-red-400/40',
+    modified: 'text-amber-300',
+    moved: 'text-sky-400'
+};
+
+// Git 模式下各状态的文字颜色 (已跟踪的条目使用默认颜色)
+const GIT_COLORS = {
+    modified: 'text-amber-300',
+    untracked: 'text-green-400',
+    ignored: 'text-zinc-600'
+};
+
+export default function TreeView({ rows, collapsed, onToggle, onExclude, onComment, onLimit, match, activeIndex = -1 }) {
+    const containerRef = useRef(null);
+    const [scrollTop, setScrollTop] = useState(0);
+    const [viewportHeight, setViewportHeight] = useState(600);
+    const [menu, setMenu] = useState(null); // { x, y, row }
+
+    // 跟随容器尺寸变化
+    useEffect(() => {
+        const el = containerRef.current;
+        if (!el) return;
+        const observer = new ResizeObserver(() => setViewportHeight(el.clientHeight));
+        observer.observe(el);
+        return () => observer.disconnect();
+    }, []);
+
+    // 当前搜索结果不在可视区域时，将其滚动到中间
+    useEffect(() => {
+        const el = containerRef.current;
+        if (!el || activeIndex < 0) return;
+        const top = activeIndex * ROW_HEIGHT;
+        if (top < el.scrollTop || top + ROW_HEIGHT > el.scrollTop + el.clientHeight) {
+            el.scrollTop = top - el.clientHeight / 2;
+        }
+    }, [activeIndex]);
+
+    // 点击其他位置 / Esc / 滚动时关闭右键菜单
+    useEffect(() => {
+        if (!menu) return;
+        const close = () => setMenu(null);
+        const handleKey = (e) => e.key === 'Escape' && close();
+        window.addEventListener('click', close);
+        window.addEventListener('keydown', handleKey);
+        window.addEventListener('resize', close);
+        return () => {
+            window.removeEventListener('click', close);
+            window.removeEventListener('keydown', handleKey);
+            window.removeEventListener('resize', close);
+        };
+    }, [menu]);
+
+    const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const end = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+
+    const openMenu = (e, row) => {
+        if (!row.path || row.more || row.extra) return; // 根节点、"… N more" 汇总行与模板的头部 / 尾部不提供菜单
+        e.preventDefault();
+        setMenu({ x: e.clientX, y: e.clientY, row });
+    };
+
+    return (
+        <div
+            ref={containerRef}
+            onScroll={e => { setScrollTop(e.currentTarget.scrollTop); setMenu(null); }}
+            className="absolute inset-0 overflow-auto p-4 custom-scrollbar"
+        >
+            <div className="relative min-w-max" style={{ height: rows.length * ROW_HEIGHT }}>
+                <div style={{ transform: `translateY(${start * ROW_HEIGHT}px)` }}>
+                    {rows.slice(start, end).map((row, offset) => {
+                        const isCollapsed = row.isDir && collapsed.has(row.path);
+                        const canToggle = row.isDir && row.path;
+                        const isMatch = match && row.path && !row.more && !row.extra && match(row.name, row.path);
+                        const isActive = start + offset === activeIndex;
+                        return (
+                            <div
+                                key={row.path || '/'}
+                                onClick={() => canToggle && onToggle(row.path)}
+                                onContextMenu={e => openMenu(e, row)}
+                                className={`flex items-center h-6 font-mono text-xs sm:text-sm leading-6 whitespace-pre font-ligatures-none rounded-sm ${
+                                    isActive ? 'bg-yellow-500/30' : isMatch ? 'bg-yellow-500/10' : 'hover:bg-white/5'
+                                } ${canToggle ? 'cursor-pointer' : 'cursor-default'} ${
+                                    isMatch ? 'text-yellow-200' : row.more ? 'text-zinc-500 italic' : row.extra ? 'text-zinc-500' : row.status ? STATUS_COLORS[row.status] : GIT_COLORS[row.git] ? GIT_COLORS[row.git] : row.isDir ? 'text-zinc-200' : 'text-zinc-400'
+                                }`}
+                            >
+                                <span className="w-4 shrink-0 text-zinc-600">
+                                    {canToggle && (isCollapsed ? <ChevronRight size={12} /> : <ChevronDown size={12} />)}
+                                </span>
+                                {row.comment ? (
+                                    <span>
+                                        {row.text.slice(0, -row.comment.length)}
+                                        <span className="text-emerald-500/80">{row.comment}</span>
+                                    </span>
+                                ) : (
+                                    <span>{row.text}</span>
+                                )}
+                                {isCollapsed && <span className="ml-2 text-[10px] text-zinc-600">…</span>}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+
+            {menu && (
+                <div
+                    className="fixed z-50 min-w-40 py-1 bg-[#252526] border border-zinc-700 rounded-md shadow-xl text-xs text-zinc-300"
+                    style={{ left: menu.x, top: menu.y }}
+                    onClick={e => e.stopPropagation()}
+                >
+                    <div className="px-3 py-1 text-[10px] text-zinc-500 font-mono truncate max-w-64">{menu.row.path}</div>
+                    {menu.row.isDir && (
+                        <button
+                            onClick={() => { onToggle(menu.row.path); setMenu(null); }}
+                            className="w-full flex items-center gap-2 px-3 py-1.5 hover:bg-blue-600 hover:text-white text-left"
+                        >
+                            <FolderTree size={12} /> {collapsed.has(menu.row.path) ? '展开' : '折叠'}
+                        </button>
+                    )}
+                    {menu.row.isDir && onLimit && (
+                        <button
+                            onClick={() => { onLimit(menu.row.path); setMenu(null); }}
+                            className="w-full flex items-center gap-2 px-3 py-1.5 hover:bg-blue-600 hover:text-white text-left"
+                        >
+                            <ListFilter size={12} /> 限制深度 / 条目数…
+                        </button>
+                    )}
+                    <button
+                        onClick={() => { onExclude(menu.row.path); setMenu(null); }}
+                        className="w-full flex items-center gap-2 px-3 py-1.5 hover:bg-blue-600 hover:text-white text-left"
+                    >
+                        <Ban size={12} /> 排除此路径
+                    </button>
+                    {onComment && (
+                        <button
+                            onClick={() => { onComment(menu.row.path); setMenu(null); }}
+                            className="w-full flex items-center gap-2 px-3 py-1.5 hover:bg-blue-600 hover:text-white text-left"
+                        >
+                            <MessageSquare size={12} /> {menu.row.comment ? '编辑注释' : '添加注释'}
+                        </button>
+                    )}
+                    <button
+                        onClick={() => { navigator.clipboard.writeText(menu.row.path); setMenu(null); }}
+                        className="w-full flex items-center gap-2 px-3 py-1.5 hover:bg-blue-600 hover:text-white text-left"
+                    >
+                        <Copy size={12} /> 复制路径
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, ChevronDown, ChevronRight, FolderPlus, RotateCw, X } from 'lucide-react';
+import { formatSize } from '../lib/size.js';
+import { isValidPattern } from '../lib/patterns.js';
+import { validateAlias } from '../lib/workspace.js';
+
+// --- 工作区的根 ---
+// 列出已载入的文件夹：修改别名、调整顺序、移除或单独刷新某个根，以及只作用于该根的排除规则与深度。
+// 多个根时还可以设置工作区名称与输出方式 (合成根节点 / 依次输出)，组合方式见 workspace.js。
+
+const iconButton = 'p-0.5 rounded text-slate-400 hover:text-blue-600 hover:bg-slate-100 disabled:opacity-30 disabled:hover:bg-transparent';
+const inputClass = 'min-w-0 px-1.5 py-0.5 text-xs border rounded outline-none';
+
+const LAYOUT_LABELS = { root: '合成根节点', separate: '依次输出' };
+
+const splitPatterns = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * @param {object} props
+ * @param {{ id: number, alias: string, items: object[], source?: object, ignores: string[], maxDepth: number | null }[]} props.roots
+ * @param {{ name: string, files: number, totalSize: number }[] | undefined} props.statistics 各根的统计 (多个根时才有)
+ * @param {{ [alias: string]: number }} props.hidden 各根被自身排除规则隐藏的文件数
+ * @param {string} props.name 工作区名称
+ * @param {'root' | 'separate'} props.layout
+ * @param {boolean} props.isScanning
+ * @param {(files: FileList) => void} props.onAdd 通过文件夹选择框添加
+ * @param {(dataTransfer: DataTransfer) => void} props.onDropAdd 拖到 "添加文件夹" 上添加
+ * @param {(id: number, patch: object) => void} props.onUpdate
+ * @param {(id: number, delta: number) => void} props.onMove
+ * @param {(id: number) => void} props.onRemove
+ * @param {(id: number) => void} props.onRefresh 只有拖入的根 (带 source) 可以刷新
+ * @param {(name: string) => void} props.onNameChange
+ * @param {(layout: string) => void} props.onLayoutChange
+ */
+export default function WorkspaceRoots({
+    roots, statistics, hidden, name, layout, isScanning,
+    onAdd, onDropAdd, onUpdate, onMove, onRemove, onRefresh, onNameChange, onLayoutChange
+}) {
+    const [expanded, setExpanded] = useState(() => new Set()); // 展开设置的根
+    const [drafts, setDrafts] = useState({}); // 无效的别名草稿 { [id]: { text, error } }
+    const [ignoreDrafts, setIgnoreDrafts] = useState({}); // 编辑中的排除规则 { [id]: text }
+    const [isDragOver, setIsDragOver] = useState(false);
+
+    const toggle = (id) => setExpanded(prev => {
+        const next = new Set(prev);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        return next;
+    });
+
+    const renameRoot = (root, text) => {
+        const error = validateAlias(text, roots.filter(item => item.id !== root.id).map(item => item.alias));
+        setDrafts(d => {
+            const next = { ...d };
+            if (error) next[root.id] = { text, error };
+            else delete next[root.id];
+            return next;
+        });
+        if (!error) onUpdate(root.id, { alias: text });
+    };
+
+    const commitIgnores = (root) => {
+        const text = ignoreDrafts[root.id];
+        if (text === undefined) return;
+        setIgnoreDrafts(d => {
+            const next = { ...d };
+            delete next[root.id];
+            return next;
+        });
+        onUpdate(root.id, { ignores: splitPatterns(text).filter(isValidPattern) });
+    };
+
+    const statsOf = (alias) => (statistics ? statistics.find(item => item.name === alias) : null);
+
+    return (
+        <div className="space-y-1.5">
+            {roots.map((root, index) => {
+                const draft = drafts[root.id];
+                const rootStats = statsOf(root.alias);
+                const ignoreText = ignoreDrafts[root.id] !== undefined ? ignoreDrafts[root.id] : root.ignores.join(', ');
+                const invalid = splitPatterns(ignoreText).filter(pattern => !isValidPattern(pattern));
+                return (
+                    <div key={root.id} className="border border-slate-200 rounded px-1.5 py-1 space-y-1">
+                        <div className="flex items-center gap-0.5">
+                            <button onClick={() => toggle(root.id)} title="此根的排除规则与深度" className={iconButton}>
+                                {expanded.has(root.id) ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                            </button>
+                            <input
+                                type="text"
+                                value={draft ? draft.text : root.alias}
+                                onChange={e => renameRoot(root, e.target.value)}
+                                onBlur={() => setDrafts(d => {
+                                    const next = { ...d };
+                                    delete next[root.id];
+                                    return next;
+                                })}
+                                title={roots.length > 1 ? '别名，即合成后的一级目录名' : '根节点名称'}
+                                spellCheck={false}
+                                className={`flex-1 font-mono ${inputClass} ${draft ? 'border-red-300 focus:border-red-500' : 'border-transparent hover:border-slate-200 focus:border-blue-500'}`}
+                            />
+                            <span className="text-[10px] text-slate-400 whitespace-nowrap px-1">
+                                {rootStats
+                                    ? `${rootStats.files.toLocaleString()} · ${formatSize(rootStats.totalSize)}`
+                                    : `${root.items.length.toLocaleString()} 项`}
+                            </span>
+                            {roots.length > 1 && (
+                                <>
+                                    <button onClick={() => onMove(root.id, -1)} disabled={index === 0} title="上移" className={iconButton}>
+                                        <ArrowUp size={12} />
+                                    </button>
+                                    <button onClick={() => onMove(root.id, 1)} disabled={index === roots.length - 1} title="下移" className={iconButton}>
+                                        <ArrowDown size={12} />
+                                    </button>
+                                </>
+                            )}
+                            {root.source && (
+                                <button onClick={() => onRefresh(root.id)} disabled={isScanning} title="重新扫描此文件夹" className={iconButton}>
+                                    <RotateCw size={12} />
+                                </button>
+                            )}
+                            <button onClick={() => onRemove(root.id)} title="从工作区移除" className={`${iconButton} hover:text-red-500`}>
+                                <X size={12} />
+                            </button>
+                        </div>
+                        {draft && <p className="text-[10px] text-red-500">{draft.error}</p>}
+                        {expanded.has(root.id) && (
+                            <div className="pl-5 space-y-1 text-[11px] text-slate-500">
+                                <label className="flex items-center gap-1.5">
+                                    <span className="w-8 shrink-0">排除</span>
+                                    <input
+                                        type="text"
+                                        value={ignoreText}
+                                        onChange={e => setIgnoreDrafts(d => ({ ...d, [root.id]: e.target.value }))}
+                                        onBlur={() => commitIgnores(root)}
+                                        onKeyDown={e => e.key === 'Enter' && commitIgnores(root)}
+                                        placeholder="*.log, fixtures/ (逗号分隔)"
+                                        spellCheck={false}
+                                        className={`flex-1 font-mono ${inputClass} ${invalid.length ? 'border-red-300' : 'border-slate-200 focus:border-blue-500'}`}
+                                    />
+                                </label>
+                                {invalid.length > 0 && <p className="text-[10px] text-red-500">无效的规则 (将被忽略): {invalid.join(', ')}</p>}
+                                <label className="flex items-center gap-1.5">
+                                    <span className="w-8 shrink-0">深度</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={root.maxDepth === null ? '' : root.maxDepth}
+                                        onChange={e => {
+                                            const n = Number(e.target.value);
+                                            onUpdate(root.id, { maxDepth: e.target.value === '' || !Number.isInteger(n) || n < 0 ? null : n });
+                                        }}
+                                        placeholder="沿用全局"
+                                        className={`w-20 ${inputClass} border-slate-200 focus:border-blue-500`}
+                                    />
+                                </label>
+                                {hidden[root.alias] > 0 && <p className="text-[10px] text-slate-400">此根的规则隐藏了 {hidden[root.alias].toLocaleString()} 个文件</p>}
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+
+            <label
+                onDragOver={e => { e.preventDefault(); setIsDragOver(true); }}
+                onDragLeave={() => setIsDragOver(false)}
+                onDrop={e => { e.preventDefault(); setIsDragOver(false); onDropAdd(e.dataTransfer); }}
+                title="添加文件夹到工作区 (也可以拖到这里)"
+                className={`flex items-center justify-center gap-1 py-1 text-[11px] border border-dashed rounded cursor-pointer transition-colors ${
+                    isDragOver ? 'border-blue-500 bg-blue-50 text-blue-600' : 'border-slate-300 text-slate-400 hover:text-blue-600 hover:border-blue-300'
+                }`}
+            >
+                <FolderPlus size={12} /> 添加文件夹
+                <input
+                    type="file"
+                    webkitdirectory=""
+                    directory=""
+                    multiple
+                    className="hidden"
+                    onChange={e => { if (e.target.files && e.target.files.length > 0) onAdd(e.target.files); e.target.value = ''; }}
+                />
+            </label>
+
+            {roots.length > 1 && (
+                <div className="flex items-center gap-1.5 text-[11px] text-slate-500">
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={e => onNameChange(e.target.value)}
+                        onBlur={e => !e.target.value.trim() && onNameChange('workspace')}
+                        title="工作区名称 (合成根节点的名称)"
+                        spellCheck={false}
+                        className={`flex-1 font-mono ${inputClass} border-slate-200 focus:border-blue-500`}
+                    />
+                    <select
+                        value={layout}
+                        onChange={e => onLayoutChange(e.target.value)}
+                        title="合成根节点：各根作为一级目录；依次输出：每个根输出为独立的树 (仅文本风格)"
+                        className="text-xs px-1 py-0.5 border border-slate-200 rounded outline-none focus:border-blue-500 bg-white"
+                    >
+                        {Object.entries(LAYOUT_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,97 @@
+// --- 浏览器文件适配 ---
+// 所有输入来源 (<input webkitdirectory>、拖拽、目录句柄) 统一为 { file, path } 列表，
+// path 为相对根目录的路径；能够枚举目录的来源还会提供 { path, type: 'dir' }。
+// 导入的文本树没有 File 对象，直接以 buildTree 的条目形式保存。主线程与 Worker 共用。
+
+import { LINE_COUNT_LIMIT, readEntryContents, streamChunks } from './lib/content.js';
+import { mergeGitRepos, parseGitIndex } from './lib/git.js';
+import { createPatternMatcher } from './lib/patterns.js';
+
+// <input webkitdirectory> 的结果：去掉 webkitRelativePath 中的根目录名
+export const fromInputFiles = (files) => Array.from(files, file => ({
+    file,
+    path: (file.webkitRelativePath || file.name).split('/').slice(1).join('/') || file.name
+}));
+
+export const fileToEntry = ({ file, ...entry }) => (file ? {
+    path: entry.path,
+    size: file.size,
+    lastModified: file.lastModified
+} : entry);
+
+// 内容分析结果的缓存：配置变化时重新生成无需再次读取文件 (Worker 中跨任务保留)
+const contentCache = new Map();
+const CONTENT_CACHE_LIMIT = 200000;
+
+/**
+ * 转换为 buildTree 的条目。开启行数注释或内容分析时读取文件内容 (见 content.js readEntryContents)：
+ * 统计文本文件的行数 (entry.lines)，内容分析还为可能重复的文件计算哈希 (entry.hash)。
+ * 被排除规则命中、超过大小上限 (行数注释为 LINE_COUNT_LIMIT，内容分析为 contentSizeLimit) 或没有 File 对象的条目不读取。
+ * @param {object[]} items
+ * @param {object} config 使用其中的 annotateLines、analyzeContent、contentSizeLimit 与 ignores
+ * @param {{ signal?: AbortSignal, onProgress?: (p: { phase: 'read', processed: number, total: number }) => void }} [options]
+ * @returns {Promise<object[]>} 中止时以 Error('Aborted') 拒绝
+ */
+export const toEntries = async (items, config, { signal, onProgress } = {}) => {
+    const entries = items.map(fileToEntry);
+    if (!config.annotateLines && !config.analyzeContent) return entries;
+
+    const matchIgnore = createPatternMatcher(config.ignores || []);
+    if (contentCache.size > CONTENT_CACHE_LIMIT) contentCache.clear();
+    return readEntryContents(entries, (entry, i) => (items[i].file ? streamChunks(items[i].file.stream()) : null), {
+        lines: true,
+        hash: !!config.analyzeContent,
+        limit: config.analyzeContent ? config.contentSizeLimit : LINE_COUNT_LIMIT,
+        skip: entry => matchIgnore(entry.path.split('/')) !== -1,
+        cache: contentCache,
+        signal,
+        onProgress
+    });
+};
+
+export const isGitignoreItem = (item) => !!item.file && item.path.split('/').pop() === '.gitignore';
+
+// 读取所选文件夹内的 .gitignore
+export const readGitignores = (items) => Promise.all(
+    items
+        .filter(isGitignoreItem)
+        .map(async item => ({
+            dir: item.path.split('/').slice(0, -1).join('/'),
+            content: await item.file.text()
+        }))
+);
+
+const GIT_INDEX_PATH = '.git/index';
+const GIT_EXCLUDE_PATH = '.git/info/exclude';
+
+// 所选文件夹根目录下的 .git/index (.git 不在排除名单中时才会被读入)
+export const isGitIndexItem = (item) => !!item.file && item.path === GIT_INDEX_PATH;
+
+// base 目录下的仓库 (base 为空时即根目录)
+const readRepoAt = async (items, base) => {
+    const prefix = base ? `${base}/` : '';
+    const indexItem = items.find(item => !!item.file && item.path === prefix + GIT_INDEX_PATH);
+    if (!indexItem) return null;
+    let index;
+    try {
+        index = parseGitIndex(new Uint8Array(await indexItem.file.arrayBuffer()));
+    } catch (err) {
+        throw new Error(`无法解析 ${prefix}${GIT_INDEX_PATH}: ${err.message}`);
+    }
+    const excludeItem = items.find(item => !!item.file && item.path === prefix + GIT_EXCLUDE_PATH);
+    return { index, exclude: excludeItem ? await excludeItem.file.text() : '' };
+};
+
+/**
+ * 读取 Git 模式所需的仓库信息。
+ * @param {object[]} items
+ * @param {string[]} [workspaceRoots] 多根工作区的别名，各根的仓库分别读取后合并 (见 git.js mergeGitRepos)
+ * @returns {Promise<{ index: object, exclude?: string, excludes?: object[] } | null>} 没有 .git/index 时为 null
+ * @throws {Error} 索引无法解析时抛出
+ */
+export const readGitRepo = async (items, workspaceRoots = []) => {
+    if (workspaceRoots.length === 0) return readRepoAt(items, '');
+    const repos = [];
+    for (const base of workspaceRoots) repos.push({ base, repo: await readRepoAt(items, base) });
+    return mergeGitRepos(repos);
+};
@@ -0,0 +1,115 @@
+// --- 拖拽 / 目录句柄输入 ---
+// 通过 File System Access API (getAsFileSystemHandle) 或 webkitGetAsEntry 遍历拖入的目录。
+// 遍历时即应用排除规则，node_modules 等目录不会被枚举；保留的根对象可用于 "刷新" 重新扫描。
+
+import { createPatternMatcher } from './lib/patterns.js';
+
+const SCAN_PROGRESS_INTERVAL = 500; // 每扫描多少个文件回调一次进度
+
+/**
+ * 从 drop 事件中取出拖入的根对象。必须在事件处理函数中同步调用 (dataTransfer 随后失效)。
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<{ name: string, kind: 'directory' | 'file', handle?: FileSystemHandle, entry?: FileSystemEntry }[]>}
+ */
+export const collectDropRoots = (dataTransfer) => {
+    const pending = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => {
+            if (typeof item.getAsFileSystemHandle === 'function') {
+                // 句柄可以在之后重新读取，用于刷新
+                return item.getAsFileSystemHandle().then(handle => handle && { name: handle.name, kind: handle.kind, handle });
+            }
+            const entry = item.webkitGetAsEntry && item.webkitGetAsEntry();
+            return Promise.resolve(entry && { name: entry.name, kind: entry.isDirectory ? 'directory' : 'file', entry });
+        });
+    return Promise.all(pending).then(roots => roots.filter(Boolean));
+};
+
+// readEntries 每次最多返回 100 项，需要循环读取到空为止
+const readAllEntries = (dirEntry) => new Promise((resolve, reject) => {
+    const reader = dirEntry.createReader();
+    const result = [];
+    const readBatch = () => reader.readEntries(batch => {
+        if (batch.length === 0) {
+            resolve(result);
+        } else {
+            result.push(...batch);
+            readBatch();
+        }
+    }, reject);
+    readBatch();
+});
+
+const entryToFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkHandle = async (dirHandle, relDir, ctx) => {
+    for await (const handle of dirHandle.values()) {
+        const path = relDir ? `${relDir}/${handle.name}` : handle.name;
+        if (handle.kind === 'directory') {
+            if (ctx.skipDir(path)) continue;
+            ctx.addDir(path);
+            await walkHandle(handle, path, ctx);
+        } else {
+            ctx.add(await handle.getFile(), path);
+        }
+    }
+};
+
+const walkEntry = async (dirEntry, relDir, ctx) => {
+    for (const entry of await readAllEntries(dirEntry)) {
+        const path = relDir ? `${relDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory) {
+            if (ctx.skipDir(path)) continue;
+            ctx.addDir(path);
+            await walkEntry(entry, path, ctx);
+        } else {
+            ctx.add(await entryToFile(entry), path);
+        }
+    }
+};
+
+/**
+ * 扫描根对象，返回 { file, path } 与 { path, type: 'dir' } 组成的列表 (见 files.js)。
+ * 只有一个目录时以它为根；拖入多个对象时，每个对象作为合成根目录下的一级子项。
+ * @param {object[]} roots collectDropRoots 的结果
+ * @param {object} [options]
+ * @param {string[]} [options.ignores] 排除规则，命中的目录不会被遍历
+ * @param {AbortSignal} [options.signal]
+ * @param {(count: number) => void} [options.onProgress] 已扫描的条目数
+ * @returns {Promise<{ items: { file: File, path: string }[], rootName: string | null }>} rootName 为 null 表示多根
+ */
+export const scanRoots = async (roots, { ignores = [], signal, onProgress } = {}) => {
+    const matchIgnore = createPatternMatcher(ignores);
+    const items = [];
+    const ctx = {
+        skipDir: (path) => {
+            if (signal && signal.aborted) throw new Error('Aborted');
+            return matchIgnore(path.split('/'), true) !== -1;
+        },
+        // 目录本身也作为条目，使空目录能够显示
+        addDir: (path) => items.push({ path, type: 'dir' }),
+        add: (file, path) => {
+            items.push({ file, path });
+            if (onProgress && items.length % SCAN_PROGRESS_INTERVAL === 0) onProgress(items.length);
+        }
+    };
+
+    const single = roots.length === 1 && roots[0].kind === 'directory';
+    for (const root of roots) {
+        const base = single ? '' : root.name;
+        if (root.kind === 'directory') {
+            if (!single) {
+                if (ctx.skipDir(base)) continue;
+                ctx.addDir(base);
+            }
+            if (root.handle) await walkHandle(root.handle, base, ctx);
+            else await walkEntry(root.entry, base, ctx);
+        } else {
+            const file = root.handle ? await root.handle.getFile() : await entryToFile(root.entry);
+            ctx.add(file, root.name);
+        }
+    }
+
+    if (onProgress) onProgress(items.length);
+    return { items, rootName: single ? roots[0].name : null };
+};
@@ -0,0 +1,65 @@
+// --- 目录汇总 ---
+// 目录的汇总信息 (子树中全部文件的总大小、文件数、目录数、最近修改时间与已统计的行数)，不受深度限制。
+// 结果按 _children 对象缓存：树模型在构建完成后不再修改，对比 / 搜索裁剪会生成新的对象。
+
+const summaries = new WeakMap();
+
+/**
+ * @param {object} nodes 目录的 _children (或整棵树)
+ * @returns {{ size: number, fileCount: number, dirCount: number, lastModified: number, lines: number }}
+ */
+export const summarize = (nodes) => {
+    if (summaries.has(nodes)) return summaries.get(nodes);
+    const summary = { size: 0, fileCount: 0, dirCount: 0, lastModified: 0, lines: 0 };
+    for (const data of Object.values(nodes)) {
+        if (data._type === 'dir') {
+            const child = summarize(data._children);
+            summary.size += child.size;
+            summary.fileCount += child.fileCount;
+            summary.dirCount += child.dirCount + 1;
+            summary.lastModified = Math.max(summary.lastModified, child.lastModified);
+            summary.lines += child.lines;
+        } else {
+            summary.size += data.size || 0;
+            summary.fileCount++;
+            summary.lastModified = Math.max(summary.lastModified, data.lastModified || 0);
+            summary.lines += data.lines || 0;
+        }
+    }
+    summaries.set(nodes, summary);
+    return summary;
+};
+
+// 按大小插入到定长的降序列表中
+const pushLargest = (list, item, limit) => {
+    if (list.length === limit && item.size <= list[limit - 1].size) return;
+    let i = list.length;
+    while (i > 0 && list[i - 1].size < item.size) i--;
+    list.splice(i, 0, item);
+    if (list.length > limit) list.pop();
+};
+
+/**
+ * 找出最大的文件与目录 (目录按汇总大小)。
+ * @param {object} tree 树模型
+ * @param {number} [limit]
+ * @returns {{ files: { path: string, size: number }[], dirs: { path: string, size: number, fileCount: number }[] }}
+ */
+export const largestEntries = (tree, limit = 10) => {
+    const files = [];
+    const dirs = [];
+    const visit = (nodes, parentPath) => {
+        for (const [name, data] of Object.entries(nodes)) {
+            const path = parentPath ? `${parentPath}/${name}` : name;
+            if (data._type === 'dir') {
+                const { size, fileCount } = summarize(data._children);
+                pushLargest(dirs, { path, size, fileCount }, limit);
+                visit(data._children, path);
+            } else if (data._type === 'file') {
+                pushLargest(files, { path, size: data.size || 0 }, limit);
+            }
+        }
+    };
+    visit(tree, '');
+    return { files, dirs };
+};
@@ -0,0 +1,77 @@
+// --- 内容分析统计 ---
+// 基于 readEntryContents (content.js) 写入条目的 lines 与 hash：
+// 按语言汇总文件数、行数与大小，并标记内容相同的重复文件。buildTree 在 analyzeContent 开启时调用。
+
+import { createFileTypeResolver } from './icons.js';
+
+// 深度优先遍历文件节点 (不含目录与符号链接)，visit(name, data, path)
+const eachFile = (nodes, parentPath, visit) => {
+    for (const [name, data] of Object.entries(nodes)) {
+        const path = parentPath ? `${parentPath}/${name}` : name;
+        if (data._type === 'dir') eachFile(data._children, path, visit);
+        else if (data._type === 'file') visit(name, data, path);
+    }
+};
+
+// 内容相同 (大小与哈希都相同) 的文件分组，只返回两个以上的组
+const groupDuplicates = (tree) => {
+    const groups = new Map();
+    eachFile(tree, '', (name, data, path) => {
+        if (!data.hash) return;
+        const key = `${data.size}:${data.hash}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ data, path });
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+};
+
+/**
+ * 为重复文件写入 duplicates (副本数，含自身)。直接修改树模型，只在构建阶段调用。
+ * @param {object} tree
+ * @returns {{ groups: number, files: number, wastedSize: number }} wastedSize 为多余副本占用的字节数
+ */
+export const markDuplicates = (tree) => {
+    const summary = { groups: 0, files: 0, wastedSize: 0 };
+    groupDuplicates(tree).forEach(group => {
+        summary.groups++;
+        summary.files += group.length;
+        summary.wastedSize += group[0].data.size * (group.length - 1);
+        group.forEach(({ data }) => { data.duplicates = group.length; });
+    });
+    return summary;
+};
+
+/**
+ * 重复文件的分组 (用于面板展示)，按多余副本占用的空间降序。
+ * @param {object} tree
+ * @returns {{ size: number, paths: string[] }[]}
+ */
+export const duplicateGroups = (tree) => groupDuplicates(tree)
+    .map(group => ({ size: group[0].data.size, paths: group.map(item => item.path) }))
+    .sort((a, b) => b.size * (b.paths.length - 1) - a.size * (a.paths.length - 1));
+
+const extensionLabel = (name) => {
+    const index = name.lastIndexOf('.');
+    return index > 0 ? `.${name.slice(index + 1).toLowerCase()}` : '(无扩展名)';
+};
+
+/**
+ * 按语言汇总。语言由图标映射表识别，未识别的文件按扩展名归类。
+ * 行数只计入统计了行数的文本文件。
+ * @param {object} tree
+ * @param {object} config 使用其中的 iconMap
+ * @returns {{ language: string, files: number, lines: number, size: number }[]} 按行数、大小降序
+ */
+export const languageBreakdown = (tree, config) => {
+    const fileType = createFileTypeResolver(config.iconMap);
+    const languages = new Map();
+    eachFile(tree, '', (name, data) => {
+        const language = fileType(name).language || extensionLabel(name);
+        if (!languages.has(language)) languages.set(language, { language, files: 0, lines: 0, size: 0 });
+        const item = languages.get(language);
+        item.files++;
+        item.lines += data.lines || 0;
+        item.size += data.size || 0;
+    });
+    return [...languages.values()].sort((a, b) => b.lines - a.lines || b.size - a.size || a.language.localeCompare(b.language));
+};
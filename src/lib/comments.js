@@ -0,0 +1,77 @@
+// --- 行内注释 ---
+// 注释以相对路径为键保存在配置的 comments 中 ({ [path]: text }，根节点为 '')，
+// 文本风格中在名称之后对齐成一列：
+//   ├── src/          # application code
+//   └── package.json  # scripts & deps
+
+const COMMENT_GAP = 2; // 最长一行与注释列之间的空格数
+
+// 东亚宽字符与 emoji 占两列
+const isWide = (code) => (code >= 0x1100 && code <= 0x115f)
+    || (code >= 0x2e80 && code <= 0xa4cf)
+    || (code >= 0xac00 && code <= 0xd7a3)
+    || (code >= 0xf900 && code <= 0xfaff)
+    || (code >= 0xfe30 && code <= 0xfe4f)
+    || (code >= 0xff00 && code <= 0xff60)
+    || (code >= 0xffe0 && code <= 0xffe6)
+    || (code >= 0x1f300 && code <= 0x1faff)
+    || (code >= 0x20000 && code <= 0x3fffd);
+
+/**
+ * 文本在等宽字体中的显示宽度 (近似)。
+ * @param {string} text
+ */
+export const displayWidth = (text) => {
+    const chars = Array.from(text);
+    let width = 0;
+    chars.forEach((char, i) => {
+        const code = char.codePointAt(0);
+        if (code === 0xfe0f || code === 0x200d) return; // 变体选择符 / 零宽连接符
+        // 后跟 U+FE0F 的字符以 emoji 形式 (两列) 显示
+        width += isWide(code) || chars[i + 1] === '\ufe0f' ? 2 : 1;
+    });
+    return width;
+};
+
+// 注释只能是单行
+export const normalizeComment = (text) => String(text).replace(/\s*[\r\n]+\s*/g, ' ').trim();
+
+/**
+ * 为带注释的行追加对齐的 "# 注释"，同时写入 row.comment。直接修改传入的行。
+ * 注释列位于带注释的行中最长的一行之后。
+ * @param {object[]} rows renderRows 的行
+ * @param {{ [path: string]: string }} comments
+ */
+export const alignComments = (rows, comments) => {
+    const commented = rows.filter(row => comments[row.path]);
+    if (commented.length === 0) return;
+    const widths = commented.map(row => displayWidth(row.text));
+    const column = Math.max(...widths) + COMMENT_GAP;
+    commented.forEach((row, i) => {
+        row.comment = `# ${comments[row.path]}`;
+        row.text = `${row.text}${' '.repeat(column - widths[i])}${row.comment}`;
+    });
+};
+
+const existsIn = (tree, path) => {
+    let nodes = tree;
+    const parts = path.split('/');
+    for (let i = 0; i < parts.length; i++) {
+        const node = nodes[parts[i]];
+        if (!node) return false;
+        if (i < parts.length - 1) {
+            if (node._type !== 'dir') return false;
+            nodes = node._children;
+        }
+    }
+    return true;
+};
+
+/**
+ * 注释所指的路径在树中已不存在 (被删除、改名或被排除) 的注释。
+ * @param {object} tree buildTree 返回的树模型
+ * @param {{ [path: string]: string }} comments
+ * @returns {string[]}
+ */
+export const missingCommentPaths = (tree, comments) => Object.keys(comments || {})
+    .filter(path => path !== '' && !existsIn(tree, path));
@@ -0,0 +1,169 @@
+// --- 文件内容 ---
+// 行数统计、重复文件检测等需要读取文件内容的功能。浏览器 (File) 与 Node (fs) 读取后都以字节数组 / 字节块传入。
+
+// 超过此大小的文件不读取内容 (不统计行数)
+export const LINE_COUNT_LIMIT = 1024 * 1024;
+
+const BINARY_SAMPLE = 8000; // 与 git 相同：只检查开头的字节
+
+// 开头出现 NUL 字节即视为二进制文件
+export const isBinary = (bytes) => {
+    const end = Math.min(bytes.length, BINARY_SAMPLE);
+    for (let i = 0; i < end; i++) {
+        if (bytes[i] === 0) return true;
+    }
+    return false;
+};
+
+/**
+ * 文本文件的行数，二进制文件返回 undefined。最后一行没有换行符时同样计为一行。
+ * @param {Uint8Array} bytes
+ * @returns {number | undefined}
+ */
+export const countTextLines = (bytes) => {
+    if (isBinary(bytes)) return undefined;
+    if (bytes.length === 0) return 0;
+    let lines = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        if (bytes[i] === 10) lines++;
+    }
+    return bytes[bytes.length - 1] === 10 ? lines : lines + 1;
+};
+
+// --- 内容分析 ---
+// 逐块读取文件：统计文本文件的行数，并为可能重复的文件计算 SHA-256。
+// 只有大小相同的文件才可能重复，因此只为它们计算哈希；按扩展名判断为二进制的文件不统计行数，
+// 既不统计行数也不需要哈希的文件完全不读取。
+
+// 常见的二进制扩展名：不读取内容统计行数
+const BINARY_EXTENSIONS = new Set([
+    'png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'ico', 'bmp', 'tif', 'tiff', 'psd',
+    'mp3', 'mp4', 'm4a', 'mov', 'avi', 'mkv', 'webm', 'wav', 'flac', 'ogg',
+    'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'jar', 'war',
+    'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
+    'woff', 'woff2', 'ttf', 'otf', 'eot',
+    'exe', 'dll', 'so', 'dylib', 'bin', 'class', 'o', 'a', 'wasm', 'pyc', 'sqlite', 'db'
+]);
+
+export const hasBinaryExtension = (path) => {
+    const name = path.slice(path.lastIndexOf('/') + 1);
+    const index = name.lastIndexOf('.');
+    return index > 0 && BINARY_EXTENSIONS.has(name.slice(index + 1).toLowerCase());
+};
+
+/**
+ * ReadableStream (File.stream()) 转为异步迭代的字节块。不依赖 ReadableStream 自身的异步迭代支持。
+ * @param {ReadableStream<Uint8Array>} stream
+ */
+export async function* streamChunks(stream) {
+    const reader = stream.getReader();
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * 逐块读取内容。与 countTextLines 的结果一致：二进制文件没有 lines。
+ * @param {AsyncIterable<Uint8Array>} chunks
+ * @param {{ lines?: boolean, hash?: boolean, signal?: AbortSignal }} [options]
+ * @returns {Promise<{ lines?: number, hash?: string }>}
+ */
+export const readContent = async (chunks, { lines: wantLines = true, hash: wantHash = false, signal } = {}) => {
+    let count = 0;
+    let seen = 0;
+    let last = -1;
+    let binary = false;
+    const parts = [];
+    for await (const chunk of chunks) {
+        if (signal && signal.aborted) throw new Error('Aborted');
+        if (seen < BINARY_SAMPLE && isBinary(chunk.subarray(0, BINARY_SAMPLE - seen))) binary = true;
+        if (wantLines && !binary) {
+            for (let i = 0; i < chunk.length; i++) {
+                if (chunk[i] === 10) count++;
+            }
+        }
+        if (chunk.length > 0) last = chunk[chunk.length - 1];
+        seen += chunk.length;
+        if (wantHash) parts.push(chunk);
+        else if (binary) break; // 二进制文件不再需要其余内容
+    }
+
+    const result = {};
+    if (wantLines && !binary) result.lines = seen === 0 || last === 10 ? count : count + 1;
+    if (wantHash) {
+        const bytes = new Uint8Array(seen);
+        let offset = 0;
+        parts.forEach(part => { bytes.set(part, offset); offset += part.length; });
+        result.hash = toHex(await crypto.subtle.digest('SHA-256', bytes));
+    }
+    return result;
+};
+
+const READ_PROGRESS_INTERVAL = 50;
+
+/**
+ * 读取条目内容，写入 entry.lines 与 entry.hash (直接修改传入的条目)。浏览器与 Node 共用。
+ * @param {object[]} entries buildTree 的条目
+ * @param {(entry: object, index: number) => AsyncIterable<Uint8Array> | null} open 打开第 index 个条目，无法读取时返回 null
+ * @param {object} options
+ * @param {boolean} [options.lines] 统计行数
+ * @param {boolean} [options.hash] 为大小相同的文件计算哈希 (用于查找重复文件)
+ * @param {number} [options.limit] 超过此大小的文件不读取
+ * @param {(entry: object) => boolean} [options.skip] 不读取的条目 (如被排除规则命中)
+ * @param {Map<string, object>} [options.cache] 以路径、大小与修改时间为键缓存结果，重新生成时无需再次读取
+ * @param {AbortSignal} [options.signal]
+ * @param {(progress: { phase: 'read', processed: number, total: number }) => void} [options.onProgress]
+ * @returns {Promise<object[]>} 中止时以 Error('Aborted') 拒绝
+ */
+export const readEntryContents = async (entries, open, {
+    lines = false, hash = false, limit = LINE_COUNT_LIMIT, skip, cache, signal, onProgress
+} = {}) => {
+    const readable = entries.map(entry => !entry.type && entry.size <= limit && !(skip && skip(entry)));
+
+    // 只有大小相同的非空文件才可能重复
+    const hashSizes = new Set();
+    if (hash) {
+        const seenSizes = new Set();
+        entries.forEach((entry, i) => {
+            if (!readable[i] || !entry.size) return;
+            if (seenSizes.has(entry.size)) hashSizes.add(entry.size);
+            seenSizes.add(entry.size);
+        });
+    }
+
+    for (let i = 0; i < entries.length; i++) {
+        if (i % READ_PROGRESS_INTERVAL === 0) {
+            if (signal && signal.aborted) throw new Error('Aborted');
+            if (onProgress) onProgress({ phase: 'read', processed: i, total: entries.length });
+        }
+        if (!readable[i]) continue;
+        const entry = entries[i];
+        const wantLines = lines && !hasBinaryExtension(entry.path);
+        const wantHash = hashSizes.has(entry.size);
+        if (!wantLines && !wantHash) continue;
+
+        const key = `${entry.path}\0${entry.size}\0${entry.lastModified}`;
+        let result = cache && cache.get(key);
+        // 缓存中缺少需要的结果时重新读取 (例如之前不是哈希候选)
+        if (!result || (wantLines && !('lines' in result) && !result.binary) || (wantHash && !result.hash)) {
+            const chunks = open(entry, i);
+            if (!chunks) continue;
+            const read = await readContent(chunks, { lines: wantLines, hash: wantHash, signal });
+            result = { ...result, ...read };
+            if (wantLines && read.lines === undefined) result.binary = true;
+            if (cache) cache.set(key, result);
+        }
+        if (wantLines && result.lines !== undefined) entry.lines = result.lines;
+        if (wantHash) entry.hash = result.hash;
+    }
+    if (onProgress) onProgress({ phase: 'read', processed: entries.length, total: entries.length });
+    return entries;
+};
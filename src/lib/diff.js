@@ -0,0 +1,166 @@
+// --- 快照与目录树对比 ---
+// 快照是树模型展开后的条目列表 (即 buildTree 的输入格式)，保存为 JSON 后可以随时重新载入对比。
+// diffTrees 将两棵树合并为一棵，节点上的 _diff 标记变化：
+//   { status: 'added' | 'removed' | 'modified' | 'moved', previousSize?, from? }
+
+export const SNAPSHOT_KIND = 'tree-genius-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+// 文本风格中每行行首的标记
+export const DIFF_MARKS = { added: '+', removed: '-', modified: '~', moved: '>' };
+
+const joinPath = (parent, name) => (parent ? `${parent}/${name}` : name);
+
+const flatten = (nodes, parentPath, entries) => {
+    for (const [name, data] of Object.entries(nodes)) {
+        const path = joinPath(parentPath, name);
+        if (data._type === 'dir') {
+            entries.push({ path, type: 'dir' });
+            flatten(data._children, path, entries);
+        } else if (data._type === 'symlink') {
+            entries.push({ path, type: 'symlink', target: data.target });
+        } else {
+            const entry = { path, size: data.size };
+            if (data.lastModified !== undefined) entry.lastModified = data.lastModified;
+            if (data.lines !== undefined) entry.lines = data.lines;
+            entries.push(entry);
+        }
+    }
+    return entries;
+};
+
+/**
+ * 由树模型创建快照。
+ * @param {object} tree buildTree 返回的树模型 (已应用排除规则)
+ * @param {string} root 根目录名称
+ * @returns {{ kind: string, version: number, root: string, createdAt: string, entries: object[] }}
+ */
+export const createSnapshot = (tree, root) => ({
+    kind: SNAPSHOT_KIND,
+    version: SNAPSHOT_VERSION,
+    root,
+    createdAt: new Date().toISOString(),
+    entries: flatten(tree, '', [])
+});
+
+/**
+ * 解析快照文件内容。
+ * @param {string} text
+ * @returns {{ root: string, createdAt?: string, entries: object[] }}
+ */
+export const parseSnapshot = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('快照不是有效的 JSON');
+    }
+    if (!data || data.kind !== SNAPSHOT_KIND || !Array.isArray(data.entries)) {
+        throw new Error('不是 TreeGenius 快照文件');
+    }
+    if (data.version > SNAPSHOT_VERSION) throw new Error(`不支持的快照版本 ${data.version}`);
+    if (data.entries.some(entry => !entry || typeof entry.path !== 'string')) throw new Error('快照中的条目缺少 path');
+    return { root: data.root || 'snapshot', createdAt: data.createdAt, entries: data.entries };
+};
+
+// 整棵子树标记为同一状态，并计入统计
+const markAll = (data, status, path, ctx) => {
+    if (data._type === 'dir') {
+        const children = {};
+        for (const [name, child] of Object.entries(data._children)) {
+            children[name] = markAll(child, status, joinPath(path, name), ctx);
+        }
+        return { ...data, _children: children, _diff: { status } };
+    }
+    const node = { ...data, _diff: { status } };
+    ctx[status].push({ path, node });
+    return node;
+};
+
+const isSameEntry = (a, b) => (a._type === 'symlink'
+    ? a.target === b.target
+    : a.size === b.size);
+
+const diffNodes = (base, head, parentPath, ctx) => {
+    const result = {};
+    const names = new Set([...Object.keys(base), ...Object.keys(head)]);
+    for (const name of names) {
+        const before = base[name];
+        const after = head[name];
+        const path = joinPath(parentPath, name);
+
+        if (before && after && before._type === after._type) {
+            if (after._type === 'dir') {
+                result[name] = { ...after, _children: diffNodes(before._children, after._children, path, ctx) };
+            } else if (isSameEntry(before, after)) {
+                result[name] = after;
+                ctx.unchanged++;
+            } else {
+                result[name] = { ...after, _diff: { status: 'modified', previousSize: before.size } };
+                ctx.modified.push({ path, node: result[name] });
+            }
+        } else if (after) {
+            // 类型变化 (文件 <-> 目录) 时只保留新的一侧，旧的一侧计为删除 (不参与移动识别)
+            if (before) markAll(before, 'removed', path, { removed: ctx.replaced });
+            result[name] = markAll(after, 'added', path, ctx);
+        } else {
+            result[name] = markAll(before, 'removed', path, ctx);
+        }
+    }
+    return result;
+};
+
+// 名称与大小相同的 删除 + 新增 视为移动 (不比较修改时间：重新检出的仓库中修改时间都会变化)
+const moveKey = (path, node) => `${path.split('/').pop()}\0${node.size}`;
+
+/**
+ * 对比两棵树模型。
+ * @param {object} base 基准 (旧) 树模型
+ * @param {object} head 当前 (新) 树模型
+ * @returns {{ tree: object, changes: { added: number, removed: number, modified: number, moved: number, unchanged: number } }}
+ *          tree 为合并后的树模型，统计只计文件与符号链接
+ */
+export const diffTrees = (base, head) => {
+    const ctx = { added: [], removed: [], replaced: [], modified: [], unchanged: 0 };
+    const tree = diffNodes(base, head, '', ctx);
+
+    const removedByKey = new Map();
+    ctx.removed.forEach(item => {
+        if (item.node._type !== 'file') return;
+        const key = moveKey(item.path, item.node);
+        if (!removedByKey.has(key)) removedByKey.set(key, []);
+        removedByKey.get(key).push(item);
+    });
+
+    let moved = 0;
+    const movedFrom = new Set();
+    ctx.added.forEach(item => {
+        if (item.node._type !== 'file') return;
+        const candidates = removedByKey.get(moveKey(item.path, item.node));
+        if (!candidates || candidates.length === 0) return;
+        const source = candidates.shift();
+        item.node._diff = { status: 'moved', from: source.path };
+        movedFrom.add(source.path);
+        moved++;
+    });
+
+    // 从合并树中移除已识别为移动的旧位置
+    movedFrom.forEach(path => {
+        const parts = path.split('/');
+        const name = parts.pop();
+        let nodes = tree;
+        for (const part of parts) nodes = nodes[part]._children;
+        delete nodes[name];
+    });
+
+    return {
+        tree,
+        changes: {
+            added: ctx.added.length - moved,
+            removed: ctx.removed.length + ctx.replaced.length - moved,
+            modified: ctx.modified.length,
+            moved,
+            unchanged: ctx.unchanged
+        }
+    };
+};
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSnapshot, diffTrees, parseSnapshot } from './diff.js';
+import { buildTree, renderTree } from './tree.js';
+
+const file = (path, size = 10) => ({ path, size, lastModified: 0 });
+
+const treeOf = async (entries) => (await buildTree(entries, { ignores: [] })).tree;
+
+test('快照保存后可以原样载入', async () => {
+    const tree = await treeOf([file('src/a.js', 5), file('README.md'), { path: 'empty', type: 'dir' }]);
+    const snapshot = parseSnapshot(JSON.stringify(createSnapshot(tree, 'proj')));
+    assert.equal(snapshot.root, 'proj');
+    assert.deepEqual(await treeOf(snapshot.entries), tree);
+});
+
+test('无效的快照给出错误', () => {
+    assert.throws(() => parseSnapshot('{'), /有效的 JSON/);
+    assert.throws(() => parseSnapshot('{"entries":[]}'), /不是 TreeGenius 快照/);
+    assert.throws(() => parseSnapshot('{"kind":"tree-genius-snapshot","version":99,"entries":[]}'), /不支持的快照版本/);
+});
+
+test('识别新增、删除、修改与移动', async () => {
+    const base = await treeOf([file('a.js', 1), file('b.js', 2), file('old/c.js', 3), file('d.js', 4)]);
+    const head = await treeOf([file('a.js', 1), file('b.js', 20), file('new/c.js', 3), file('e.js', 5)]);
+    const { tree, changes } = diffTrees(base, head);
+    assert.deepEqual(changes, { added: 1, removed: 1, modified: 1, moved: 1, unchanged: 1 });
+    assert.deepEqual(tree['b.js']._diff, { status: 'modified', previousSize: 2 });
+    assert.deepEqual(tree.new._children['c.js']._diff, { status: 'moved', from: 'old/c.js' });
+    assert.equal(tree['d.js']._diff.status, 'removed');
+    assert.equal(tree['e.js']._diff.status, 'added');
+    assert.equal(tree['a.js']._diff, undefined);
+    assert.ok(!('c.js' in tree.old._children));
+});
+
+test('文本输出在行首标记变化', async () => {
+    const base = await treeOf([file('a.js', 1), file('b.js', 2)]);
+    const head = await treeOf([file('a.js', 1), file('c.js', 9)]);
+    const { tree, changes } = diffTrees(base, head);
+    const output = await renderTree(tree, {}, 'proj', { changes });
+    assert.match(output, /^- .*b\.js$/m);
+    assert.match(output, /^\+ .*c\.js$/m);
+});
@@ -0,0 +1,233 @@
+// --- 导出格式 ---
+// 非文本树的输出格式，均由 json.js 的导出结构生成，因此与 JSON 一样遵循深度、排除规则与显示文件等选项。
+// 每个格式提供文件扩展名、MIME 类型以及注入 Markdown 时使用的代码块语言 (null 表示直接插入)。
+
+import { moreText } from './limits.js';
+import { formatSize } from './size.js';
+
+const childrenOf = (node) => node.children || [];
+
+// 节点的显示名称：目录可追加 /，开启 showSizes 时附带大小
+const labelOf = (node, config) => {
+    let label = node.name;
+    if (node.type === 'directory' && config.trailingSlash) label += '/';
+    if (node.type === 'symlink') label += ` -> ${node.target}`;
+    if (node.size !== undefined) label += ` (${formatSize(node.size)})`;
+    return label;
+};
+
+// 深度优先遍历 (不含根节点)，visit(node, parent, depth)；
+// leave(node, depth) 在目录的子项之后调用 (用于输出被 maxChildren 省略的汇总行)
+const walk = (node, visit, depth = 0, leave = null) => {
+    childrenOf(node).forEach(child => {
+        visit(child, node, depth);
+        walk(child, visit, depth + 1, leave);
+    });
+    if (leave) leave(node, depth);
+};
+
+// --- Markdown 嵌套列表 ---
+
+// 转义行内标记，并避免以 "1." / "-" 开头的名称被解析为嵌套列表
+const escapeMarkdown = (text) => text
+    .replace(/[\\`*_[\]<>#|~]/g, '\\$&')
+    .replace(/^(\d+)([.)])/, '$1\\$2')
+    .replace(/^[-+]/, '\\$&');
+const linkTarget = (path) => encodeURI(path).replace(/[()]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const renderMarkdown = (doc, config) => {
+    const rootDescription = doc.tree.description ? ` — ${escapeMarkdown(doc.tree.description)}` : '';
+    const lines = [`- **${escapeMarkdown(labelOf(doc.tree, config))}**${rootDescription}`];
+    walk(doc.tree, (node, parent, depth) => {
+        const indent = '  '.repeat(depth + 1);
+        const label = escapeMarkdown(labelOf(node, config));
+        let text = label;
+        if (node.type === 'directory') text = `**${label}**`;
+        else if (config.linkFiles) text = `[${label}](${linkTarget(node.path)})`;
+        if (node.description) text += ` — ${escapeMarkdown(node.description)}`;
+        lines.push(`${indent}- ${text}`);
+    }, 0, (node, depth) => {
+        if (node.omitted) lines.push(`${'  '.repeat(depth + 1)}- *${escapeMarkdown(moreText(node.omitted))}*`);
+    });
+    return lines.join('\n');
+};
+
+// --- HTML (<details> 折叠) ---
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+const htmlNode = (node, config, indent) => {
+    const pad = '  '.repeat(indent);
+    let label = escapeHtml(labelOf(node, config));
+    if (node.description) label += ` <small>${escapeHtml(node.description)}</small>`;
+    if (node.type !== 'directory') return [`${pad}<li>${label}</li>`];
+    const children = childrenOf(node);
+    if (children.length === 0) return [`${pad}<li class="dir">${label}</li>`];
+    return [
+        `${pad}<li class="dir"><details open><summary>${label}</summary>`,
+        `${pad}  <ul>`,
+        ...children.flatMap(child => htmlNode(child, config, indent + 2)),
+        ...(node.omitted ? [`${pad}    <li class="more">${escapeHtml(moreText(node.omitted))}</li>`] : []),
+        `${pad}  </ul>`,
+        `${pad}</details></li>`
+    ];
+};
+
+const renderHtml = (doc, config) => [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(doc.root)}</title>`,
+    '<style>',
+    '  body { font-family: ui-monospace, monospace; font-size: 14px; }',
+    '  ul { list-style: none; padding-left: 1.25em; margin: 0; }',
+    '  li.dir > details > summary, li.dir { font-weight: bold; }',
+    '  li { font-weight: normal; }',
+    '  small, li.more { color: #6a737d; font-weight: normal; }',
+    '  small { margin-left: 1em; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    '<ul>',
+    ...htmlNode(doc.tree, config, 1),
+    '</ul>',
+    '</body>',
+    '</html>'
+].join('\n');
+
+// --- YAML (与 JSON 导出结构相同) ---
+
+const YAML_PLAIN = /^[A-Za-z_][\w.\-/]*$/;
+const YAML_RESERVED = /^(true|false|null|yes|no|on|off|y|n)$/i;
+
+const yamlScalar = (value) => {
+    if (typeof value !== 'string') return String(value);
+    // JSON 字符串同时也是合法的 YAML 双引号标量
+    return YAML_PLAIN.test(value) && !YAML_RESERVED.test(value) ? value : JSON.stringify(value);
+};
+
+const isNested = (value) => value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+
+const yamlInline = (value) => {
+    if (Array.isArray(value)) return '[]';
+    if (value !== null && typeof value === 'object') return '{}';
+    return yamlScalar(value);
+};
+
+const yamlLines = (value, indent) => {
+    const pad = ' '.repeat(indent);
+    if (Array.isArray(value)) {
+        return value.flatMap(item => {
+            if (!isNested(item)) return [`${pad}- ${yamlInline(item)}`];
+            const lines = yamlLines(item, indent + 2);
+            lines[0] = `${pad}- ${lines[0].trimStart()}`;
+            return lines;
+        });
+    }
+    return Object.entries(value).flatMap(([key, item]) => (isNested(item)
+        ? [`${pad}${yamlScalar(key)}:`, ...yamlLines(item, indent + 2)]
+        : [`${pad}${yamlScalar(key)}: ${yamlInline(item)}`]));
+};
+
+const renderYaml = (doc) => yamlLines(doc, 0).join('\n');
+
+// --- CSV (扁平列表) ---
+
+const csvField = (value) => {
+    const text = value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 对比模式下追加 status 列，Git 模式下追加 git 列
+const renderCsv = (doc) => {
+    const hasGit = !!doc.statistics.git;
+    const header = ['path', 'type', 'size', 'mtime'];
+    if (doc.changes) header.push('status');
+    if (hasGit) header.push('git');
+    const lines = [header.join(',')];
+    walk(doc.tree, (node) => {
+        const mtime = node.lastModified !== undefined ? new Date(node.lastModified).toISOString() : '';
+        const fields = [node.path, node.type, node.size, mtime];
+        if (doc.changes) fields.push(node.status);
+        if (hasGit) fields.push(node.git);
+        lines.push(fields.map(csvField).join(','));
+    });
+    return lines.join('\n');
+};
+
+// --- Mermaid / Graphviz ---
+
+// Mermaid 的引号标签中不能出现双引号，使用实体代替
+const mermaidLabel = (text) => `"${text.replace(/"/g, '#quot;')}"`;
+
+const renderMermaidGraph = (doc, config) => {
+    const ids = new Map([[doc.tree, 'n0']]);
+    const lines = ['graph TD', `    n0[${mermaidLabel(labelOf(doc.tree, config))}]`];
+    walk(doc.tree, (node, parent) => {
+        const id = `n${ids.size}`;
+        ids.set(node, id);
+        const label = mermaidLabel(labelOf(node, config));
+        lines.push(`    ${ids.get(parent)} --> ${id}${node.type === 'directory' ? `[${label}]` : `(${label})`}`);
+    });
+    return lines.join('\n');
+};
+
+const renderMermaidMindmap = (doc, config) => {
+    const lines = ['mindmap', `  n0((${mermaidLabel(labelOf(doc.tree, config))}))`];
+    let count = 1;
+    walk(doc.tree, (node, parent, depth) => {
+        lines.push(`${'  '.repeat(depth + 2)}n${count++}[${mermaidLabel(labelOf(node, config))}]`);
+    });
+    return lines.join('\n');
+};
+
+const dotString = (text) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+const renderDot = (doc, config) => {
+    const ids = new Map([[doc.tree, 'n0']]);
+    const lines = [
+        'digraph tree {',
+        '    rankdir=LR;',
+        '    node [shape=box, fontname="monospace"];',
+        `    n0 [label=${dotString(labelOf(doc.tree, config))}, shape=folder];`
+    ];
+    const edges = [];
+    walk(doc.tree, (node, parent) => {
+        const id = `n${ids.size}`;
+        ids.set(node, id);
+        const shape = node.type === 'directory' ? 'folder' : 'note';
+        lines.push(`    ${id} [label=${dotString(labelOf(node, config))}, shape=${shape}];`);
+        edges.push(`    ${ids.get(parent)} -> ${id};`);
+    });
+    return [...lines, ...edges, '}'].join('\n');
+};
+
+/**
+ * 非文本树的导出格式。render(doc, config) 接收 toJsonExport 的结果。
+ * sizes 为 true 时无论 showSizes 是否开启都需要大小信息 (CSV)。
+ */
+export const EXPORT_FORMATS = {
+    json: {
+        label: 'JSON', extension: 'json', mime: 'application/json', language: 'json',
+        render: (doc) => JSON.stringify(doc, null, 2)
+    },
+    yaml: { label: 'YAML', extension: 'yaml', mime: 'application/yaml', language: 'yaml', render: renderYaml },
+    markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown', language: null, render: renderMarkdown },
+    html: { label: 'HTML', extension: 'html', mime: 'text/html', language: 'html', render: renderHtml },
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv', language: 'csv', sizes: true, render: renderCsv },
+    mermaid: { label: 'Mermaid', extension: 'mmd', mime: 'text/plain', language: 'mermaid', render: renderMermaidGraph },
+    mindmap: { label: 'Mindmap', extension: 'mmd', mime: 'text/plain', language: 'mermaid', render: renderMermaidMindmap },
+    dot: { label: 'DOT', extension: 'dot', mime: 'text/vnd.graphviz', language: 'dot', render: renderDot }
+};
+
+// 文本树风格的下载信息
+export const TEXT_FORMAT = { extension: 'txt', mime: 'text/plain', language: 'text' };
+
+/**
+ * 取得某个风格的导出信息 (扩展名、MIME 类型、代码块语言)。
+ * @param {string} style
+ */
+export const formatOf = (style) => EXPORT_FORMATS[style] || TEXT_FORMAT;
@@ -0,0 +1,169 @@
+// --- Git 状态 ---
+// 在本地解析 .git/index (无需 git 命令与网络)，为树中的文件标记 Git 状态：
+//   tracked    已在索引中
+//   modified   已在索引中，但大小或修改时间 (秒) 与索引记录的不同 (与 git 的快速检查一致，不比较内容)
+//   untracked  不在索引中
+//   ignored    不在索引中且被 .gitignore / .git/info/exclude 忽略 (已跟踪的文件不会被忽略)
+// 支持索引版本 2 - 4；对象 ID 按 SHA-1 (20 字节) 解析，SHA-256 仓库的索引无法读取。
+// 多根工作区中每个根可以是独立的仓库，由 mergeGitRepos 合并为一个 (见 workspace.js)。
+
+import { createGitignoreMatcher } from './gitignore.js';
+
+export const GIT_STATUSES = ['tracked', 'modified', 'untracked', 'ignored'];
+
+const SIGNATURE = 0x44495243; // "DIRC"
+const ENTRY_FIXED_SIZE = 62; // 10 个 32 位 stat 字段 + 20 字节 SHA-1 + 16 位标志
+const EXTENDED_FLAG = 0x4000;
+const MODE_TYPE_MASK = 0o170000;
+const MODE_DIR = 0o040000; // 稀疏索引中的目录条目
+const MODE_GITLINK = 0o160000; // 子模块
+
+// 版本 4 中路径前缀的变长整数 (git 的 offset 编码)
+const readVarint = (bytes, offset) => {
+    let byte = bytes[offset++];
+    let value = byte & 0x7f;
+    while (byte & 0x80) {
+        byte = bytes[offset++];
+        value = ((value + 1) * 128) + (byte & 0x7f);
+    }
+    return { value, offset };
+};
+
+/**
+ * 解析 .git/index。
+ * @param {Uint8Array} bytes 索引文件的内容
+ * @returns {{ version: number, files: Map<string, { size: number, mtime: number }>, dirs: Set<string> }}
+ *          files 的 mtime 为秒；dirs 为子模块与稀疏索引中的目录，其下的路径都视为已跟踪
+ * @throws {Error} 不是有效的索引文件时抛出
+ */
+export const parseGitIndex = (bytes) => {
+    if (bytes.length < 12) throw new Error('索引文件过短');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(0) !== SIGNATURE) throw new Error('不是 Git 索引文件 (缺少 DIRC 签名)');
+    const version = view.getUint32(4);
+    if (version < 2 || version > 4) throw new Error(`不支持的索引版本 ${version}`);
+    const count = view.getUint32(8);
+
+    const decoder = new TextDecoder();
+    const files = new Map();
+    const dirs = new Set();
+    let offset = 12;
+    let previous = new Uint8Array(0);
+
+    for (let i = 0; i < count; i++) {
+        if (offset + ENTRY_FIXED_SIZE > bytes.length) throw new Error('索引文件已损坏 (条目不完整)');
+        const mtime = view.getUint32(offset + 8);
+        const mode = view.getUint32(offset + 24);
+        const size = view.getUint32(offset + 36);
+        const flags = view.getUint16(offset + 60);
+        let cursor = offset + ENTRY_FIXED_SIZE + (version >= 3 && (flags & EXTENDED_FLAG) ? 2 : 0);
+
+        let name;
+        if (version === 4) {
+            // 去掉上一条路径末尾的 N 个字节，再接上以 NUL 结尾的后缀
+            const strip = readVarint(bytes, cursor);
+            const end = bytes.indexOf(0, strip.offset);
+            if (end < 0 || strip.value > previous.length) throw new Error('索引文件已损坏 (路径无效)');
+            const suffix = bytes.subarray(strip.offset, end);
+            name = new Uint8Array(previous.length - strip.value + suffix.length);
+            name.set(previous.subarray(0, previous.length - strip.value));
+            name.set(suffix, previous.length - strip.value);
+            previous = name;
+            offset = end + 1;
+        } else {
+            const end = bytes.indexOf(0, cursor);
+            if (end < 0) throw new Error('索引文件已损坏 (路径无效)');
+            name = bytes.subarray(cursor, end);
+            // 条目以 1 - 8 个 NUL 补齐到 8 字节的倍数
+            offset += (end - offset + 8) & ~7;
+        }
+
+        const path = decoder.decode(name).replace(/\/$/, '');
+        const type = mode & MODE_TYPE_MASK;
+        if (type === MODE_DIR || type === MODE_GITLINK) dirs.add(path);
+        else files.set(path, { size, mtime });
+    }
+    return { version, files, dirs };
+};
+
+/**
+ * 创建状态判断函数。
+ * @param {{ index: { files: Map, dirs: Set<string> }, exclude?: string, excludes?: { dir: string, content: string }[] }} repo
+ *        index 为 parseGitIndex 的结果，exclude 为 .git/info/exclude 的内容；excludes 为合并的各仓库的 info/exclude (见 mergeGitRepos)
+ * @param {{ dir: string, content: string }[]} gitignores 仓库中的 .gitignore
+ * @param {{ checkModified?: boolean }} [options] 关闭时已跟踪的文件都视为 tracked
+ * @returns {(path: string, entry: { size?: number, lastModified?: number, type?: string }) => string} 返回 GIT_STATUSES 之一
+ */
+export const createGitClassifier = (repo, gitignores, { checkModified = true } = {}) => {
+    const { files, dirs } = repo.index;
+    // info/exclude 的优先级低于 .gitignore，放在前面先匹配
+    const isIgnored = createGitignoreMatcher([{ dir: '', content: repo.exclude || '' }, ...(repo.excludes || []), ...gitignores]);
+
+    const inTrackedDir = (path) => {
+        if (dirs.size === 0) return false;
+        for (let slash = path.indexOf('/'); slash !== -1; slash = path.indexOf('/', slash + 1)) {
+            if (dirs.has(path.slice(0, slash))) return true;
+        }
+        return false;
+    };
+
+    return (path, entry) => {
+        const indexed = files.get(path);
+        if (indexed) {
+            if (!checkModified || entry.type === 'symlink' || entry.lastModified === undefined) return 'tracked';
+            // 索引中的大小只保留低 32 位
+            const changed = entry.size % 0x100000000 !== indexed.size || Math.floor(entry.lastModified / 1000) !== indexed.mtime;
+            return changed ? 'modified' : 'tracked';
+        }
+        if (inTrackedDir(path)) return 'tracked';
+        return isIgnored(path, false) ? 'ignored' : 'untracked';
+    };
+};
+
+/**
+ * 为目录写入 git：子树中的文件全部为 untracked 或全部为 ignored 时，目录沿用该状态 (与 git status 折叠未跟踪目录一致)。
+ * 直接修改树模型，只在构建阶段调用。
+ * @param {object} tree
+ */
+export const markGitDirs = (tree) => {
+    // 返回子树中文件的统一状态；为空时返回 null，状态不一致时返回 ''
+    const visit = (nodes) => {
+        let common = null;
+        Object.values(nodes).forEach(data => {
+            let status = data.git || 'tracked';
+            if (data._type === 'dir') {
+                status = visit(data._children);
+                if (status === 'untracked' || status === 'ignored') data.git = status;
+                if (status === null) return;
+            }
+            common = common === null || common === status ? status : '';
+        });
+        return common;
+    };
+    visit(tree);
+};
+
+/**
+ * 合并工作区中各根的仓库：索引中的路径加上根的别名前缀。
+ * 不是 Git 仓库的根整体视为已跟踪 (不标注状态)，避免其中的文件都被标为 untracked。
+ * @param {{ base: string, repo: { index: object, exclude?: string } | null }[]} repos base 为根的别名
+ * @returns {{ index: { version: number, files: Map, dirs: Set<string> }, excludes: { dir: string, content: string }[] } | null}
+ *          没有任何仓库时为 null
+ */
+export const mergeGitRepos = (repos) => {
+    const found = repos.filter(item => item.repo);
+    if (found.length === 0) return null;
+    const files = new Map();
+    const dirs = new Set();
+    const excludes = [];
+    repos.forEach(({ base, repo }) => {
+        if (!repo) {
+            dirs.add(base);
+            return;
+        }
+        repo.index.files.forEach((entry, path) => files.set(`${base}/${path}`, entry));
+        repo.index.dirs.forEach(path => dirs.add(`${base}/${path}`));
+        excludes.push({ dir: base, content: repo.exclude || '' });
+    });
+    return { index: { version: found[0].repo.index.version, files, dirs }, excludes };
+};
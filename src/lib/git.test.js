@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGitClassifier, mergeGitRepos, parseGitIndex } from './git.js';
+import { generateTree } from './tree.js';
+
+const MODE_FILE = 0o100644;
+const MODE_GITLINK = 0o160000;
+
+// 按 git 的格式生成索引：版本 2 的条目补齐到 8 字节，版本 4 的路径按前缀压缩
+const createIndex = (entries, version = 2) => {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let previous = '';
+    entries.forEach(({ path, size = 0, mtime = 0, mode = MODE_FILE }) => {
+        const fixed = new Uint8Array(62);
+        const view = new DataView(fixed.buffer);
+        view.setUint32(8, mtime);
+        view.setUint32(24, mode);
+        view.setUint32(36, size);
+        view.setUint16(60, Math.min(path.length, 0xfff));
+        let name;
+        if (version === 4) {
+            let common = 0;
+            while (common < previous.length && common < path.length && previous[common] === path[common]) common++;
+            // 测试中的路径都很短，去掉的字节数用一个字节的变长整数即可
+            name = Uint8Array.from([previous.length - common, ...encoder.encode(path.slice(common)), 0]);
+            previous = path;
+        } else {
+            const bytes = encoder.encode(path);
+            name = new Uint8Array(((62 + bytes.length + 8) & ~7) - 62);
+            name.set(bytes);
+        }
+        chunks.push(fixed, name);
+    });
+    const header = new Uint8Array(12);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x44495243);
+    view.setUint32(4, version);
+    view.setUint32(8, entries.length);
+    const total = [header, ...chunks].reduce((sum, chunk) => sum + chunk.length, 0);
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    [header, ...chunks].forEach(chunk => { bytes.set(chunk, offset); offset += chunk.length; });
+    return bytes;
+};
+
+const INDEX_ENTRIES = [
+    { path: 'README.md', size: 5, mtime: 100 },
+    { path: 'src/a.js', size: 10, mtime: 100 },
+    { path: 'src/b.js', size: 10, mtime: 100 },
+    { path: 'vendor/lib', mode: MODE_GITLINK }
+];
+
+test('解析版本 2 与版本 4 的索引', () => {
+    for (const version of [2, 4]) {
+        const index = parseGitIndex(createIndex(INDEX_ENTRIES, version));
+        assert.equal(index.version, version);
+        assert.deepEqual([...index.files.keys()], ['README.md', 'src/a.js', 'src/b.js']);
+        assert.deepEqual(index.files.get('src/a.js'), { size: 10, mtime: 100 });
+        assert.deepEqual([...index.dirs], ['vendor/lib']);
+    }
+});
+
+test('无效的索引文件', () => {
+    assert.throws(() => parseGitIndex(new Uint8Array(4)), /过短/);
+    assert.throws(() => parseGitIndex(new Uint8Array(12)), /DIRC/);
+    const truncated = createIndex(INDEX_ENTRIES).subarray(0, 40);
+    assert.throws(() => parseGitIndex(truncated), /已损坏/);
+});
+
+test('按索引与 .gitignore 判断文件状态', () => {
+    const repo = { index: parseGitIndex(createIndex(INDEX_ENTRIES)), exclude: 'secret.txt\n' };
+    const classify = createGitClassifier(repo, [{ dir: '', content: '*.log\n' }]);
+    assert.equal(classify('src/a.js', { size: 10, lastModified: 100000 }), 'tracked');
+    assert.equal(classify('src/b.js', { size: 12, lastModified: 100000 }), 'modified');
+    assert.equal(classify('vendor/lib/x.c', { size: 1, lastModified: 0 }), 'tracked');
+    assert.equal(classify('new.js', { size: 1, lastModified: 0 }), 'untracked');
+    assert.equal(classify('app.log', { size: 1, lastModified: 0 }), 'ignored');
+    assert.equal(classify('secret.txt', { size: 1, lastModified: 0 }), 'ignored');
+
+    const quick = createGitClassifier(repo, [], { checkModified: false });
+    assert.equal(quick('src/b.js', { size: 12, lastModified: 100000 }), 'tracked');
+});
+
+test('Git 模式的输出与统计', async () => {
+    const git = { index: parseGitIndex(createIndex(INDEX_ENTRIES)) };
+    const entries = [
+        { path: 'README.md', size: 5, lastModified: 100000 },
+        { path: 'src/a.js', size: 99, lastModified: 100000 },
+        { path: 'tmp/x.js', size: 1, lastModified: 0 }
+    ];
+    const { output, statistics } = await generateTree(entries, { gitStatus: true }, 'p', { git });
+    assert.deepEqual(statistics.git, { tracked: 1, modified: 1, untracked: 1, ignored: 0 });
+
+    const tracked = await generateTree(entries, { gitStatus: true, gitTrackedOnly: true }, 'p', { git });
+    assert.ok(!tracked.output.includes('tmp'));
+    assert.ok(output.includes('tmp'));
+});
+
+test('合并多个根的仓库', () => {
+    const repo = { index: parseGitIndex(createIndex(INDEX_ENTRIES)), exclude: '*.tmp\n' };
+    const merged = mergeGitRepos([{ base: 'api', repo }, { base: 'docs', repo: null }]);
+    assert.ok(merged.index.files.has('api/src/a.js'));
+    assert.ok(merged.index.dirs.has('api/vendor/lib'));
+    assert.ok(merged.index.dirs.has('docs'));
+    assert.deepEqual(merged.excludes, [{ dir: 'api', content: '*.tmp\n' }]);
+    assert.equal(mergeGitRepos([{ base: 'a', repo: null }]), null);
+});
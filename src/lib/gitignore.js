@@ -0,0 +1,160 @@
+// --- .gitignore 解析与匹配 ---
+// 实现 git 的忽略语义：通配符、**、! 取反、锚定 (/) 与仅目录 (结尾 /) 规则，
+// 以及按所在目录划分的作用域 (子目录中的 .gitignore 只影响其下的路径，且优先级更高)。
+
+const escapeRegex = (ch) => ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// 将一段 glob 转为正则源码 (不含 ^ $)
+export const globToRegexSource = (glob) => {
+    let re = '';
+    let i = 0;
+    while (i < glob.length) {
+        const ch = glob[i];
+
+        if (ch === '*') {
+            if (glob[i + 1] === '*') {
+                const atStart = i === 0 || glob[i - 1] === '/';
+                const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+                if (atStart && atEnd) {
+                    if (i + 2 === glob.length) {
+                        // 结尾的 "**"：匹配任意内容
+                        re += '.*';
+                        i += 2;
+                    } else {
+                        // "**/"：匹配零或多级目录
+                        re += '(?:.*/)?';
+                        i += 3;
+                    }
+                    continue;
+                }
+                // 非独立的 "**" 退化为普通 "*"
+                re += '[^/]*';
+                i += 2;
+                continue;
+            }
+            re += '[^/]*';
+            i++;
+            continue;
+        }
+
+        if (ch === '?') {
+            re += '[^/]';
+            i++;
+            continue;
+        }
+
+        if (ch === '[') {
+            const close = glob.indexOf(']', i + 2);
+            if (close !== -1) {
+                let body = glob.slice(i + 1, close);
+                let negate = false;
+                if (body[0] === '!' || body[0] === '^') {
+                    negate = true;
+                    body = body.slice(1);
+                }
+                body = body.replace(/\\/g, '\\\\').replace(/\]/g, '\\]');
+                re += `[${negate ? '^' : ''}${body}]`;
+                i = close + 1;
+                continue;
+            }
+        }
+
+        if (ch === '\\' && i + 1 < glob.length) {
+            re += escapeRegex(glob[i + 1]);
+            i += 2;
+            continue;
+        }
+
+        re += escapeRegex(ch);
+        i++;
+    }
+    return re;
+};
+
+// 解析单行规则，空行与注释返回 null
+const parseRule = (rawLine) => {
+    let line = rawLine.replace(/\r$/, '');
+
+    // 去掉未转义的行尾空格
+    line = line.replace(/(^|[^\\])\s+$/, '$1');
+    if (!line || line.startsWith('#')) return null;
+
+    let negate = false;
+    if (line.startsWith('!')) {
+        negate = true;
+        line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+        line = line.slice(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith('/')) {
+        dirOnly = true;
+        line = line.replace(/\/+$/, '');
+    }
+    if (!line) return null;
+
+    // 开头或中间出现 "/" 时，规则相对于 .gitignore 所在目录锚定
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+
+    const source = globToRegexSource(line);
+    const regex = new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`);
+
+    return { pattern: rawLine.trim(), regex, negate, dirOnly };
+};
+
+export const parseGitignore = (content) =>
+    content.split('\n').map(parseRule).filter(Boolean);
+
+/**
+ * 根据一组 .gitignore 文件创建匹配器。
+ * @param {{ dir: string, content: string }[]} sources dir 为相对根目录的路径，根目录为 ''
+ * @returns {(path: string, isDir: boolean) => boolean}
+ */
+export const createGitignoreMatcher = (sources) => {
+    const scopes = sources
+        .map(({ dir, content }) => ({
+            dir: dir.replace(/^\/+|\/+$/g, ''),
+            rules: parseGitignore(content)
+        }))
+        .filter(scope => scope.rules.length > 0)
+        // 浅层在前，深层规则后匹配从而覆盖浅层
+        .sort((a, b) => (a.dir ? a.dir.split('/').length : 0) - (b.dir ? b.dir.split('/').length : 0));
+
+    const dirCache = new Map();
+
+    // 只判断路径本身，不考虑父目录
+    const matchSelf = (path, isDir) => {
+        let ignored = false;
+        for (const scope of scopes) {
+            let rel = path;
+            if (scope.dir) {
+                if (!path.startsWith(scope.dir + '/')) continue;
+                rel = path.slice(scope.dir.length + 1);
+            }
+            for (const rule of scope.rules) {
+                if (rule.dirOnly && !isDir) continue;
+                if (rule.regex.test(rel)) ignored = !rule.negate;
+            }
+        }
+        return ignored;
+    };
+
+    const isDirIgnored = (path) => {
+        if (dirCache.has(path)) return dirCache.get(path);
+        const slash = path.lastIndexOf('/');
+        const parentIgnored = slash !== -1 && isDirIgnored(path.slice(0, slash));
+        // 父目录被忽略时，其中的内容无法再被 ! 规则找回
+        const result = parentIgnored || path.split('/').pop() === '.git' || matchSelf(path, true);
+        dirCache.set(path, result);
+        return result;
+    };
+
+    return (path, isDir = false) => {
+        if (isDir) return isDirIgnored(path);
+        const slash = path.lastIndexOf('/');
+        if (slash !== -1 && isDirIgnored(path.slice(0, slash))) return true;
+        return matchSelf(path, false);
+    };
+};
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGitignoreMatcher, parseGitignore } from './gitignore.js';
+
+const matcher = createGitignoreMatcher([
+    { dir: '', content: '*.log\n!keep.log\n/build\ndist/\n# 注释\n' },
+    { dir: 'pkg', content: 'tmp\n*.log\n' }
+]);
+
+test('通配、取反与注释', () => {
+    assert.equal(matcher('a.log', false), true);
+    assert.equal(matcher('x/keep.log', false), false);
+    assert.equal(parseGitignore('# 注释\n\n*.log').length, 1);
+});
+
+test('以 / 开头的规则锚定在 .gitignore 所在目录，结尾 / 只匹配目录', () => {
+    assert.equal(matcher('build', true), true);
+    assert.equal(matcher('src/build', true), false);
+    assert.equal(matcher('dist', true), true);
+    assert.equal(matcher('dist', false), false);
+});
+
+test('被忽略目录下的路径同样被忽略', () => {
+    assert.equal(matcher('build/a.js', false), true);
+    assert.equal(matcher('pkg/x/tmp/y.js', false), true);
+});
+
+test('子目录的 .gitignore 只作用于该目录，并覆盖上层规则', () => {
+    assert.equal(matcher('pkg/tmp', false), true);
+    assert.equal(matcher('tmp', false), false);
+    assert.equal(matcher('pkg/keep.log', false), true);
+});
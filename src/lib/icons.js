@@ -0,0 +1,143 @@
+// --- 文件类型图标与语言 ---
+// 按文件名 / 扩展名查找图标 (emoji 或 Nerd Font 字形) 与语言名称，供 emoji 风格及开启图标的文本风格使用。
+// 映射表是规则列表：
+//   { match: 'package.json' | '*.test.*, *.spec.*', emoji?, nerd?, language? }
+// match 为逗号分隔的文件名或 glob (不区分大小写)。图标与语言分别取第一条提供该字段的命中规则，
+// 因此 "*.test.*" 只设置图标时，语言仍由后面的 "*.js" 等规则决定。
+// 配置的 iconMap 只保存用户的自定义规则，使用时排在 DEFAULT_ICON_MAP 之前 (见 withDefaultIcons)，
+// 这样方案与分享链接中不会带上整张默认映射表，默认映射表更新后也能直接生效。
+
+import { globToRegexSource } from './gitignore.js';
+
+export const ICON_SETS = ['emoji', 'nerd', 'none'];
+
+// 未命中任何规则时的通用图标 (Nerd Font 字形使用私有区码位，写成转义以免在源码中不可见)
+const GENERIC_ICONS = {
+    emoji: { dir: '📁', file: '📄', symlink: '🔗' },
+    nerd: { dir: '\uf07b', file: '\uf15b', symlink: '\uf0c1' }
+};
+
+// 知名文件名在前，其后是测试文件，最后是扩展名
+export const DEFAULT_ICON_MAP = [
+    { match: 'package.json', emoji: '📦', nerd: '\ue71e', language: 'JSON' },
+    { match: 'package-lock.json, yarn.lock, pnpm-lock.yaml, *.lock', emoji: '🔒', nerd: '\uf023' },
+    { match: 'Dockerfile, *.dockerfile, docker-compose.yml, docker-compose.yaml, .dockerignore', emoji: '🐳', nerd: '\ue7b0', language: 'Docker' },
+    { match: '.env, .env.*', emoji: '🔑', nerd: '\uf084', language: 'dotenv' },
+    { match: '.gitignore, .gitattributes, .gitmodules', emoji: '🙈', nerd: '\ue702', language: 'Git' },
+    { match: 'README, README.*', emoji: '📖', nerd: '\uf02d' },
+    { match: 'LICENSE, LICENSE.*', emoji: '📜', nerd: '\uf0f6', language: 'Text' },
+    { match: 'Makefile', emoji: '🛠️', nerd: '\uf120', language: 'Makefile' },
+    { match: '*.test.*, *.spec.*, test_*.py', emoji: '🧪', nerd: '\uf0c3' },
+    { match: '*.js, *.mjs, *.cjs', emoji: '🟨', nerd: '\ue74e', language: 'JavaScript' },
+    { match: '*.jsx', emoji: '⚛️', nerd: '\ue7ba', language: 'JavaScript (JSX)' },
+    { match: '*.ts, *.mts, *.cts', emoji: '🔷', nerd: '\ue628', language: 'TypeScript' },
+    { match: '*.tsx', emoji: '⚛️', nerd: '\ue7ba', language: 'TypeScript (TSX)' },
+    { match: '*.vue', emoji: '💚', language: 'Vue' },
+    { match: '*.json, *.jsonc', emoji: '🧾', nerd: '\ue60b', language: 'JSON' },
+    { match: '*.md, *.mdx', emoji: '📝', nerd: '\ue73e', language: 'Markdown' },
+    { match: '*.html, *.htm', emoji: '🌐', nerd: '\ue736', language: 'HTML' },
+    { match: '*.css', emoji: '🎨', nerd: '\ue749', language: 'CSS' },
+    { match: '*.scss, *.sass, *.less', emoji: '🎨', nerd: '\ue749', language: 'SCSS' },
+    { match: '*.py', emoji: '🐍', nerd: '\ue73c', language: 'Python' },
+    { match: '*.rb', emoji: '💎', nerd: '\ue739', language: 'Ruby' },
+    { match: '*.go', emoji: '🐹', nerd: '\ue724', language: 'Go' },
+    { match: '*.rs', emoji: '🦀', nerd: '\ue7a8', language: 'Rust' },
+    { match: '*.java', emoji: '☕', nerd: '\ue738', language: 'Java' },
+    { match: '*.php', emoji: '🐘', nerd: '\ue73d', language: 'PHP' },
+    { match: '*.c, *.h', emoji: '🔧', nerd: '\ue61e', language: 'C' },
+    { match: '*.cpp, *.cc, *.hpp', emoji: '🔧', nerd: '\ue61d', language: 'C++' },
+    { match: '*.sh, *.bash, *.zsh', emoji: '🐚', nerd: '\uf120', language: 'Shell' },
+    { match: '*.yml, *.yaml', emoji: '⚙️', nerd: '\uf013', language: 'YAML' },
+    { match: '*.toml, *.ini, *.conf', emoji: '⚙️', nerd: '\uf013', language: 'Config' },
+    { match: '*.xml', emoji: '📰', nerd: '\uf121', language: 'XML' },
+    { match: '*.sql', emoji: '🗃️', nerd: '\uf1c0', language: 'SQL' },
+    { match: '*.svg', emoji: '🖼️', nerd: '\uf1c5', language: 'SVG' },
+    { match: '*.png, *.jpg, *.jpeg, *.gif, *.webp, *.ico, *.bmp', emoji: '🖼️', nerd: '\uf1c5' },
+    { match: '*.zip, *.tar, *.gz, *.tgz, *.7z, *.rar', emoji: '🗜️', nerd: '\uf1c6' },
+    { match: '*.txt, *.log', emoji: '📄', nerd: '\uf0f6', language: 'Text' }
+];
+
+/**
+ * 自定义规则合并到默认映射表之前。
+ * @param {object[]} [iconMap] 配置中的自定义规则
+ */
+export const withDefaultIcons = (iconMap = []) => (iconMap.length > 0 ? [...iconMap, ...DEFAULT_ICON_MAP] : DEFAULT_ICON_MAP);
+
+/**
+ * 去掉与默认规则完全相同的规则，只留下自定义规则 (旧版本的配置保存了整张映射表)。
+ * @param {object[]} iconMap
+ */
+export const iconOverrides = (iconMap) => {
+    const defaults = new Set(DEFAULT_ICON_MAP.map(rule => JSON.stringify(rule)));
+    return iconMap.filter(rule => !defaults.has(JSON.stringify(rule)));
+};
+
+// 无法编译的片段 (如未闭合的 "[") 直接忽略，编辑中的规则不会让渲染失败
+const compileGlob = (glob) => {
+    try {
+        return new RegExp(`^${globToRegexSource(glob)}$`, 'i');
+    } catch {
+        return null;
+    }
+};
+
+const ruleMatcher = (match) => {
+    const regexes = String(match || '').split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(compileGlob)
+        .filter(Boolean);
+    return (name) => regexes.some(regex => regex.test(name));
+};
+
+/**
+ * 由映射表创建文件类型查询函数 (结果按文件名缓存)。
+ * @param {object[]} [iconMap] 自定义规则，排在默认映射表之前
+ * @returns {(name: string) => { emoji?: string, nerd?: string, language?: string }}
+ */
+export const createFileTypeResolver = (iconMap) => {
+    const rules = withDefaultIcons(iconMap).map(rule => ({ rule, test: ruleMatcher(rule.match) }));
+    const cache = new Map();
+    return (name) => {
+        if (cache.has(name)) return cache.get(name);
+        const result = {};
+        for (const { rule, test } of rules) {
+            if (!test(name)) continue;
+            for (const field of ['emoji', 'nerd', 'language']) {
+                if (rule[field] && result[field] === undefined) result[field] = rule[field];
+            }
+        }
+        cache.set(name, result);
+        return result;
+    };
+};
+
+/**
+ * 节点的图标文本 (含结尾空格)，iconSet 为 none 时为空串。
+ * @param {'emoji' | 'nerd' | 'none'} iconSet
+ * @param {'dir' | 'file' | 'symlink'} type
+ * @param {object} [fileType] createFileTypeResolver 的查询结果 (仅文件)
+ */
+export const iconOf = (iconSet, type, fileType) => {
+    const generic = GENERIC_ICONS[iconSet];
+    if (!generic) return '';
+    const icon = (type === 'file' && fileType && fileType[iconSet]) || generic[type];
+    return `${icon} `;
+};
+
+/**
+ * 映射表与通用图标中出现的所有图标及其代表的节点类型，供文本树导入时剥离行首图标。
+ * @param {object[]} [iconMap] 自定义规则，与默认映射表一起识别
+ * @returns {[string, 'dir' | 'file' | 'symlink'][]} 按长度降序，保证带变体选择符的 emoji 优先匹配
+ */
+export const knownIcons = (iconMap) => {
+    const icons = new Map();
+    withDefaultIcons(iconMap).forEach(rule => {
+        if (rule.emoji) icons.set(rule.emoji, 'file');
+        if (rule.nerd) icons.set(rule.nerd, 'file');
+    });
+    Object.values(GENERIC_ICONS).forEach(set => {
+        Object.entries(set).forEach(([type, icon]) => icons.set(icon, type));
+    });
+    return [...icons].sort((a, b) => b[0].length - a[0].length);
+};
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_ICON_MAP, createFileTypeResolver, iconOverrides, knownIcons } from './icons.js';
+
+test('默认映射表识别图标与语言', () => {
+    const resolve = createFileTypeResolver();
+    assert.equal(resolve('index.js').emoji, '🟨');
+    assert.equal(resolve('index.js').nerd, '\ue74e');
+    assert.equal(resolve('index.js').language, 'JavaScript');
+    assert.equal(resolve('a.test.js').emoji, '🧪');
+    assert.equal(resolve('a.test.js').language, 'JavaScript');
+});
+
+test('自定义规则排在默认映射表之前', () => {
+    const resolve = createFileTypeResolver([{ match: '*.js', emoji: '🚀' }]);
+    assert.equal(resolve('index.js').emoji, '🚀');
+    assert.equal(resolve('index.js').language, 'JavaScript');
+    assert.equal(resolve('main.py').emoji, '🐍');
+    assert.ok(knownIcons([{ match: '*.js', emoji: '🚀' }]).some(([icon]) => icon === '🚀'));
+});
+
+test('iconOverrides 去掉与默认规则相同的规则', () => {
+    const custom = { match: '*.vue', emoji: '🟩' };
+    assert.deepEqual(iconOverrides([custom, ...DEFAULT_ICON_MAP]), [custom]);
+});
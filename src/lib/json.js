@@ -0,0 +1,136 @@
+// --- JSON 导出 ---
+// 稳定的导出结构 (不暴露内部的 _type / _children)，对应 public/tree-genius.schema.json。
+// 与文本风格一样遵循 maxDepth、maxChildren (及按路径的覆盖)、目录合并、showFiles、showSizes 与折叠状态。
+
+import { summarize } from './aggregate.js';
+import { createFileTypeResolver } from './icons.js';
+import { compactDir, depthLimitOf, limitEntries } from './limits.js';
+
+export const JSON_SCHEMA_VERSION = 1;
+export const JSON_SCHEMA_URL = 'https://yu-zhl.github.io/tree-genius/tree-genius.schema.json';
+
+// 导出到头部的配置项 (仅影响树内容的选项)
+const EXPORTED_CONFIG_KEYS = [
+    'maxDepth', 'maxChildren', 'pathLimits', 'compactDirs', 'showFiles', 'showSizes', 'ignores', 'includes',
+    'useGitignore', 'showEmptyDirs', 'pruneEmptyDirs', 'analyzeContent', 'contentSizeLimit',
+    'gitStatus', 'gitCheckModified', 'gitTrackedOnly',
+    'sortBy', 'sortOrder', 'dirsFirst'
+];
+
+const NODE_TYPES = { file: 'file', dir: 'directory', symlink: 'symlink' };
+
+// 目录的 size / fileCount / dirCount 为子树汇总 (见 aggregate.js)，不受深度限制。
+// 被 maxChildren 省略的条目汇总在父节点的 omitted 中；合并的单子目录链以 "a/b/c" 为名称，path 为最深的目录
+const fillChildren = (node, nodes, depth, limit, ctx) => {
+    const { entries, more } = limitEntries(nodes, node.path, ctx.config);
+    node.children = entries.map(([name, data]) => {
+        const path = node.path ? `${node.path}/${name}` : name;
+        if (data._type !== 'dir') return toNode(name, data, path, depth, limit, ctx);
+        const dir = compactDir(name, data, path, ctx.config, ctx.collapsed);
+        return toNode(dir.name, dir.data, dir.path, depth, limit, ctx);
+    });
+    if (more) node.omitted = more;
+};
+
+const toNode = (name, data, path, depth, limit, ctx) => {
+    const node = { name, path, type: NODE_TYPES[data._type] };
+    if (ctx.comments[path]) node.description = ctx.comments[path];
+    if (data.git) node.git = data.git;
+    if (data._diff) {
+        node.status = data._diff.status;
+        if (data._diff.from !== undefined) node.from = data._diff.from;
+        if (data._diff.previousSize !== undefined) node.previousSize = data._diff.previousSize;
+    }
+
+    if (data._type === 'dir') {
+        const summary = summarize(data._children);
+        if (ctx.config.showSizes) node.size = summary.size;
+        node.fileCount = summary.fileCount;
+        node.dirCount = summary.dirCount;
+        if (summary.lines > 0) node.lines = summary.lines;
+
+        const hasChildren = Object.keys(data._children).length > 0;
+        if (ctx.collapsed.has(path)) {
+            node.children = [];
+            if (hasChildren) node.collapsed = true;
+        } else {
+            const childLimit = depthLimitOf(ctx.config, path, depth + 1, limit);
+            if (depth + 1 >= childLimit) {
+                node.children = [];
+                if (hasChildren) node.truncated = true;
+            } else {
+                fillChildren(node, data._children, depth + 1, childLimit, ctx);
+            }
+        }
+        return node;
+    }
+
+    if (data._type === 'symlink') {
+        node.target = data.target;
+        return node;
+    }
+
+    if (ctx.config.showSizes) node.size = data.size;
+    if (data.lastModified !== undefined) node.lastModified = Math.floor(data.lastModified);
+    if (data.lines !== undefined) node.lines = data.lines;
+    if (data.duplicates) node.duplicates = data.duplicates;
+    if (ctx.config.annotateLanguage) {
+        const { language } = ctx.fileType(name);
+        if (language) node.language = language;
+    }
+    return node;
+};
+
+/**
+ * 将树模型转换为导出用的 JSON 对象。
+ * @param {object} tree buildTree 返回的树模型
+ * @param {object} config 完整配置
+ * @param {string} root 根目录名称
+ * @param {{ statistics?: object, collapsed?: Iterable<string>, changes?: object }} [options] changes 为 diffTrees 的统计
+ * @returns {object}
+ */
+export const toJsonExport = (tree, config, root, { statistics, collapsed, changes } = {}) => {
+    const ctx = {
+        config,
+        collapsed: new Set(collapsed || []),
+        comments: config.comments || {},
+        fileType: createFileTypeResolver(config.iconMap)
+    };
+    const summary = summarize(tree);
+
+    const rootNode = { name: root, path: '', type: 'directory' };
+    if (ctx.comments['']) rootNode.description = ctx.comments[''];
+    if (config.showSizes) rootNode.size = summary.size;
+    rootNode.fileCount = summary.fileCount;
+    rootNode.dirCount = summary.dirCount;
+    const rootLimit = depthLimitOf(config, '', 0, config.maxDepth);
+    if (rootLimit >= 1) fillChildren(rootNode, tree, 0, rootLimit, ctx);
+    else rootNode.children = [];
+
+    const exportedConfig = {};
+    EXPORTED_CONFIG_KEYS.forEach(key => {
+        if (config[key] !== undefined) exportedConfig[key] = config[key];
+    });
+
+    const doc = {
+        $schema: JSON_SCHEMA_URL,
+        version: JSON_SCHEMA_VERSION,
+        root: root,
+        config: exportedConfig,
+        statistics: statistics
+            ? { dirs: statistics.dirs, files: statistics.files, totalSize: statistics.totalSize }
+            : { dirs: summary.dirCount, files: summary.fileCount, totalSize: summary.size }
+    };
+    // 内容分析的结果 (见 analysis.js)
+    if (statistics && statistics.languages) {
+        doc.statistics.lines = statistics.lines;
+        doc.statistics.languages = statistics.languages.map(item => ({ ...item }));
+        doc.statistics.duplicates = { ...statistics.duplicates };
+    }
+    if (statistics && statistics.git) doc.statistics.git = { ...statistics.git };
+    // 多根工作区各根的统计 (见 workspace.js)，与树中一级目录的顺序一致
+    if (statistics && statistics.roots) doc.statistics.roots = statistics.roots.map(item => ({ ...item }));
+    if (changes) doc.changes = { ...changes };
+    doc.tree = rootNode;
+    return doc;
+};
@@ -0,0 +1,145 @@
+// --- 目录截断与单子目录合并 ---
+// 文本风格与导出格式共用，控制大目录的输出规模：
+//   maxChildren   每个目录最多显示的条目数 (0 为不限)，其余条目汇总为一行 "… 2,987 more files (412 MB)"
+//   pathLimits    按路径覆盖：{ [path]: { maxDepth?, maxChildren? } }，根目录为 ''；
+//                 maxDepth 为该目录之下显示的层数 (从该目录重新计算)，maxChildren 只作用于该目录本身
+//   compactDirs   只含一个子目录的目录与子目录合并为一行 (src/main/java/com/acme/)，与 IDE 的显示一致
+// 多根工作区 (workspaceRoots 非空) 的顶层按工作区中的顺序排列，各根不参与合并，见 workspace.js。
+
+import { summarize } from './aggregate.js';
+import { formatSize } from './size.js';
+import { sortEntries } from './sort.js';
+import { rootEntries } from './workspace.js';
+
+export const MORE_MARK = '…';
+
+const limitsOf = (cfg, path) => (cfg.pathLimits && cfg.pathLimits[path]) || {};
+const isWorkspaceRoot = (cfg, path) => !!cfg.workspaceRoots && cfg.workspaceRoots.includes(path);
+
+/**
+ * 目录子项的深度上限：该目录设置了 maxDepth 时从它开始重新计算，否则沿用上级的上限。
+ * @param {object} cfg
+ * @param {string} path 目录路径
+ * @param {number} depth 子项所在的深度 (根目录的子项为 0)
+ * @param {number} limit 上级的上限
+ */
+export const depthLimitOf = (cfg, path, depth, limit) => {
+    const { maxDepth } = limitsOf(cfg, path);
+    return maxDepth !== undefined ? depth + maxDepth : limit;
+};
+
+/**
+ * 目录下要显示的条目 (过滤、排序后按 maxChildren 截断)，以及被省略条目的汇总。
+ * @param {object} nodes 目录的 _children
+ * @param {string} path 目录路径
+ * @param {object} cfg
+ * @returns {{ entries: [string, object][], more: { files: number, dirs: number, size: number } | null }}
+ */
+export const limitEntries = (nodes, path, cfg) => {
+    const entries = path === '' && cfg.workspaceRoots && cfg.workspaceRoots.length > 0
+        ? rootEntries(nodes, cfg.workspaceRoots)
+        : sortEntries(nodes, cfg);
+    const { maxChildren = cfg.maxChildren } = limitsOf(cfg, path);
+    if (!maxChildren || entries.length <= maxChildren) return { entries, more: null };
+
+    const more = { files: 0, dirs: 0, size: 0 };
+    entries.slice(maxChildren).forEach(([, data]) => {
+        if (data._type === 'dir') {
+            more.dirs++;
+            more.size += summarize(data._children).size;
+        } else {
+            more.files++;
+            more.size += data.size || 0;
+        }
+    });
+    return { entries: entries.slice(0, maxChildren), more };
+};
+
+const countText = (count, one, many) => `${count.toLocaleString('en-US')} more ${count === 1 ? one : many}`;
+
+/**
+ * 被省略条目的汇总行，如 "… 2,987 more files (412 MB)"。
+ * @param {{ files: number, dirs: number, size: number }} more
+ */
+export const moreText = ({ files, dirs, size }) => {
+    let text;
+    if (dirs === 0) text = countText(files, 'file', 'files');
+    else if (files === 0) text = countText(dirs, 'dir', 'dirs');
+    else text = countText(files + dirs, 'entry', 'entries');
+    return `${MORE_MARK} ${text} (${formatSize(size)})`;
+};
+
+/**
+ * compactDirs 开启时沿单子目录链向下合并，返回合并后的名称 (以 / 连接)、最深目录的路径与数据。
+ * 带注释、路径覆盖或已折叠的目录以及工作区的根不再向下合并，以免这些设置失去对应的行。
+ * @param {string} name
+ * @param {object} data 目录节点
+ * @param {string} path
+ * @param {object} cfg
+ * @param {Set<string>} [collapsed]
+ * @returns {{ name: string, data: object, path: string }}
+ */
+export const compactDir = (name, data, path, cfg, collapsed) => {
+    const current = { name, data, path };
+    if (!cfg.compactDirs) return current;
+    for (;;) {
+        if ((cfg.comments && cfg.comments[current.path]) || (cfg.pathLimits && cfg.pathLimits[current.path])) break;
+        if ((collapsed && collapsed.has(current.path)) || isWorkspaceRoot(cfg, current.path)) break;
+        const children = sortEntries(current.data._children, cfg);
+        if (children.length !== 1 || children[0][1]._type !== 'dir') break;
+        const [childName, childData] = children[0];
+        current.name = `${current.name}/${childName}`;
+        current.path = `${current.path}/${childName}`;
+        current.data = childData;
+    }
+    return current;
+};
+
+const SPEC_KEYS = { depth: 'maxDepth', children: 'maxChildren' };
+
+/**
+ * 解析路径覆盖的简写，如 "depth:1, children:20"。
+ * @param {string} text
+ * @returns {{ maxDepth?: number, maxChildren?: number }}
+ * @throws {Error} 格式不正确时抛出
+ */
+export const parseLimitSpec = (text) => {
+    const limit = {};
+    text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [key, value] = part.split(':').map(item => item.trim());
+        const field = SPEC_KEYS[key];
+        const n = Number(value);
+        if (!field || value === undefined || value === '' || !Number.isInteger(n) || n < 0) {
+            throw new Error(`无效的限制 "${part}"，格式为 depth:<n>, children:<n>`);
+        }
+        limit[field] = n;
+    });
+    if (Object.keys(limit).length === 0) throw new Error('至少需要 depth 或 children 之一');
+    return limit;
+};
+
+/**
+ * parseLimitSpec 的逆操作。
+ * @param {{ maxDepth?: number, maxChildren?: number }} limit
+ */
+export const limitSpecText = (limit) => Object.entries(SPEC_KEYS)
+    .filter(([, field]) => limit[field] !== undefined)
+    .map(([key, field]) => `${key}:${limit[field]}`)
+    .join(', ');
+
+/**
+ * 校验 pathLimits (配置导入与 CLI 共用)，只保留合法的项。
+ * @param {object} limits
+ * @returns {{ [path: string]: { maxDepth?: number, maxChildren?: number } }}
+ */
+export const sanitizePathLimits = (limits) => {
+    const result = {};
+    Object.entries(limits || {}).forEach(([path, limit]) => {
+        if (!limit || typeof limit !== 'object') return;
+        const clean = {};
+        if (Number.isInteger(limit.maxDepth) && limit.maxDepth >= 0) clean.maxDepth = limit.maxDepth;
+        if (Number.isInteger(limit.maxChildren) && limit.maxChildren >= 0) clean.maxChildren = limit.maxChildren;
+        if (Object.keys(clean).length > 0) result[path.replace(/^\/+|\/+$/g, '')] = clean;
+    });
+    return result;
+};
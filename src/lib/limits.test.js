@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { limitSpecText, moreText, parseLimitSpec, sanitizePathLimits } from './limits.js';
+import { generateTree } from './tree.js';
+
+const file = (path, size = 10) => ({ path, size, lastModified: 0 });
+
+const ENTRIES = [file('a/1.js'), file('a/2.js'), file('a/3.js', 1024), file('b/c/d/e.js'), file('z.md')];
+
+const render = async (cfg) => (await generateTree(ENTRIES, cfg, 'p')).output;
+
+test('maxChildren 将超出的条目汇总为一行', async () => {
+    assert.equal(await render({ maxChildren: 2 }), [
+        'p',
+        '├── a',
+        '│   ├── 1.js',
+        '│   ├── 2.js',
+        '│   └── … 1 more file (1 KB)',
+        '├── b',
+        '│   └── c',
+        '│       └── d',
+        '│           └── e.js',
+        '└── … 1 more file (10 B)',
+        ''
+    ].join('\n'));
+});
+
+test('按路径覆盖条目数与深度', async () => {
+    assert.match(await render({ pathLimits: { a: { maxChildren: 1 } } }), /│ {3}└── … 2 more files \(1\.01 KB\)\n├── b/);
+    assert.equal(await render({ pathLimits: { b: { maxDepth: 1 } } }), 'p\n├── a\n│   ├── 1.js\n│   ├── 2.js\n│   └── 3.js\n├── b\n│   └── c\n└── z.md\n');
+});
+
+test('compactDirs 合并单子目录链', async () => {
+    assert.match(await render({ compactDirs: true }), /├── b\/c\/d\n│ {3}└── e\.js/);
+});
+
+test('汇总行区分文件、目录与混合', () => {
+    assert.equal(moreText({ files: 2987, dirs: 0, size: 0 }), '… 2,987 more files (0 B)');
+    assert.equal(moreText({ files: 0, dirs: 1, size: 0 }), '… 1 more dir (0 B)');
+    assert.equal(moreText({ files: 1, dirs: 1, size: 0 }), '… 2 more entries (0 B)');
+});
+
+test('解析与生成路径覆盖的简写', () => {
+    assert.deepEqual(parseLimitSpec('depth:1, children:20'), { maxDepth: 1, maxChildren: 20 });
+    assert.equal(limitSpecText({ maxDepth: 1, maxChildren: 20 }), 'depth:1, children:20');
+    assert.throws(() => parseLimitSpec('depth:-1'), /无效的限制/);
+    assert.throws(() => parseLimitSpec(''), /至少需要/);
+    assert.deepEqual(
+        sanitizePathLimits({ '/src/': { maxDepth: 2, maxChildren: 'x' }, bad: null, empty: {} }),
+        { src: { maxDepth: 2 } }
+    );
+});
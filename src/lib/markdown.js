@@ -0,0 +1,220 @@
+// --- Markdown 标记块注入 ---
+// 在文档中查找
+//   <!-- tree-genius:start style=ascii depth=3 -->
+//   ...
+//   <!-- tree-genius:end -->
+// 并将两者之间的内容替换为最新渲染的目录树 (包裹在代码块中；Markdown 列表直接插入)。
+
+import { EXPORT_FORMATS, formatOf } from './formats.js';
+import { ICON_SETS } from './icons.js';
+import { SORT_KEYS } from './sort.js';
+import { TREE_STYLES } from './styles.js';
+import { WORKSPACE_LAYOUTS } from './workspace.js';
+
+const START_MARKER = /<!--\s*tree-genius:start\b([\s\S]*?)-->/g;
+const END_MARKER = /<!--\s*tree-genius:end\s*-->/g;
+
+// 标记中可用的选项名 -> 配置字段
+const OPTION_KEYS = {
+    style: 'style',
+    depth: 'maxDepth',
+    maxDepth: 'maxDepth',
+    children: 'maxChildren',
+    maxChildren: 'maxChildren',
+    compact: 'compactDirs',
+    compactDirs: 'compactDirs',
+    files: 'showFiles',
+    showFiles: 'showFiles',
+    sizes: 'showSizes',
+    showSizes: 'showSizes',
+    slash: 'trailingSlash',
+    trailingSlash: 'trailingSlash',
+    gitignore: 'useGitignore',
+    useGitignore: 'useGitignore',
+    empty: 'showEmptyDirs',
+    showEmptyDirs: 'showEmptyDirs',
+    prune: 'pruneEmptyDirs',
+    pruneEmptyDirs: 'pruneEmptyDirs',
+    links: 'linkFiles',
+    linkFiles: 'linkFiles',
+    sort: 'sortBy',
+    sortBy: 'sortBy',
+    order: 'sortOrder',
+    sortOrder: 'sortOrder',
+    dirsFirst: 'dirsFirst',
+    icons: 'iconSet',
+    iconSet: 'iconSet',
+    showIcons: 'showIcons',
+    date: 'annotateDate',
+    annotateDate: 'annotateDate',
+    lines: 'annotateLines',
+    annotateLines: 'annotateLines',
+    language: 'annotateLanguage',
+    annotateLanguage: 'annotateLanguage',
+    analyze: 'analyzeContent',
+    analyzeContent: 'analyzeContent',
+    git: 'gitStatus',
+    gitStatus: 'gitStatus',
+    tracked: 'gitTrackedOnly',
+    gitTrackedOnly: 'gitTrackedOnly',
+    layout: 'workspaceLayout',
+    workspaceLayout: 'workspaceLayout'
+};
+const BOOLEAN_FIELDS = [
+    'showFiles', 'showSizes', 'trailingSlash', 'useGitignore', 'showEmptyDirs', 'pruneEmptyDirs', 'linkFiles', 'dirsFirst',
+    'showIcons', 'annotateDate', 'annotateLines', 'annotateLanguage', 'compactDirs', 'analyzeContent',
+    'gitStatus', 'gitTrackedOnly'
+];
+const ENUM_FIELDS = { sortBy: SORT_KEYS, sortOrder: ['asc', 'desc'], iconSet: ICON_SETS, workspaceLayout: WORKSPACE_LAYOUTS };
+
+const lineOf = (text, index) => text.slice(0, index).split('\n').length;
+
+const parseValue = (field, raw, line) => {
+    if (BOOLEAN_FIELDS.includes(field)) {
+        if (raw === true || raw === 'true') return true;
+        if (raw === 'false') return false;
+        throw new Error(`第 ${line} 行：${field} 只能是 true 或 false`);
+    }
+    if (field === 'maxDepth') {
+        const n = Number(raw);
+        if (!Number.isInteger(n) || n < 1) throw new Error(`第 ${line} 行：depth 必须是正整数`);
+        return n;
+    }
+    if (field === 'maxChildren') {
+        const n = Number(raw);
+        if (!Number.isInteger(n) || n < 0) throw new Error(`第 ${line} 行：children 必须是非负整数 (0 为不限)`);
+        return n;
+    }
+    if (raw === true) throw new Error(`第 ${line} 行：${field} 缺少取值`);
+    if (ENUM_FIELDS[field] && !ENUM_FIELDS[field].includes(raw)) {
+        throw new Error(`第 ${line} 行：${field} 只能是 ${ENUM_FIELDS[field].join(' / ')}`);
+    }
+    return raw;
+};
+
+/**
+ * 解析标记上的选项，如 `style=ascii depth=3 ignore="*.md,docs" root=my-app`。
+ * @param {string} text start 标记中 "tree-genius:start" 之后的部分
+ * @param {number} [line] 用于错误信息的行号
+ * @param {{ customStyles?: object }} [options] customStyles 中的自定义风格同样可以用 style= 选择
+ * @returns {{ config: object, ignore: string[], include: string[], rootName?: string }}
+ */
+export const parseMarkerOptions = (text, line = 1, { customStyles = {} } = {}) => {
+    const styles = [...Object.keys(TREE_STYLES), ...Object.keys(EXPORT_FORMATS), ...Object.keys(customStyles)];
+    const options = { config: {}, ignore: [], include: [] };
+    const tokenRe = /([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|(\S+)))?/g;
+    let match;
+    while ((match = tokenRe.exec(text)) !== null) {
+        const [, key, dq, sq, bare] = match;
+        const raw = dq ?? sq ?? bare ?? true;
+
+        if (key === 'ignore' || key === 'include') {
+            if (raw === true) throw new Error(`第 ${line} 行：${key} 缺少取值`);
+            options[key].push(...raw.split(',').map(s => s.trim()).filter(Boolean));
+        } else if (key === 'root') {
+            if (raw === true) throw new Error(`第 ${line} 行：root 缺少取值`);
+            options.rootName = raw;
+        } else if (OPTION_KEYS[key]) {
+            const field = OPTION_KEYS[key];
+            options.config[field] = parseValue(field, raw, line);
+            if (field === 'style' && !styles.includes(raw)) {
+                throw new Error(`第 ${line} 行：未知的风格 "${raw}"，可选: ${styles.join(', ')}`);
+            }
+        } else {
+            throw new Error(`第 ${line} 行：未知的选项 "${key}"`);
+        }
+    }
+    return options;
+};
+
+/**
+ * 将标记选项合并到基础配置上：ignore / include 追加到已有列表。
+ * @param {object} baseConfig
+ * @param {{ config: object, ignore: string[], include: string[] }} options
+ */
+export const applyMarkerOptions = (baseConfig, options) => ({
+    ...baseConfig,
+    ...options.config,
+    ignores: [...(baseConfig.ignores || []), ...options.ignore],
+    includes: [...(baseConfig.includes || []), ...options.include]
+});
+
+/**
+ * 汇总标记块在基础配置之外还需要读取的内容，调用方据此决定是否读取文件内容、.gitignore 与 Git 仓库。
+ * @param {{ options: object }[]} blocks findTreeBlocks 的结果
+ * @param {object} baseConfig
+ * @returns {{ lines: boolean, hashes: boolean, gitignores: boolean, git: boolean }}
+ */
+export const blockRequirements = (blocks, baseConfig) => {
+    const configs = blocks.map(block => applyMarkerOptions(baseConfig, block.options));
+    return {
+        lines: configs.some(cfg => cfg.annotateLines || cfg.analyzeContent),
+        hashes: configs.some(cfg => cfg.analyzeContent),
+        gitignores: configs.some(cfg => cfg.useGitignore || cfg.gitStatus),
+        git: configs.some(cfg => cfg.gitStatus)
+    };
+};
+
+/**
+ * 查找文档中的所有标记块。
+ * @param {string} markdown
+ * @param {{ customStyles?: object }} [options] 见 parseMarkerOptions
+ * @returns {{ contentStart: number, contentEnd: number, line: number, options: object }[]}
+ *          contentStart / contentEnd 为两个标记之间内容的位置
+ */
+export const findTreeBlocks = (markdown, options = {}) => {
+    const blocks = [];
+    START_MARKER.lastIndex = 0;
+    let match;
+    while ((match = START_MARKER.exec(markdown)) !== null) {
+        const line = lineOf(markdown, match.index);
+        const contentStart = match.index + match[0].length;
+
+        END_MARKER.lastIndex = contentStart;
+        const end = END_MARKER.exec(markdown);
+        START_MARKER.lastIndex = contentStart;
+        const nextStart = START_MARKER.exec(markdown);
+        if (!end || (nextStart && nextStart.index < end.index)) {
+            throw new Error(`第 ${line} 行的 tree-genius:start 缺少对应的 tree-genius:end`);
+        }
+
+        blocks.push({
+            contentStart,
+            contentEnd: end.index,
+            line,
+            options: parseMarkerOptions(match[1], line, options)
+        });
+        START_MARKER.lastIndex = end.index + end[0].length;
+    }
+    return blocks;
+};
+
+// 代码块围栏需要比内容中最长的连续反引号更长
+const fence = (content, language) => {
+    const longest = Math.max(0, ...(content.match(/`+/g) || []).map(s => s.length));
+    const ticks = '`'.repeat(Math.max(3, longest + 1));
+    const body = content.endsWith('\n') ? content : `${content}\n`;
+    return `${ticks}${language}\n${body}${ticks}`;
+};
+
+/**
+ * 用最新的目录树替换文档中所有标记块的内容。
+ * @param {string} markdown
+ * @param {(options: object) => Promise<{ output: string, style: string }>} render 按标记选项渲染目录树
+ * @param {{ customStyles?: object }} [options] 见 parseMarkerOptions
+ * @returns {Promise<{ markdown: string, count: number }>} count 为更新的标记块数量
+ */
+export const injectTrees = async (markdown, render, options = {}) => {
+    const blocks = findTreeBlocks(markdown, options);
+    let result = '';
+    let cursor = 0;
+    for (const block of blocks) {
+        const { output, style } = await render(block.options);
+        const { language } = formatOf(style);
+        result += markdown.slice(cursor, block.contentStart);
+        result += `\n${language ? fence(output, language) : output}\n`;
+        cursor = block.contentEnd;
+    }
+    result += markdown.slice(cursor);
+    return { markdown: result, count: blocks.length };
+};
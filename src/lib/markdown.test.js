@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyMarkerOptions, blockRequirements, findTreeBlocks, injectTrees, parseMarkerOptions } from './markdown.js';
+import { DEFAULT_CONFIG } from './tree.js';
+
+test('解析标记选项', () => {
+    const options = parseMarkerOptions(' style=ascii depth=3 ignore="*.md, docs" root=my-app lines');
+    assert.deepEqual(options, {
+        config: { style: 'ascii', maxDepth: 3, annotateLines: true },
+        ignore: ['*.md', 'docs'],
+        include: [],
+        rootName: 'my-app'
+    });
+    const cfg = applyMarkerOptions({ ignores: ['dist'] }, options);
+    assert.deepEqual(cfg.ignores, ['dist', '*.md', 'docs']);
+});
+
+test('无效的选项带行号报错', () => {
+    assert.throws(() => parseMarkerOptions('depth=0', 4), /第 4 行：depth 必须是正整数/);
+    assert.throws(() => parseMarkerOptions('sort=random'), /sortBy 只能是/);
+    assert.throws(() => parseMarkerOptions('color=red'), /未知的选项 "color"/);
+});
+
+test('style 只能是内置风格、导出格式或自定义风格', () => {
+    assert.equal(parseMarkerOptions('style=json').config.style, 'json');
+    assert.throws(() => parseMarkerOptions('style=fancy', 2), /第 2 行：未知的风格 "fancy"/);
+    assert.equal(parseMarkerOptions('style=fancy', 1, { customStyles: { fancy: {} } }).config.style, 'fancy');
+});
+
+test('缺少 end 标记时报错', () => {
+    assert.throws(() => findTreeBlocks('x\n<!-- tree-genius:start -->\n'), /第 2 行的 tree-genius:start 缺少对应的 tree-genius:end/);
+});
+
+test('只有标记需要时才读取内容与 Git', () => {
+    const needs = (markdown) => blockRequirements(findTreeBlocks(markdown), DEFAULT_CONFIG);
+    const block = (options) => `<!-- tree-genius:start ${options} -->\n<!-- tree-genius:end -->\n`;
+    assert.deepEqual(needs(block('style=ascii')), { lines: false, hashes: false, gitignores: false, git: false });
+    assert.deepEqual(needs(block('lines') + block('git')), { lines: true, hashes: false, gitignores: true, git: true });
+    assert.deepEqual(needs(block('analyze')), { lines: true, hashes: true, gitignores: false, git: false });
+});
+
+test('替换标记块的内容并按格式包裹代码块', async () => {
+    const markdown = '# A\n<!-- tree-genius:start -->\nold\n<!-- tree-genius:end -->\n<!-- tree-genius:start style=json -->\n<!-- tree-genius:end -->\n';
+    const rendered = [];
+    const result = await injectTrees(markdown, async (options) => {
+        rendered.push(options.config.style);
+        return { output: 'x ``` y', style: options.config.style || 'classic' };
+    });
+    assert.equal(result.count, 2);
+    assert.deepEqual(rendered, [undefined, 'json']);
+    assert.equal(result.markdown, [
+        '# A',
+        '<!-- tree-genius:start -->',
+        '````text',
+        'x ``` y',
+        '````',
+        '<!-- tree-genius:end -->',
+        '<!-- tree-genius:start style=json -->',
+        '````json',
+        'x ``` y',
+        '````',
+        '<!-- tree-genius:end -->',
+        ''
+    ].join('\n'));
+});
@@ -0,0 +1,216 @@
+// --- 文本树导入 ---
+// 将已有的文本目录树 (classic / ascii / minimal / indent / emoji 风格的输出，或 Unix `tree` 命令的输出)
+// 解析回 buildTree 可用的条目列表，使所有风格与导出格式都能作用于它。
+//
+// 解析规则：
+//   - 第一行为根节点；包裹在 ``` 代码块中的文本会先去掉围栏
+//   - 有子项、以 "/" 结尾或带 📁 图标的节点为目录，"name -> target" 为符号链接，其余为文件
+//     (行首的文件类型图标按 icons.js 的映射表识别)
+//     (TreeGenius 的输出中空目录总带尾部斜杠；其它按 "目录在前" 排序的文本还会据此推断空目录，见 inferEmptyDirs)
+//   - 渲染时附加的 "(1.2 KB)" 大小会被还原为近似的字节数，行尾的 "  [...]" 注释被忽略
+//   - 名称后以两个以上空格隔开、且对齐在同一列的 "# 说明" 作为该路径的行内注释返回 (见 commentColumn)
+//   - maxChildren 的汇总行 "… N more files (size)" 被跳过；合并的目录链 "a/b/c" 还原为各级目录
+
+import { displayWidth } from './comments.js';
+import { knownIcons } from './icons.js';
+
+const SIZE_UNITS = { B: 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+// 各风格的行前缀：units 为每一级的缩进，branch 为节点前的连线
+const LINE_SYNTAX = {
+    // classic、emoji 与 `tree` 命令 (后者可能使用不换行空格)
+    box: /^((?:[│ \u00a0][ \u00a0]{3})*)(?:├── |└── )(.*)$/,
+    ascii: /^((?:[| ] {3})*)(?:\|-- |`-- )(.*)$/,
+    minimal: /^((?: {2})*)\+ (.*)$/,
+    indent: /^((?: {2})+)(\S.*)$/
+};
+const UNIT_WIDTH = { box: 4, ascii: 4, minimal: 2, indent: 2 };
+
+const TREE_SUMMARY = /^\d+ director(?:y|ies)(?:, \d+ files?)?$/;
+const RENDERED_SIZE = / \((\d+(?:\.\d+)?) (B|KB|MB|GB)(?:, \d+ files?)?\)$/;
+const TREE_SIZE = /^\[\s*(\d+(?:\.\d+)?)([BKMGT]?)\]\s+/; // tree -s / -h
+const ANNOTATION = / {2}\[[^\]]*\]$/; // 日期 / 行数 / 语言注释
+const COMMENT_MARK = / {2,}# /g; // 对齐的行内注释，见 comments.js
+const MORE_LINE = /^… [\d,]+ more (?:files?|dirs?|entry|entries) \(/; // 省略条目的汇总行，见 limits.js
+
+// 只看行首的前缀，名称中的 "├── " 等字符不影响识别。没有一种前缀能匹配所有行时按第一行选择，由解析给出带行号的错误
+const detectSyntax = (lines) => {
+    const syntaxes = Object.keys(LINE_SYNTAX);
+    return syntaxes.find(syntax => lines.every(line => LINE_SYNTAX[syntax].test(line)))
+        || syntaxes.find(syntax => lines.length > 0 && LINE_SYNTAX[syntax].test(lines[0]))
+        || 'indent';
+};
+
+// 各个 "  # " 中 "#" 所在的显示列
+const markColumns = (line) => [...line.matchAll(COMMENT_MARK)].map(match => {
+    const index = match.index + match[0].length - 2;
+    return { index, column: displayWidth(line.slice(0, index)) };
+});
+
+// 行内注释所在的列。alignComments 把注释对齐到同一列，名称中偶然出现的 "  # " 则各在各的位置，
+// 因此取出现在最多行中的列；多行的 "  # " 互不对齐时视为没有注释。只有一行带 "  # " 时无从区分，按注释处理
+const commentColumn = (lines) => {
+    const marked = lines.map(markColumns).filter(marks => marks.length > 0);
+    if (marked.length === 1) return marked[0][0].column;
+    const counts = new Map();
+    marked.forEach(marks => {
+        new Set(marks.map(mark => mark.column)).forEach(column => counts.set(column, (counts.get(column) || 0) + 1));
+    });
+    let best = null;
+    counts.forEach((count, column) => {
+        if (count > 1 && (best === null || count > counts.get(best))) best = column;
+    });
+    return best;
+};
+
+// 在注释列处拆分行文本
+const splitComment = (line, column) => {
+    const mark = column === null ? null : markColumns(line).find(item => item.column === column);
+    if (!mark) return { text: line };
+    return { text: line.slice(0, mark.index).replace(/ +$/, ''), comment: line.slice(mark.index + 2).trim() };
+};
+
+const stripFence = (lines) => {
+    if (lines.length >= 2 && /^(`{3,}|~{3,})/.test(lines[0].text) && /^(`{3,}|~{3,})$/.test(lines[lines.length - 1].text)) {
+        return lines.slice(1, -1);
+    }
+    return lines;
+};
+
+// 解析单个节点的文本：图标、大小、符号链接与尾部斜杠 (行内注释已由 splitComment 拆出)
+const parseLabel = (raw, isUnixTree, icons, comment) => {
+    let text = raw;
+    let kind = null;
+    let size;
+
+    for (const [icon, type] of icons) {
+        if (text.startsWith(`${icon} `)) {
+            kind = type;
+            text = text.slice(icon.length + 1);
+            break;
+        }
+    }
+
+    if (isUnixTree) {
+        const match = text.match(TREE_SIZE);
+        if (match) {
+            size = Math.round(Number(match[1]) * (SIZE_UNITS[match[2]] || 1));
+            text = text.slice(match[0].length);
+        }
+    }
+
+    if (!isUnixTree) text = text.replace(ANNOTATION, '');
+
+    const linkIndex = text.indexOf(' -> ');
+    if (linkIndex > 0) {
+        return { name: text.slice(0, linkIndex), kind: 'symlink', target: text.slice(linkIndex + 4), comment };
+    }
+
+    const sizeMatch = text.match(RENDERED_SIZE);
+    if (sizeMatch) {
+        size = Math.round(Number(sizeMatch[1]) * SIZE_UNITS[sizeMatch[2][0]]);
+        text = text.slice(0, sizeMatch.index);
+    }
+
+    if (text.length > 1 && text.endsWith('/')) {
+        kind = 'dir';
+        text = text.slice(0, -1);
+    }
+    return { name: text, kind, size, comment };
+};
+
+// 没有斜杠 / 图标时，空目录与文件在文本上无法区分。按 "目录在前" 排序的输出中，位于已知目录之前的叶子都是目录；
+// 按名称升序时，已知目录之后排序 "断点" 之前的叶子也是目录。同级中没有已知目录时无从推断，全部视为文件。
+const inferEmptyDirs = (siblings, byName) => {
+    const lastDir = siblings.findLastIndex(node => node.kind === 'dir');
+    if (lastDir === -1) return;
+    const isLeaf = (node) => node.kind === null;
+    if (!siblings.slice(0, lastDir).every(node => node.kind === 'dir' || isLeaf(node))) return;
+    siblings.slice(0, lastDir).forEach(node => { node.kind = 'dir'; });
+    if (!byName) return;
+
+    const rest = siblings.slice(lastDir + 1);
+    const breakAt = rest.findIndex((node, i) => i > 0 && rest[i - 1].name.localeCompare(node.name) > 0);
+    if (breakAt === -1) return;
+    const isSorted = rest.slice(breakAt).every((node, i, list) => i === 0 || list[i - 1].name.localeCompare(node.name) <= 0);
+    if (isSorted && rest.slice(0, breakAt).every(isLeaf)) {
+        rest.slice(0, breakAt).forEach(node => { node.kind = 'dir'; });
+    }
+};
+
+/**
+ * 解析文本目录树。
+ * @param {string} text
+ * @param {{ iconMap?: object[], dirsFirst?: boolean, sortBy?: string, sortOrder?: 'asc' | 'desc' }} [options]
+ *        iconMap 为渲染时使用的自定义图标规则 (与默认映射表一起识别)；dirsFirst / sortBy / sortOrder 为渲染时的排序，
+ *        只有 dirsFirst 时才推断空目录 (缺省按 TreeGenius 的默认排序)
+ * @returns {{ rootName: string, entries: { path: string, type?: 'dir' | 'symlink', size?: number, target?: string }[], comments: object }}
+ *          entries 可直接传给 buildTree；目录以 { path, type: 'dir' } 给出，因此空目录同样保留；
+ *          comments 为 { [path]: text } (根节点为 '')
+ * @throws {Error} 无法识别的缩进 / 层级跳跃时抛出带行号的错误
+ */
+export const parseTextTree = (text, { iconMap, dirsFirst = true, sortBy = 'name', sortOrder = 'asc' } = {}) => {
+    const icons = knownIcons(iconMap);
+    // 保留原始行号，用于错误信息
+    let lines = text.replace(/\r\n?/g, '\n').split('\n')
+        .map((line, index) => ({ text: line.replace(/\s+$/, ''), line: index + 1 }))
+        .filter(line => line.text.trim());
+    lines = stripFence(lines);
+    if (lines.length === 0) throw new Error('没有可解析的内容');
+
+    // `tree` 命令末尾的 "N directories, M files"
+    const isUnixTree = TREE_SUMMARY.test(lines[lines.length - 1].text.trim());
+    if (isUnixTree) lines = lines.slice(0, -1);
+
+    const column = commentColumn(lines.map(line => line.text));
+    lines = lines.map(line => ({ ...line, ...splitComment(line.text, column) }));
+
+    const root = parseLabel(lines[0].text, isUnixTree, icons, lines[0].comment);
+    const body = lines.slice(1);
+    const syntax = detectSyntax(body.map(line => line.text));
+    const pattern = LINE_SYNTAX[syntax];
+
+    const top = { children: [] };
+    const nodes = []; // { name, path, kind, size, target, children }
+    const stack = []; // 当前路径上各层级的节点
+    body.forEach(({ text: line, line: lineNumber, comment }) => {
+        const match = line.match(pattern);
+        if (!match) throw new Error(`第 ${lineNumber} 行：无法识别的格式 "${line.trim()}"`);
+
+        const level = match[1].length / UNIT_WIDTH[syntax] + (syntax === 'indent' ? 0 : 1);
+        if (!Number.isInteger(level) || level > stack.length + 1) {
+            throw new Error(`第 ${lineNumber} 行：缩进层级不正确`);
+        }
+
+        if (MORE_LINE.test(match[2])) return;
+        const label = parseLabel(match[2], isUnixTree, icons, comment);
+        stack.length = level - 1;
+        const parent = stack[stack.length - 1];
+        const node = { ...label, path: parent ? `${parent.path}/${label.name}` : label.name, children: [] };
+        (parent || top).children.push(node);
+        stack.push(node);
+        nodes.push(node);
+    });
+
+    // 使用了尾部斜杠或图标时，未标记的叶子就是文件
+    const hasMarkers = root.kind === 'dir' || nodes.some(node => node.kind === 'dir' || node.kind === 'file');
+    nodes.forEach(node => {
+        if (node.children.length > 0) node.kind = 'dir';
+    });
+    if (!hasMarkers && !isUnixTree && dirsFirst) {
+        const byName = sortBy === 'name' && sortOrder === 'asc';
+        [top, ...nodes].forEach(node => inferEmptyDirs(node.children, byName));
+    }
+
+    const entries = nodes.map(node => {
+        if (node.kind === 'symlink') return { path: node.path, type: 'symlink', target: node.target };
+        if (node.kind === 'dir') return { path: node.path, type: 'dir' };
+        return { path: node.path, size: node.size || 0 };
+    });
+    const comments = {};
+    if (root.comment) comments[''] = root.comment;
+    nodes.forEach(node => {
+        if (node.comment) comments[node.path] = node.comment;
+    });
+    return { rootName: root.name, entries, comments };
+};
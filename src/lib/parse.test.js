@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTextTree } from './parse.js';
+import { SORT_KEYS } from './sort.js';
+import { generateTree } from './tree.js';
+
+const STYLES = ['classic', 'ascii', 'minimal', 'indent', 'emoji'];
+
+const ENTRIES = [
+    { path: 'a.md', size: 300, lastModified: 3000 },
+    { path: 'm/x.js', size: 20, lastModified: 1000 },
+    { path: 'm/y.js', size: 10, lastModified: 2000 },
+    { path: 'src/lib/util.js', size: 5, lastModified: 5000 },
+    { path: 'src/index.ts', size: 40, lastModified: 4000 },
+    { path: 'z.txt', size: 1, lastModified: 6000 }
+];
+
+// 条目 -> 排序后的 "path" / "path/" 列表，便于比较
+const shape = (entries) => entries.map(entry => (entry.type === 'dir' ? `${entry.path}/` : entry.path)).sort();
+
+const dirsOf = (entries) => {
+    const dirs = new Set();
+    entries.forEach(entry => {
+        const parts = entry.path.split('/');
+        for (let i = 1; i < parts.length; i++) dirs.add(parts.slice(0, i).join('/'));
+        if (entry.type === 'dir') dirs.add(entry.path);
+    });
+    return [...dirs];
+};
+
+const expectedShape = (entries) => shape([
+    ...entries.filter(entry => entry.type !== 'dir'),
+    ...dirsOf(entries).map(path => ({ path, type: 'dir' }))
+]);
+
+const roundTrip = async (entries, cfg) => {
+    const { output } = await generateTree(entries, cfg, 'proj');
+    const parsed = parseTextTree(output, cfg);
+    assert.equal(parsed.rootName, 'proj');
+    return shape(parsed.entries);
+};
+
+test('各风格与排序方式的输出都能还原', async () => {
+    for (const style of STYLES) {
+        for (const sortBy of SORT_KEYS) {
+            for (const sortOrder of ['asc', 'desc']) {
+                for (const dirsFirst of [true, false]) {
+                    const cfg = { style, sortBy, sortOrder, dirsFirst };
+                    assert.deepEqual(await roundTrip(ENTRIES, cfg), expectedShape(ENTRIES), JSON.stringify(cfg));
+                }
+            }
+        }
+    }
+});
+
+test('目录在前、按名称排序时推断空目录', async () => {
+    const entries = [...ENTRIES, { path: 'empty', type: 'dir' }, { path: 'src/gen', type: 'dir' }];
+    for (const style of STYLES) {
+        assert.deepEqual(await roundTrip(entries, { style }), expectedShape(entries), style);
+    }
+});
+
+test('尾部斜杠在任意排序下都能还原空目录', async () => {
+    const entries = [...ENTRIES, { path: 'empty', type: 'dir' }];
+    for (const sortBy of SORT_KEYS) {
+        const cfg = { sortBy, dirsFirst: false, trailingSlash: true };
+        assert.deepEqual(await roundTrip(entries, cfg), expectedShape(entries), sortBy);
+    }
+});
+
+test('空目录在任意排序下都能还原', async () => {
+    const entries = [...ENTRIES, { path: 'src/zzz', type: 'dir' }, { path: 'empty', type: 'dir' }];
+    for (const style of STYLES) {
+        for (const sortBy of SORT_KEYS) {
+            for (const dirsFirst of [true, false]) {
+                const cfg = { style, sortBy, dirsFirst };
+                assert.deepEqual(await roundTrip(entries, cfg), expectedShape(entries), JSON.stringify(cfg));
+            }
+        }
+    }
+});
+
+test('名称中的 "  # " 与树形字符不影响还原', async () => {
+    const entries = [
+        ...ENTRIES,
+        { path: 'notes  # draft.md', size: 1, lastModified: 0 },
+        { path: 'src/ab  # c.js', size: 1, lastModified: 0 },
+        { path: '├── weird', size: 1, lastModified: 0 },
+        { path: 'm/`-- odd', size: 1, lastModified: 0 }
+    ];
+    for (const style of STYLES) {
+        assert.deepEqual(await roundTrip(entries, { style }), expectedShape(entries), style);
+
+        const comments = { src: 'code', 'm/x.js': 'entry' };
+        const { output } = await generateTree(entries, { style, comments }, 'proj');
+        const parsed = parseTextTree(output);
+        assert.deepEqual(shape(parsed.entries), expectedShape(entries), style);
+        assert.deepEqual(parsed.comments, comments, style);
+    }
+});
+
+test('没有已知目录的同级条目都是文件', () => {
+    const { entries } = parseTextTree('proj\n├── a.js\n├── b.js\n└── c.js');
+    assert.deepEqual(shape(entries), ['a.js', 'b.js', 'c.js']);
+});
+
+test('目录不在前时不推断空目录', () => {
+    const { entries } = parseTextTree('proj\n├── a.md\n└── m\n    └── x.js', { dirsFirst: false });
+    assert.deepEqual(shape(entries), ['a.md', 'm/', 'm/x.js']);
+});
+
+test('tree 命令的输出、大小与注释', () => {
+    const text = [
+        '.',
+        '├── [1.0K]  src',
+        '│   └── [ 120]  index.js',
+        '└── [  10]  README.md',
+        '',
+        '1 directory, 2 files'
+    ].join('\n');
+    const parsed = parseTextTree(text);
+    assert.deepEqual(parsed.entries, [
+        { path: 'src', type: 'dir' },
+        { path: 'src/index.js', size: 120 },
+        { path: 'README.md', size: 10 }
+    ]);
+
+    const commented = parseTextTree('proj\n├── src  # code\n│   └── a.js (1.5 KB)\n└── b.js');
+    assert.deepEqual(commented.comments, { src: 'code' });
+    assert.equal(commented.entries.find(entry => entry.path === 'src/a.js').size, 1536);
+});
+
+test('缩进错误时给出行号', () => {
+    assert.throws(() => parseTextTree('proj\n├── a\n│   │   └── b'), /第 3 行/);
+});
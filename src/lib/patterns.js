@@ -0,0 +1,92 @@
+// --- 排除 / 包含规则 ---
+// 每条规则可以是：
+//   - 普通名称 (node_modules)：与任意一级路径片段完全相同即命中，兼容旧配置
+//   - 不含 "/" 的 glob (*.log)：与任意一级路径片段匹配
+//   - 含 "/" 的 glob (src/**/__snapshots__)：与相对路径 (或其任一父目录) 完整匹配
+//   - re:正则 (re:\.test\.js$)：与相对路径 (或其任一父目录) 匹配，区分大小写
+// 以 "/" 开头的 glob 相对根目录锚定，结尾带 "/" 的 glob 只匹配目录，因此 /dist/ 只排除根目录下的 dist 目录。
+
+import { globToRegexSource } from './gitignore.js';
+
+// 正则必须带 re: 前缀，/x/ 这样的写法与锚定的目录 glob 无法区分
+const REGEX_PREFIX = 're:';
+
+/**
+ * 编译单条规则，无效的正则返回 null。
+ * @param {string} pattern
+ * @returns {((parts: string[], isDir?: boolean) => boolean) | null}
+ *          parts 为相对根目录的路径片段；isDir 为 false 时最后一项是文件名
+ */
+export const compilePattern = (pattern) => {
+    if (pattern.startsWith(REGEX_PREFIX)) {
+        const source = pattern.slice(REGEX_PREFIX.length);
+        if (!source) return null;
+        let regex;
+        try {
+            regex = new RegExp(source);
+        } catch {
+            return null;
+        }
+        return (parts) => {
+            let path = '';
+            for (let i = 0; i < parts.length; i++) {
+                path = i === 0 ? parts[0] : `${path}/${parts[i]}`;
+                if (regex.test(path)) return true;
+            }
+            return false;
+        };
+    }
+
+    let glob = pattern;
+    const dirOnly = glob.endsWith('/');
+    if (dirOnly) glob = glob.replace(/\/+$/, '');
+    if (!glob) return null;
+
+    // 最后一级是文件时，仅目录规则不参与其匹配
+    const limit = (parts, isDir) => (dirOnly && !isDir ? parts.length - 1 : parts.length);
+
+    if (!glob.includes('/')) {
+        const regex = new RegExp(`^${globToRegexSource(glob)}$`);
+        return (parts, isDir = false) => {
+            for (let i = 0; i < limit(parts, isDir); i++) {
+                if (regex.test(parts[i])) return true;
+            }
+            return false;
+        };
+    }
+
+    if (glob.startsWith('/')) glob = glob.slice(1);
+    const regex = new RegExp(`^${globToRegexSource(glob)}$`);
+    return (parts, isDir = false) => {
+        let path = '';
+        for (let i = 0; i < limit(parts, isDir); i++) {
+            path = i === 0 ? parts[0] : `${path}/${parts[i]}`;
+            if (regex.test(path)) return true;
+        }
+        return false;
+    };
+};
+
+// 将路径转义为只匹配它自身的规则 (相对根目录锚定)
+export const pathToPattern = (path) => {
+    const escaped = path.replace(/[*?[\]\\]/g, '\\$&');
+    return escaped.includes('/') && !escaped.startsWith(REGEX_PREFIX) ? escaped : `/${escaped}`;
+};
+
+export const isValidPattern = (pattern) => compilePattern(pattern) !== null;
+
+/**
+ * 将规则列表编译为一个匹配函数，返回第一条命中规则的下标，未命中返回 -1。
+ * 无效规则会被跳过。传入 isDir 可在遍历目录时提前判断整个目录是否被排除。
+ * @param {string[]} patterns
+ * @returns {(parts: string[], isDir?: boolean) => number}
+ */
+export const createPatternMatcher = (patterns) => {
+    const compiled = patterns.map(compilePattern);
+    return (parts, isDir = false) => {
+        for (let i = 0; i < compiled.length; i++) {
+            if (compiled[i] && compiled[i](parts, isDir)) return i;
+        }
+        return -1;
+    };
+};
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compilePattern, createPatternMatcher, isValidPattern, pathToPattern } from './patterns.js';
+
+const matches = (pattern, path, isDir = false) => compilePattern(pattern)(path.split('/'), isDir);
+
+test('名称与不含 / 的 glob 匹配任意一级', () => {
+    assert.ok(matches('node_modules', 'a/node_modules/x.js'));
+    assert.ok(matches('*.log', 'logs/app.log'));
+    assert.ok(!matches('*.log', 'app.logs'));
+});
+
+test('含 / 的 glob 按完整相对路径匹配', () => {
+    assert.ok(matches('src/**/__snapshots__', 'src/a/b/__snapshots__/x.snap'));
+    assert.ok(!matches('src/**/__snapshots__', 'lib/src/__snapshots__/x.snap'));
+});
+
+test('/x/ 是锚定在根目录的目录规则', () => {
+    assert.ok(matches('/dist/', 'dist/a.js'));
+    assert.ok(matches('/dist/', 'dist', true));
+    assert.ok(!matches('/dist/', 'src/dist/y'));
+    assert.ok(!matches('/dist/', 'dist'), '同名文件不受影响');
+});
+
+test('re: 前缀的正则匹配相对路径', () => {
+    assert.ok(matches('re:\\.test\\.js$', 'src/a.test.js'));
+    assert.ok(matches('re:^src/dist', 'src/dist/y'));
+    assert.ok(!matches('re:^dist', 'src/dist/y'));
+    assert.equal(isValidPattern('re:('), false);
+    assert.equal(isValidPattern('re:'), false);
+});
+
+test('pathToPattern 只匹配路径自身', () => {
+    for (const path of ['dist', 'src/a[1].js', 're:x/y']) {
+        const pattern = pathToPattern(path);
+        assert.ok(matches(pattern, path), pattern);
+        assert.ok(!matches(pattern, `other/${path}`), pattern);
+    }
+});
+
+test('createPatternMatcher 返回第一条命中规则的下标，跳过无效规则', () => {
+    const match = createPatternMatcher(['re:(', '*.md', 'docs']);
+    assert.equal(match(['docs', 'a.md']), 1);
+    assert.equal(match(['docs', 'a.txt']), 2);
+    assert.equal(match(['a.txt']), -1);
+});
@@ -0,0 +1,233 @@
+// --- 配置方案 (Profiles) ---
+// 多套命名配置保存在一个带版本号的存储对象中：
+//   { version, active, profiles: { [name]: config } }
+// 旧版本的存储在读取时依次经过 MIGRATIONS 升级到 CONFIG_VERSION。
+// 导出文件与分享链接只包含与 DEFAULT_CONFIG 不同的字段，导入时再与默认值合并。
+
+import { ICON_SETS, iconOverrides } from './icons.js';
+import { sanitizePathLimits } from './limits.js';
+import { SORT_KEYS } from './sort.js';
+import { normalizeStyle, validateStyleId } from './styles.js';
+import { validateTemplates } from './template.js';
+import { DEFAULT_CONFIG } from './tree.js';
+import { WORKSPACE_LAYOUTS } from './workspace.js';
+
+export const CONFIG_STORAGE_KEY = 'tree-genius-config';
+export const LEGACY_STORAGE_KEY = 'tree-genius-config-v3';
+export const CONFIG_VERSION = 4;
+export const PROFILES_KIND = 'tree-genius-profiles';
+export const DEFAULT_PROFILE = '默认';
+
+const HASH_PARAM = 'profile';
+
+// 每个版本升级到下一版本
+const MIGRATIONS = {
+    // v3：单一配置对象 (localStorage 'tree-genius-config-v3')，没有方案
+    3: (data) => ({ version: 4, active: DEFAULT_PROFILE, profiles: { [DEFAULT_PROFILE]: data.config } })
+};
+
+const migrate = (data) => {
+    let current = data;
+    while (current.version < CONFIG_VERSION) {
+        const step = MIGRATIONS[current.version];
+        if (!step) throw new Error(`无法迁移版本 ${current.version} 的配置`);
+        current = step(current);
+    }
+    if (current.version > CONFIG_VERSION) throw new Error(`不支持的配置版本 ${current.version}`);
+    return current;
+};
+
+const sameType = (value, reference) => (Array.isArray(reference)
+    ? Array.isArray(value)
+    : typeof value === typeof reference && !Array.isArray(value) && value !== null);
+
+// 数组字段中 iconMap 的元素是规则对象，其余 (ignores、includes) 都是字符串列表
+const OBJECT_LISTS = ['iconMap'];
+
+const ENUM_VALUES = { sortBy: SORT_KEYS, sortOrder: ['asc', 'desc'], iconSet: ICON_SETS, workspaceLayout: WORKSPACE_LAYOUTS };
+// 由当前载入的文件夹决定的字段，不从保存或导入的配置中读取
+const SESSION_KEYS = ['workspaceRoots'];
+
+// 无效的自定义风格直接丢弃，避免渲染时出错
+const sanitizeStyles = (styles) => {
+    const result = {};
+    Object.entries(styles).forEach(([id, def]) => {
+        if (validateStyleId(id)) return;
+        try {
+            result[id] = normalizeStyle(def);
+        } catch {
+            // 忽略
+        }
+    });
+    return result;
+};
+
+/**
+ * 只保留 DEFAULT_CONFIG 中存在且类型、取值有效的字段 (导入的文件与链接都经过这里)，再与默认值合并。
+ * @param {object} config
+ * @returns {object}
+ */
+export const sanitizeConfig = (config) => {
+    const result = { ...DEFAULT_CONFIG };
+    if (!config || typeof config !== 'object') return result;
+    Object.keys(DEFAULT_CONFIG).forEach(key => {
+        const value = config[key];
+        if (value === undefined || SESSION_KEYS.includes(key) || !sameType(value, DEFAULT_CONFIG[key])) return;
+        if (ENUM_VALUES[key] && !ENUM_VALUES[key].includes(value)) return;
+        // 字符串列表只保留非空字符串，避免 [null, 3] 之类的值在渲染规则列表时出错
+        result[key] = Array.isArray(value) && !OBJECT_LISTS.includes(key)
+            ? value.filter(item => typeof item === 'string' && item !== '')
+            : value;
+    });
+    // 旧版本保存了整张映射表，只保留其中的自定义规则
+    result.iconMap = iconOverrides(result.iconMap.filter(rule => rule && typeof rule === 'object' && typeof rule.match === 'string'));
+    // 与深度滑块的取值范围一致
+    if (!Number.isInteger(result.maxDepth) || result.maxDepth < 1) result.maxDepth = DEFAULT_CONFIG.maxDepth;
+    result.customStyles = sanitizeStyles(result.customStyles);
+    result.pathLimits = sanitizePathLimits(result.pathLimits);
+    if (!Number.isInteger(result.maxChildren) || result.maxChildren < 0) result.maxChildren = DEFAULT_CONFIG.maxChildren;
+    if (!Number.isInteger(result.contentSizeLimit) || result.contentSizeLimit < 1) result.contentSizeLimit = DEFAULT_CONFIG.contentSizeLimit;
+    // 无效的模板恢复为默认 (不使用模板)
+    Object.keys(validateTemplates(result)).forEach(key => { result[key] = DEFAULT_CONFIG[key]; });
+    result.comments = Object.fromEntries(Object.entries(result.comments).filter(([, text]) => typeof text === 'string' && text));
+    return result;
+};
+
+// 与默认值不同的字段
+const configDiff = (config) => {
+    const diff = {};
+    Object.keys(DEFAULT_CONFIG).forEach(key => {
+        if (config[key] !== undefined && JSON.stringify(config[key]) !== JSON.stringify(DEFAULT_CONFIG[key])) diff[key] = config[key];
+    });
+    return diff;
+};
+
+const normalizeStore = (store) => {
+    const profiles = {};
+    Object.entries(store.profiles || {}).forEach(([name, config]) => {
+        if (name.trim() && config && typeof config === 'object') profiles[name] = sanitizeConfig(config);
+    });
+    if (Object.keys(profiles).length === 0) profiles[DEFAULT_PROFILE] = { ...DEFAULT_CONFIG };
+    const active = profiles[store.active] ? store.active : Object.keys(profiles)[0];
+    return { version: CONFIG_VERSION, active, profiles };
+};
+
+/**
+ * 从存储中读取配置方案，必要时从旧格式迁移。存储损坏时退回默认方案，并返回错误信息供界面提示。
+ * @param {Storage} storage
+ * @returns {{ store: { version: number, active: string, profiles: { [name: string]: object } }, error: string | null }}
+ */
+export const loadProfiles = (storage) => {
+    try {
+        const saved = storage.getItem(CONFIG_STORAGE_KEY);
+        if (saved) return { store: normalizeStore(migrate(JSON.parse(saved))), error: null };
+        const legacy = storage.getItem(LEGACY_STORAGE_KEY);
+        if (legacy) return { store: normalizeStore(migrate({ version: 3, config: JSON.parse(legacy) })), error: null };
+    } catch (err) {
+        return { store: normalizeStore({}), error: `无法读取保存的配置，已使用默认设置：${err.message}` };
+    }
+    return { store: normalizeStore({}), error: null };
+};
+
+export const saveProfiles = (storage, store) => {
+    storage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(store));
+};
+
+/**
+ * 不与已有方案重名的名称；内容相同的同名方案直接复用。
+ * @param {object} profiles
+ * @param {string} name
+ * @param {object} [config]
+ */
+export const uniqueProfileName = (profiles, name, config) => {
+    const isSame = (candidate) => config && JSON.stringify(configDiff(profiles[candidate])) === JSON.stringify(configDiff(config));
+    if (!profiles[name] || isSame(name)) return name;
+    let n = 2;
+    while (profiles[`${name} (${n})`] && !isSame(`${name} (${n})`)) n++;
+    return `${name} (${n})`;
+};
+
+/**
+ * 添加方案 (重名时自动改名) 并设为当前方案。
+ * @returns {object} 新的存储对象
+ */
+export const addProfile = (store, name, config) => {
+    const unique = uniqueProfileName(store.profiles, name, config);
+    return { ...store, active: unique, profiles: { ...store.profiles, [unique]: sanitizeConfig(config) } };
+};
+
+/**
+ * 导出方案为 JSON 文本。
+ * @param {{ [name: string]: object }} profiles
+ */
+export const serializeProfiles = (profiles) => {
+    const diffs = {};
+    Object.entries(profiles).forEach(([name, config]) => { diffs[name] = configDiff(config); });
+    return JSON.stringify({ kind: PROFILES_KIND, version: CONFIG_VERSION, profiles: diffs }, null, 2);
+};
+
+/**
+ * 解析导出的方案文件。
+ * @param {string} text
+ * @returns {{ [name: string]: object }} 已与默认值合并的配置
+ */
+export const parseProfiles = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('配置文件不是有效的 JSON');
+    }
+    if (!data || data.kind !== PROFILES_KIND || !data.profiles || typeof data.profiles !== 'object') {
+        throw new Error('不是 TreeGenius 配置方案文件');
+    }
+    const { profiles } = normalizeStore(migrate({ version: data.version, active: null, profiles: data.profiles }));
+    return profiles;
+};
+
+// --- 分享链接 ---
+// 当前方案编码在 URL hash 中：#profile=<base64url(JSON)>
+
+const toBase64Url = (text) => {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+/**
+ * 将方案编码为 URL hash (不含 #)。
+ * @param {string} name
+ * @param {object} config
+ */
+export const encodeProfileHash = (name, config) => {
+    const payload = { version: CONFIG_VERSION, name, config: configDiff(config) };
+    return `${HASH_PARAM}=${toBase64Url(JSON.stringify(payload))}`;
+};
+
+/**
+ * 解析 URL hash 中的方案，没有分享参数时返回 null。
+ * @param {string} hash location.hash (可带 #)
+ * @returns {{ name: string, config: object } | null}
+ * @throws {Error} 参数存在但无法解析时抛出
+ */
+export const decodeProfileHash = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(HASH_PARAM);
+    if (!encoded) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(encoded));
+    } catch {
+        throw new Error('分享链接已损坏');
+    }
+    if (!payload || typeof payload.config !== 'object') throw new Error('分享链接已损坏');
+    const name = typeof payload.name === 'string' && payload.name.trim() ? payload.name : '分享的配置';
+    const { profiles } = normalizeStore(migrate({ version: payload.version, active: null, profiles: { [name]: payload.config } }));
+    return { name, config: profiles[name] };
+};
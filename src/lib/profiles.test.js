@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG_STORAGE_KEY, DEFAULT_PROFILE, LEGACY_STORAGE_KEY, decodeProfileHash, encodeProfileHash, loadProfiles, saveProfiles } from './profiles.js';
+import { DEFAULT_ICON_MAP } from './icons.js';
+import { DEFAULT_CONFIG } from './tree.js';
+
+const memoryStorage = (items = {}) => ({
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = value; }
+});
+
+test('没有保存的配置时使用默认方案', () => {
+    const { store, error } = loadProfiles(memoryStorage());
+    assert.equal(error, null);
+    assert.equal(store.active, DEFAULT_PROFILE);
+});
+
+test('保存的方案可以重新读取', () => {
+    const storage = memoryStorage();
+    const { store } = loadProfiles(storage);
+    store.profiles[DEFAULT_PROFILE] = { ...store.profiles[DEFAULT_PROFILE], maxDepth: 3 };
+    saveProfiles(storage, store);
+    assert.equal(loadProfiles(storage).store.profiles[DEFAULT_PROFILE].maxDepth, 3);
+});
+
+test('存储损坏时退回默认方案并返回错误', () => {
+    const { store, error } = loadProfiles(memoryStorage({ [CONFIG_STORAGE_KEY]: '{' }));
+    assert.match(error, /无法读取保存的配置/);
+    assert.deepEqual(Object.keys(store.profiles), [DEFAULT_PROFILE]);
+});
+
+test('分享链接的编码与解码', () => {
+    const config = { ...DEFAULT_CONFIG, style: 'ascii', ignores: ['dist'] };
+    const shared = decodeProfileHash(`#${encodeProfileHash('团队', config)}`);
+    assert.equal(shared.name, '团队');
+    assert.equal(shared.config.style, 'ascii');
+    assert.deepEqual(shared.config.ignores, ['dist']);
+    assert.equal(decodeProfileHash('#other=1'), null);
+    assert.throws(() => decodeProfileHash('#profile=%%%'), /分享链接已损坏/);
+});
+
+test('旧配置中的整张图标映射表只保留自定义规则', () => {
+    const custom = { match: '*.vue', emoji: '🟩' };
+    const legacy = { ...DEFAULT_CONFIG, iconMap: [custom, ...DEFAULT_ICON_MAP] };
+    const { store } = loadProfiles(memoryStorage({ [LEGACY_STORAGE_KEY]: JSON.stringify(legacy) }));
+    assert.deepEqual(store.profiles[DEFAULT_PROFILE].iconMap, [custom]);
+
+    // 分享链接只带与默认值不同的字段
+    const payload = (config) => JSON.parse(Buffer.from(encodeProfileHash('a', config).split('=')[1], 'base64url').toString());
+    assert.ok(!('iconMap' in payload(DEFAULT_CONFIG).config));
+    assert.deepEqual(payload(store.profiles[DEFAULT_PROFILE]).config.iconMap, [custom]);
+});
+
+test('分享链接中的无效字段被丢弃', () => {
+    const hostile = { version: 4, name: 'x', config: { ignores: [null, 3, '', 'dist'], includes: [{}], maxDepth: 0, iconMap: [null, { emoji: '🚀' }] } };
+    const hash = `#profile=${Buffer.from(JSON.stringify(hostile)).toString('base64url')}`;
+    const { config } = decodeProfileHash(hash);
+    assert.deepEqual(config.ignores, ['dist']);
+    assert.deepEqual(config.includes, []);
+    assert.deepEqual(config.iconMap, []);
+    assert.equal(config.maxDepth, DEFAULT_CONFIG.maxDepth);
+});
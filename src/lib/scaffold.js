@@ -0,0 +1,136 @@
+// --- 脚手架导出 ---
+// 将树模型还原为真实的目录结构：POSIX sh 脚本 (mkdir -p / touch)、PowerShell 脚本，或只含目录与空文件的 zip。
+// 与文本风格一样遵循 maxDepth (含按路径的覆盖) 与 showFiles，排除规则在构建树时已经应用；
+// maxChildren 与目录合并只影响显示，脚手架总是包含目录下的全部条目。
+// 名称在脚本中以单引号字符串给出；"." / ".." 以及含 \ 的名称 (Windows 上会被当作分隔符) 连同其子项一起跳过。
+
+import { depthLimitOf } from './limits.js';
+import { sortEntries } from './sort.js';
+import { createZip } from './zip.js';
+
+const isSafeName = (name) => name !== '' && name !== '.' && name !== '..' && !name.includes('\\');
+
+// 根目录名称同样用作路径的第一段，替换掉各平台不允许的字符
+const safeRootName = (root) => {
+    const name = String(root || '').replace(/[\\/:*?"<>|]|\p{Cc}/gu, '_').trim();
+    return isSafeName(name) ? name : 'scaffold';
+};
+
+/**
+ * 收集要创建的条目。路径均以根目录名称开头，按渲染顺序排列。
+ * @param {object} tree buildTree 返回的树模型
+ * @param {object} config 完整配置
+ * @param {string} root 根目录名称
+ * @returns {{ root: string, dirs: string[], leafDirs: string[], files: string[], links: { path: string, target: string }[], skipped: string[] }}
+ *          leafDirs 为不含子目录的目录 (mkdir -p 会创建其上级)，skipped 为名称不安全而跳过的路径
+ */
+export const collectScaffold = (tree, config, root) => {
+    const result = { root: safeRootName(root), dirs: [], leafDirs: [], files: [], links: [], skipped: [] };
+
+    const visit = (nodes, path, outPath, depth, limit) => {
+        result.dirs.push(outPath);
+        let hasSubdirs = false;
+        if (depth < limit) {
+            sortEntries(nodes, config).forEach(([name, data]) => {
+                const childPath = path ? `${path}/${name}` : name;
+                if (!isSafeName(name)) {
+                    result.skipped.push(childPath);
+                    return;
+                }
+                const childOut = `${outPath}/${name}`;
+                if (data._type === 'dir') {
+                    hasSubdirs = true;
+                    visit(data._children, childPath, childOut, depth + 1, depthLimitOf(config, childPath, depth + 1, limit));
+                } else if (data._type === 'symlink') {
+                    result.links.push({ path: childOut, target: data.target });
+                } else {
+                    result.files.push(childOut);
+                }
+            });
+        }
+        if (!hasSubdirs) result.leafDirs.push(outPath);
+    };
+    visit(tree, '', result.root, 0, depthLimitOf(config, '', 0, config.maxDepth));
+    return result;
+};
+
+// 头部说明：名称只来自经过清理的根目录名，不会破坏注释
+const headerLines = (scaffold) => [
+    `# TreeGenius scaffold: ${scaffold.root} (${scaffold.dirs.length} directories, ${scaffold.files.length} files)`,
+    '# 在当前目录下创建上述目录与空文件；已存在的文件不会被清空。'
+];
+
+// --- POSIX sh ---
+
+// 单引号内除单引号外的字符都没有特殊含义 (包括换行)
+const shQuote = (text) => `'${text.replace(/'/g, `'\\''`)}'`;
+
+const renderShell = (scaffold) => [
+    '#!/bin/sh',
+    ...headerLines(scaffold),
+    'set -e',
+    '',
+    ...scaffold.leafDirs.map(path => `mkdir -p -- ${shQuote(path)}`),
+    ...scaffold.files.map(path => `touch -- ${shQuote(path)}`),
+    ...scaffold.links.map(({ path, target }) => `[ -L ${shQuote(path)} ] || ln -s -- ${shQuote(target)} ${shQuote(path)}`),
+    ''
+].join('\n');
+
+// --- PowerShell ---
+// 通过 .NET 创建，避免 -Path 对 [ ] 等通配符的解释；文件带 UTF-8 BOM，Windows PowerShell 5 才能正确读取非 ASCII 名称。
+
+// PowerShell 把弯引号也当作单引号，一并双写转义
+const psQuote = (text) => `'${text.replace(/['\u2018\u2019\u201a\u201b]/g, '$&$&')}'`;
+
+const renderPowerShell = (scaffold) => `\ufeff${[
+    ...headerLines(scaffold),
+    "$ErrorActionPreference = 'Stop'",
+    '$base = (Get-Location).ProviderPath',
+    'function Add-Dir([string]$Path) { [void][System.IO.Directory]::CreateDirectory([System.IO.Path]::Combine($base, $Path)) }',
+    'function Add-File([string]$Path) {',
+    '    $full = [System.IO.Path]::Combine($base, $Path)',
+    '    if (-not [System.IO.File]::Exists($full)) { [System.IO.File]::WriteAllBytes($full, [byte[]]@()) }',
+    '}',
+    'function Add-Link([string]$Path, [string]$Target) {',
+    '    $full = [System.IO.Path]::Combine($base, $Path)',
+    '    if (Test-Path -LiteralPath $full) { return }',
+    '    try { [void](New-Item -ItemType SymbolicLink -Path $full -Target $Target) }',
+    '    catch { Write-Warning "无法创建符号链接 ${Path}: $_" }',
+    '}',
+    '',
+    ...scaffold.leafDirs.map(path => `Add-Dir ${psQuote(path)}`),
+    ...scaffold.files.map(path => `Add-File ${psQuote(path)}`),
+    ...scaffold.links.map(({ path, target }) => `Add-Link ${psQuote(path)} ${psQuote(target)}`),
+    ''
+].join('\r\n')}`;
+
+// --- zip ---
+// zip 中不保存符号链接
+
+const renderZip = (scaffold) => createZip([
+    ...scaffold.dirs.map(path => ({ path, isDir: true })),
+    ...scaffold.files.map(path => ({ path, isDir: false }))
+]);
+
+/**
+ * 脚手架格式。render(scaffold) 接收 collectScaffold 的结果，脚本返回字符串，zip 返回 Uint8Array。
+ */
+export const SCAFFOLD_FORMATS = {
+    sh: { label: 'Shell (mkdir -p / touch)', extension: 'sh', mime: 'text/x-shellscript', render: renderShell },
+    ps1: { label: 'PowerShell', extension: 'ps1', mime: 'text/plain', render: renderPowerShell },
+    zip: { label: 'ZIP (空文件)', extension: 'zip', mime: 'application/zip', render: renderZip }
+};
+
+/**
+ * 一步生成脚手架。
+ * @param {object} tree
+ * @param {object} config
+ * @param {string} root
+ * @param {'sh' | 'ps1' | 'zip'} format
+ * @returns {{ content: string | Uint8Array, filename: string, mime: string, scaffold: object }}
+ */
+export const exportScaffold = (tree, config, root, format) => {
+    const { extension, mime, render } = SCAFFOLD_FORMATS[format];
+    const scaffold = collectScaffold(tree, config, root);
+    return { content: render(scaffold), filename: `${scaffold.root}_scaffold.${extension}`, mime, scaffold };
+};
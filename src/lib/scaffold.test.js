@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportScaffold } from './scaffold.js';
+import { DEFAULT_CONFIG, buildTree } from './tree.js';
+import { createZip } from './zip.js';
+
+const file = (path) => ({ path, size: 1, lastModified: 0 });
+
+const scaffoldOf = async (entries, cfg, root, format) => {
+    const config = { ...DEFAULT_CONFIG, ...cfg };
+    const { tree } = await buildTree(entries, config);
+    return exportScaffold(tree, config, root, format);
+};
+
+// 从中央目录读出 zip 中的条目名称
+const zipNames = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const names = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(offset, true), 0x02014b50);
+        const length = view.getUint16(offset + 28, true);
+        const extra = view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        names.push(new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + length)));
+        offset += 46 + length + extra;
+    }
+    return names;
+};
+
+const ENTRIES = [file('src/lib/a.js'), file("it's.md"), { path: 'empty', type: 'dir' }, file('..\\evil')];
+
+test('sh 脚本创建最深的目录与空文件，并转义单引号', async () => {
+    const { content, filename, scaffold } = await scaffoldOf(ENTRIES, {}, 'proj', 'sh');
+    assert.equal(filename, 'proj_scaffold.sh');
+    assert.deepEqual(scaffold.skipped, ['..\\evil']);
+    const commands = content.split('\n').filter(line => /^(mkdir|touch)/.test(line));
+    assert.deepEqual(commands, [
+        "mkdir -p -- 'proj/empty'",
+        "mkdir -p -- 'proj/src/lib'",
+        "touch -- 'proj/src/lib/a.js'",
+        "touch -- 'proj/it'\\''s.md'"
+    ]);
+});
+
+test('PowerShell 脚本带 BOM 并双写单引号', async () => {
+    const { content } = await scaffoldOf(ENTRIES, {}, 'proj', 'ps1');
+    assert.ok(content.startsWith('\ufeff'));
+    assert.ok(content.includes("Add-File 'proj/it''s.md'\r\n"));
+});
+
+test('脚手架遵循 maxDepth 与 showFiles，根目录名称去掉不安全的字符', async () => {
+    const { scaffold } = await scaffoldOf(ENTRIES, { maxDepth: 1, showFiles: false }, 'a/b:c', 'sh');
+    assert.equal(scaffold.root, 'a_b_c');
+    assert.deepEqual(scaffold.dirs, ['a_b_c', 'a_b_c/empty', 'a_b_c/src']);
+    assert.deepEqual(scaffold.files, []);
+});
+
+test('zip 包含全部目录与空文件', async () => {
+    const { content, mime } = await scaffoldOf(ENTRIES, {}, 'proj', 'zip');
+    assert.equal(mime, 'application/zip');
+    assert.deepEqual(zipNames(content), ['proj/', 'proj/empty/', 'proj/src/', 'proj/src/lib/', 'proj/src/lib/a.js', "proj/it's.md"]);
+});
+
+test('zip 条目名称使用 UTF-8', () => {
+    assert.deepEqual(zipNames(createZip([{ path: '文档', isDir: true }, { path: '文档/说明.txt', isDir: false }])), ['文档/', '文档/说明.txt']);
+});
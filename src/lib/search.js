@@ -0,0 +1,70 @@
+// --- 目录树搜索 ---
+// 支持三种模式：text (不区分大小写的子串)、glob、regex。
+// 查询中含有 "/" 时与相对路径匹配，否则只与名称匹配，避免目录名命中后其下所有条目都被算作结果。
+
+import { globToRegexSource } from './gitignore.js';
+
+export const SEARCH_MODES = ['text', 'glob', 'regex'];
+
+/**
+ * 创建搜索匹配函数。查询为空时返回 null，正则无效时抛出错误。
+ * @param {string} query
+ * @param {'text' | 'glob' | 'regex'} [mode]
+ * @returns {((name: string, path: string) => boolean) | null}
+ */
+export const createSearchMatcher = (query, mode = 'text') => {
+    if (!query) return null;
+    const byPath = query.includes('/');
+    const subject = (name, path) => (byPath ? path : name);
+
+    if (mode === 'regex') {
+        let regex;
+        try {
+            regex = new RegExp(query, 'i');
+        } catch (err) {
+            throw new Error(`无效的正则: ${err.message}`);
+        }
+        return (name, path) => regex.test(subject(name, path));
+    }
+
+    if (mode === 'glob') {
+        const regex = new RegExp(`^${globToRegexSource(query.replace(/^\/+/, ''))}$`, 'i');
+        return (name, path) => regex.test(subject(name, path));
+    }
+
+    const needle = query.toLowerCase();
+    return (name, path) => subject(name, path).toLowerCase().includes(needle);
+};
+
+/**
+ * 只保留匹配项及其所有父目录，返回新的树模型 (结构与 buildTree 相同)。
+ * @param {object} nodes buildTree 返回的树模型
+ * @param {(name: string, path: string) => boolean} match
+ * @returns {object}
+ */
+export const pruneTree = (nodes, match, parentPath = '') => {
+    const result = {};
+    for (const [name, data] of Object.entries(nodes)) {
+        const path = parentPath ? `${parentPath}/${name}` : name;
+        if (data._type === 'dir') {
+            const children = pruneTree(data._children, match, path);
+            if (match(name, path) || Object.keys(children).length > 0) {
+                result[name] = { ...data, _children: children };
+            }
+        } else if (match(name, path)) {
+            result[name] = data;
+        }
+    }
+    return result;
+};
+
+// 统计树模型中的匹配数 (用于没有行列表的 JSON 风格)
+export const countMatches = (nodes, match, parentPath = '') => {
+    let count = 0;
+    for (const [name, data] of Object.entries(nodes)) {
+        const path = parentPath ? `${parentPath}/${name}` : name;
+        if (match(name, path)) count++;
+        if (data._type === 'dir') count += countMatches(data._children, match, path);
+    }
+    return count;
+};
@@ -0,0 +1,22 @@
+// --- 文件大小格式化 ---
+
+const UNITS = ['B', 'KB', 'MB', 'GB'];
+
+export const formatSize = (bytes) => {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + UNITS[i];
+};
+
+/**
+ * 解析 "512K"、"10MB"、"1.5 GB" 或纯数字 (字节)，单位不区分大小写。
+ * @param {string} text
+ * @returns {number | undefined} 字节数 (取整)；格式不正确时为 undefined
+ */
+export const parseSize = (text) => {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([kmg]?)b?\s*$/i.exec(String(text));
+    if (!match) return undefined;
+    const unit = match[2] ? UNITS.findIndex(u => u[0] === match[2].toUpperCase()) : 0;
+    return Math.round(Number(match[1]) * Math.pow(1024, unit));
+};
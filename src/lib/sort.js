@@ -0,0 +1,49 @@
+// --- 排序 ---
+// 文本风格与导出格式共用的同级条目排序。目录的大小与修改时间取子树汇总值。
+
+import { summarize } from './aggregate.js';
+
+export const SORT_KEYS = ['name', 'natural', 'size', 'extension', 'mtime'];
+
+const naturalCollator = new Intl.Collator(undefined, { numeric: true });
+
+const extensionOf = (name, data) => {
+    if (data._type === 'dir') return '';
+    const index = name.lastIndexOf('.');
+    return index > 0 ? name.slice(index + 1).toLowerCase() : '';
+};
+
+const sizeOf = (data) => (data._type === 'dir' ? summarize(data._children).size : data.size || 0);
+const mtimeOf = (data) => (data._type === 'dir' ? summarize(data._children).lastModified : data.lastModified || 0);
+
+// 各排序键的比较函数 (升序)；值相同时按名称
+const COMPARATORS = {
+    name: (a, b) => a[0].localeCompare(b[0]),
+    natural: (a, b) => naturalCollator.compare(a[0], b[0]),
+    size: (a, b) => sizeOf(a[1]) - sizeOf(b[1]),
+    extension: (a, b) => extensionOf(a[0], a[1]).localeCompare(extensionOf(b[0], b[1])),
+    mtime: (a, b) => mtimeOf(a[1]) - mtimeOf(b[1])
+};
+
+/**
+ * 过滤并排序同级条目。先过滤再排序，保证 "最后一项" 的连线正确。
+ * @param {object} nodes
+ * @param {{ showFiles: boolean, sortBy?: string, sortOrder?: 'asc' | 'desc', dirsFirst?: boolean }} cfg
+ * @returns {[string, object][]}
+ */
+export const sortEntries = (nodes, cfg) => {
+    const compare = COMPARATORS[cfg.sortBy] || COMPARATORS.name;
+    const direction = cfg.sortOrder === 'desc' ? -1 : 1;
+    const dirsFirst = cfg.dirsFirst !== false;
+    return Object.entries(nodes)
+        .filter(([, data]) => cfg.showFiles || data._type === 'dir')
+        .sort((a, b) => {
+            if (dirsFirst) {
+                const aIsDir = a[1]._type === 'dir';
+                const bIsDir = b[1]._type === 'dir';
+                if (aIsDir && !bIsDir) return -1;
+                if (!aIsDir && bIsDir) return 1;
+            }
+            return direction * compare(a, b) || a[0].localeCompare(b[0]);
+        });
+};
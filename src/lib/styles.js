@@ -0,0 +1,145 @@
+// --- 文本风格 ---
+// 内置风格与用户自定义风格使用同一种定义：
+//   branch / lastBranch    节点前的连线 (├── / └── )
+//   vertical / space       子级缩进：父节点不是 / 是最后一项时使用 (│    / 空白)
+//   indentWidth            每级宽度，上面四个字形不足时以空格补齐；0 表示取字形的最大宽度
+//   dirPrefix / dirSuffix / filePrefix / fileSuffix  名称前后的固定文本 (符号链接按文件处理)
+//   rootLabel              根节点格式，{name} 为根目录名称
+//   icons                  显示文件类型图标 (见 icons.js)
+// 自定义风格保存在配置的 customStyles 中 ({ [id]: 定义 })，可导出为 JSON 与团队共享。
+
+import { EXPORT_FORMATS } from './formats.js';
+
+export const STYLE_FILE_KIND = 'tree-genius-styles';
+export const STYLE_FILE_VERSION = 1;
+
+const STRING_FIELDS = ['branch', 'lastBranch', 'vertical', 'space', 'dirPrefix', 'dirSuffix', 'filePrefix', 'fileSuffix', 'rootLabel'];
+const MAX_INDENT_WIDTH = 16;
+
+export const BLANK_STYLE = {
+    branch: '',
+    lastBranch: '',
+    vertical: '',
+    space: '',
+    indentWidth: 0,
+    dirPrefix: '',
+    dirSuffix: '',
+    filePrefix: '',
+    fileSuffix: '',
+    rootLabel: '{name}',
+    icons: false
+};
+
+export const TREE_STYLES = {
+    classic: { ...BLANK_STYLE, branch: '├── ', lastBranch: '└── ', vertical: '│   ', space: '    ' },
+    ascii: { ...BLANK_STYLE, branch: '|-- ', lastBranch: '`-- ', vertical: '|   ', space: '    ' },
+    minimal: { ...BLANK_STYLE, branch: '+ ', lastBranch: '+ ', vertical: '  ', space: '  ' },
+    // 没有连线，每级缩进 2 个空格 (根节点的子项同样缩进)
+    indent: { ...BLANK_STYLE, indentWidth: 2 },
+    emoji: { ...BLANK_STYLE, branch: '├── ', lastBranch: '└── ', vertical: '│   ', space: '    ', icons: true }
+};
+
+// 风格 id 只能由字母、数字、- 与 _ 组成，且不能与内置风格 / 导出格式重名
+const STYLE_ID = /^[\w-]+$/;
+
+/**
+ * 检查自定义风格的名称，返回错误信息，合法时返回 null。
+ * @param {string} id
+ */
+export const validateStyleId = (id) => {
+    if (!STYLE_ID.test(id)) return '名称只能包含字母、数字、- 与 _';
+    if (TREE_STYLES[id] || EXPORT_FORMATS[id]) return `"${id}" 与内置风格重名`;
+    return null;
+};
+
+/**
+ * 校验并补齐风格定义 (导入的 JSON 与编辑器的草稿都经过这里)。
+ * @param {object} def
+ * @returns {object} 字段齐全的风格定义
+ * @throws {Error} 字段类型不正确时抛出
+ */
+export const normalizeStyle = (def) => {
+    if (!def || typeof def !== 'object' || Array.isArray(def)) throw new Error('风格定义必须是对象');
+    const style = { ...BLANK_STYLE };
+    STRING_FIELDS.forEach(field => {
+        if (def[field] === undefined) return;
+        if (typeof def[field] !== 'string') throw new Error(`${field} 必须是字符串`);
+        if (/[\r\n]/.test(def[field])) throw new Error(`${field} 不能包含换行`);
+        style[field] = def[field];
+    });
+    if (def.indentWidth !== undefined) {
+        const width = Number(def.indentWidth);
+        if (!Number.isInteger(width) || width < 0 || width > MAX_INDENT_WIDTH) {
+            throw new Error(`indentWidth 必须是 0 到 ${MAX_INDENT_WIDTH} 之间的整数`);
+        }
+        style.indentWidth = width;
+    }
+    if (def.icons !== undefined) style.icons = !!def.icons;
+    return style;
+};
+
+/**
+ * 配置当前使用的风格定义：内置风格、customStyles 中的自定义风格，未知风格退回 classic。
+ * @param {object} config
+ */
+export const styleOf = (config) => TREE_STYLES[config.style]
+    || (config.customStyles && config.customStyles[config.style])
+    || TREE_STYLES.classic;
+
+/**
+ * 渲染用的风格：补齐定义后将四个字形按 indentWidth 以空格补齐。
+ * @param {object} config
+ */
+export const resolveStyle = (config) => {
+    const style = normalizeStyle(styleOf(config));
+    const glyphs = [style.branch, style.lastBranch, style.vertical, style.space];
+    const width = style.indentWidth || Math.max(...glyphs.map(glyph => glyph.length));
+    return {
+        ...style,
+        branch: style.branch.padEnd(width),
+        lastBranch: style.lastBranch.padEnd(width),
+        vertical: style.vertical.padEnd(width),
+        space: style.space.padEnd(width)
+    };
+};
+
+/**
+ * 导出自定义风格为可分享的 JSON 文本。
+ * @param {{ [id: string]: object }} styles
+ */
+export const serializeStyles = (styles) => JSON.stringify({
+    kind: STYLE_FILE_KIND,
+    version: STYLE_FILE_VERSION,
+    styles
+}, null, 2);
+
+/**
+ * 解析 serializeStyles 导出的文件。
+ * @param {string} text
+ * @returns {{ [id: string]: object }}
+ * @throws {Error} 格式不正确或名称冲突时抛出 (信息中带风格名称)
+ */
+export const parseStyles = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('风格文件不是有效的 JSON');
+    }
+    if (!data || data.kind !== STYLE_FILE_KIND || !data.styles || typeof data.styles !== 'object') {
+        throw new Error('不是 TreeGenius 风格文件');
+    }
+    if (data.version > STYLE_FILE_VERSION) throw new Error(`不支持的风格文件版本 ${data.version}`);
+
+    const styles = {};
+    for (const [id, def] of Object.entries(data.styles)) {
+        const idError = validateStyleId(id);
+        if (idError) throw new Error(`风格 ${id}：${idError}`);
+        try {
+            styles[id] = normalizeStyle(def);
+        } catch (err) {
+            throw new Error(`风格 ${id}：${err.message}`);
+        }
+    }
+    return styles;
+};
@@ -0,0 +1,205 @@
+// --- 输出模板 ---
+// 文本风格的逐行模板与头部 / 尾部模板，如：
+//   行   {prefix}{icon}{name}{slash} {size|pad:40} {mtime:YYYY-MM-DD}
+//   头部 {root}: {dirs} directories, {files} files ({totalSize})
+// 语法：{变量}、{变量:参数} (只有日期变量接受参数，即日期格式)、{变量|过滤器|过滤器:参数}；{{ 与 }} 表示字面量的花括号。
+// 模板为空时使用各风格内置的格式。变量的取值由 tree.js 在渲染时提供，这里只负责解析、校验与拼接。
+
+import { displayWidth } from './comments.js';
+
+/**
+ * 逐行模板可用的变量。
+ */
+export const LINE_VARIABLES = {
+    prefix: '缩进与连线',
+    icon: '图标 (开启图标时)',
+    name: '名称',
+    slash: '目录为 /，文件为空',
+    size: '大小 (目录为子树汇总)',
+    bytes: '大小 (字节)',
+    files: '目录中的文件数',
+    mtime: '修改时间，参数为日期格式 (默认 YYYY-MM-DD)',
+    lines: '行数 (统计了行数时)',
+    language: '语言',
+    type: 'file / dir / symlink',
+    target: '符号链接的目标',
+    path: '相对路径',
+    depth: '层级 (根的子项为 1)',
+    notes: '内置注释，如 [JavaScript · 120 lines]'
+};
+
+/**
+ * 头部 / 尾部模板可用的变量。
+ */
+export const SUMMARY_VARIABLES = {
+    root: '根目录名称',
+    dirs: '目录数',
+    files: '文件数',
+    totalSize: '总大小',
+    totalBytes: '总大小 (字节)',
+    lines: '总行数 (开启内容分析时)',
+    date: '生成时间，参数为日期格式 (默认 YYYY-MM-DD HH:mm)'
+};
+
+// 接受日期格式参数的变量及其默认格式
+const DATE_VARIABLES = { mtime: 'YYYY-MM-DD', date: 'YYYY-MM-DD HH:mm' };
+
+const pad = (value, width, atStart) => {
+    const padding = ' '.repeat(Math.max(0, width - displayWidth(value)));
+    return atStart ? padding + value : value + padding;
+};
+
+const FILTERS = {
+    pad: { arg: 'width', apply: (value, width) => pad(value, width, false) },
+    padStart: { arg: 'width', apply: (value, width) => pad(value, width, true) },
+    upper: { apply: value => value.toUpperCase() },
+    lower: { apply: value => value.toLowerCase() },
+    default: { arg: 'text', apply: (value, text) => (value === '' ? text : value) }
+};
+
+export const TEMPLATE_FILTERS = Object.keys(FILTERS);
+
+const two = (n) => String(n).padStart(2, '0');
+
+/**
+ * 按 YYYY MM DD HH mm ss 格式化日期 (UTC，与日期注释一致)。
+ * @param {number | Date} time
+ * @param {string} format
+ */
+export const formatDate = (time, format) => {
+    const date = new Date(time);
+    const tokens = {
+        YYYY: String(date.getUTCFullYear()),
+        MM: two(date.getUTCMonth() + 1),
+        DD: two(date.getUTCDate()),
+        HH: two(date.getUTCHours()),
+        mm: two(date.getUTCMinutes()),
+        ss: two(date.getUTCSeconds())
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+};
+
+// 错误位置：单行模板为 "第 N 列"，多行模板为 "第 L 行第 C 列"
+const positionText = (text, index) => {
+    const before = text.slice(0, index).split('\n');
+    const column = before[before.length - 1].length + 1;
+    return text.includes('\n') ? `第 ${before.length} 行第 ${column} 列` : `第 ${column} 列`;
+};
+
+// "name:arg" -> { name, arg }，只在第一个冒号处分割 (日期格式中可以包含冒号)
+const splitArg = (text) => {
+    const index = text.indexOf(':');
+    return index < 0 ? { name: text.trim(), arg: undefined } : { name: text.slice(0, index).trim(), arg: text.slice(index + 1) };
+};
+
+const parseExpression = (body, variables, fail) => {
+    const [head, ...filterTexts] = body.split('|');
+    const { name, arg } = splitArg(head);
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+        fail(`未知变量 "${name}"，可用: ${Object.keys(variables).join(', ')}`);
+    }
+    if (arg !== undefined && !DATE_VARIABLES[name]) fail(`变量 "${name}" 不接受参数`);
+
+    const filters = filterTexts.map(text => {
+        const filter = splitArg(text);
+        const spec = FILTERS[filter.name];
+        if (!spec) fail(`未知过滤器 "${filter.name}"，可用: ${TEMPLATE_FILTERS.join(', ')}`);
+        if (!spec.arg && filter.arg !== undefined) fail(`过滤器 "${filter.name}" 不接受参数`);
+        if (spec.arg === 'width') {
+            const width = Number(filter.arg);
+            if (filter.arg === undefined || filter.arg.trim() === '' || !Number.isInteger(width) || width < 0) {
+                fail(`过滤器 "${filter.name}" 需要非负整数参数，如 ${filter.name}:40`);
+            }
+            return { spec, arg: width };
+        }
+        return { spec, arg: filter.arg === undefined ? '' : filter.arg };
+    });
+    return { name, arg: arg === undefined ? DATE_VARIABLES[name] : arg, filters };
+};
+
+/**
+ * 解析并校验模板。
+ * @param {string} text
+ * @param {{ [name: string]: string }} variables 可用的变量 (LINE_VARIABLES 或 SUMMARY_VARIABLES)
+ * @returns {(resolve: (name: string, arg?: string) => string | number | undefined) => string}
+ *          渲染函数；resolve 返回变量的值，undefined 与 null 视为空字符串
+ * @throws {Error} 语法错误、未知变量或过滤器时抛出，消息中带有位置
+ */
+export const compileTemplate = (text, variables) => {
+    const parts = [];
+    let literal = '';
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if ((ch === '{' || ch === '}') && text[i + 1] === ch) {
+            literal += ch;
+            i += 2;
+            continue;
+        }
+        if (ch === '}') throw new Error(`${positionText(text, i)}：多余的 }，字面量请写作 }}`);
+        if (ch !== '{') {
+            literal += ch;
+            i++;
+            continue;
+        }
+
+        const close = text.indexOf('}', i + 1);
+        const nextOpen = text.indexOf('{', i + 1);
+        if (close < 0 || (nextOpen >= 0 && nextOpen < close)) throw new Error(`${positionText(text, i)}：缺少 }`);
+        const fail = (message) => { throw new Error(`${positionText(text, i)}：${message}`); };
+        if (literal) parts.push(literal);
+        literal = '';
+        parts.push(parseExpression(text.slice(i + 1, close), variables, fail));
+        i = close + 1;
+    }
+    if (literal) parts.push(literal);
+
+    return (resolve) => parts.map(part => {
+        if (typeof part === 'string') return part;
+        const value = resolve(part.name, part.arg);
+        let result = value === undefined || value === null ? '' : String(value);
+        part.filters.forEach(({ spec, arg }) => { result = spec.apply(result, arg); });
+        return result;
+    }).join('');
+};
+
+/**
+ * 逐行模板：只能是单行。
+ * @param {string} text
+ * @throws {Error}
+ */
+export const compileLineTemplate = (text) => {
+    if (/[\r\n]/.test(text)) throw new Error('逐行模板不能包含换行');
+    return compileTemplate(text, LINE_VARIABLES);
+};
+
+/**
+ * 头部 / 尾部模板：可以有多行。
+ * @param {string} text
+ * @throws {Error}
+ */
+export const compileSummaryTemplate = (text) => compileTemplate(text, SUMMARY_VARIABLES);
+
+const TEMPLATE_COMPILERS = {
+    lineTemplate: compileLineTemplate,
+    headerTemplate: compileSummaryTemplate,
+    footerTemplate: compileSummaryTemplate
+};
+
+/**
+ * 校验配置中的模板 (界面提示、配置导入与 CLI 共用)。
+ * @param {{ lineTemplate?: string, headerTemplate?: string, footerTemplate?: string }} config
+ * @returns {{ lineTemplate?: string, headerTemplate?: string, footerTemplate?: string }} 各模板的错误信息，全部有效时为空对象
+ */
+export const validateTemplates = (config) => {
+    const errors = {};
+    Object.entries(TEMPLATE_COMPILERS).forEach(([key, compile]) => {
+        if (!config[key]) return;
+        try {
+            compile(config[key]);
+        } catch (err) {
+            errors[key] = err.message;
+        }
+    });
+    return errors;
+};
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LINE_VARIABLES, compileTemplate, formatDate, validateTemplates } from './template.js';
+import { generateTree } from './tree.js';
+
+// 本地时间，避免结果随时区变化
+const MTIME = new Date(2024, 4, 1, 12).getTime();
+const file = (path, size) => ({ path, size, lastModified: MTIME });
+
+test('逐行、头部与尾部模板', async () => {
+    const { output } = await generateTree([file('src/a.js', 2048), file('README.md', 5)], {
+        lineTemplate: '{prefix}{name}{slash} {size|pad:8}|{mtime:YYYY/MM/DD}|{depth}',
+        headerTemplate: '{root}: {dirs} dirs, {files} files ({totalSize})',
+        footerTemplate: '{{done}} {date:YYYY}'
+    }, 'p', { now: new Date(2025, 0, 2) });
+    assert.equal(output, [
+        'p: 1 dirs, 2 files (2 KB)',
+        'p',
+        '├── src/ 2 KB    |2024/05/01|1',
+        '│   └── a.js 2 KB    |2024/05/01|2',
+        '└── README.md 5 B     |2024/05/01|1',
+        '{done} 2025',
+        ''
+    ].join('\n'));
+});
+
+test('过滤器依次作用于变量的值', () => {
+    const render = compileTemplate('[{name|upper|padStart:6}] {language|default:-}', LINE_VARIABLES);
+    assert.equal(render(name => (name === 'name' ? 'ab' : undefined)), '[    AB] -');
+});
+
+test('语法错误带列号', () => {
+    assert.throws(() => compileTemplate('{nope}', LINE_VARIABLES), /第 1 列：未知变量 "nope"/);
+    assert.throws(() => compileTemplate('a}', LINE_VARIABLES), /第 2 列：多余的 }/);
+    assert.throws(() => compileTemplate('{name|bogus}', LINE_VARIABLES), /未知过滤器 "bogus"/);
+    assert.throws(() => compileTemplate('{size:X}', LINE_VARIABLES), /不接受参数/);
+    assert.throws(() => compileTemplate('{name', LINE_VARIABLES), /缺少 }/);
+});
+
+test('validateTemplates 只返回无效模板的错误', () => {
+    assert.deepEqual(validateTemplates({ lineTemplate: 'a\nb', headerTemplate: '{root}' }), { lineTemplate: '逐行模板不能包含换行' });
+    assert.deepEqual(validateTemplates({}), {});
+});
+
+test('日期格式', () => {
+    assert.equal(formatDate(new Date(2024, 0, 5, 3, 4), 'YYYY-MM-DD HH:mm'), '2024-01-05 03:04');
+});
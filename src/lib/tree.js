@@ -0,0 +1,555 @@
+// --- TreeGenius 核心库 ---
+// 与框架无关：浏览器 (App) 与 Node (脚本 / CLI) 共用同一套构建与渲染逻辑。
+//
+// 用法：
+//   import { generateTree } from './lib/tree.js';
+//   const { tree, output, statistics } = await generateTree(
+//       [{ path: 'src/index.js', size: 120, lastModified: 1700000000000 }],
+//       { style: 'classic', maxDepth: 3 },
+//       'my-project'
+//   );
+
+import { createGitClassifier, markGitDirs } from './git.js';
+import { createGitignoreMatcher } from './gitignore.js';
+import { createPatternMatcher } from './patterns.js';
+import { summarize } from './aggregate.js';
+import { languageBreakdown, markDuplicates } from './analysis.js';
+import { alignComments } from './comments.js';
+import { DIFF_MARKS } from './diff.js';
+import { toJsonExport } from './json.js';
+import { EXPORT_FORMATS } from './formats.js';
+import { createFileTypeResolver, iconOf } from './icons.js';
+import { MORE_MARK, compactDir, depthLimitOf, limitEntries, moreText } from './limits.js';
+import { formatSize } from './size.js';
+import { TREE_STYLES, resolveStyle } from './styles.js';
+import { compileLineTemplate, compileSummaryTemplate, formatDate } from './template.js';
+import { rootEntries, rootStatistics } from './workspace.js';
+
+export { formatSize, TREE_STYLES };
+
+// --- 常量定义 ---
+
+export const DEFAULT_IGNORES = [
+    'node_modules', '.git', '.idea', '.vscode', 'dist',
+    'build', 'coverage', '__pycache__', '.DS_Store'
+];
+
+export const DEFAULT_CONFIG = {
+    maxDepth: 10,
+    maxChildren: 0, // 每个目录最多显示的条目数，0 为不限，见 limits.js
+    pathLimits: {}, // 按路径覆盖 maxDepth / maxChildren
+    compactDirs: false, // 合并单子目录链
+    style: 'classic',
+    ignores: [...DEFAULT_IGNORES],
+    includes: [],
+    showFiles: true,
+    showSizes: false,
+    trailingSlash: false,
+    showStats: true,
+    useGitignore: false,
+    showEmptyDirs: true,
+    pruneEmptyDirs: false,
+    linkFiles: false, // Markdown 列表中为文件生成链接
+    sortBy: 'name', // name | natural | size | extension | mtime，见 sort.js
+    sortOrder: 'asc',
+    dirsFirst: true,
+    iconSet: 'emoji', // emoji | nerd | none，见 icons.js
+    showIcons: false, // 非 emoji 风格也显示图标
+    iconMap: [], // 自定义的图标规则，排在默认映射表之前
+    // 文件行尾的注释
+    annotateDate: false,
+    annotateLines: false, // 需要读取文件内容，见 files.js toEntries
+    annotateLanguage: false,
+    customStyles: {}, // 自定义风格，见 styles.js
+    comments: {}, // 行内注释 { [path]: text }，见 comments.js
+    // 内容分析：统计全部文本文件的行数、按语言汇总并查找重复文件，见 content.js / analysis.js
+    analyzeContent: false,
+    contentSizeLimit: 1024 * 1024, // 超过此大小的文件不读取内容
+    // Git 模式：根据 .git/index 标记文件状态，见 git.js
+    gitStatus: false,
+    gitCheckModified: true, // 按大小与修改时间标记 modified
+    gitTrackedOnly: false, // 只保留已跟踪的文件
+    // 输出模板 (文本风格)，为空时使用风格内置的格式，见 template.js
+    lineTemplate: '',
+    headerTemplate: '',
+    footerTemplate: '',
+    // 多根工作区，见 workspace.js
+    workspaceLayout: 'root', // root: 合成根节点 | separate: 各根依次输出为独立的树 (文本风格)
+    workspaceRoots: [] // 各根的别名，由当前载入的文件夹决定，不随方案保存
+};
+
+const CHUNK_SIZE = 1500; // 构建阶段批处理大小
+const RENDER_CHUNK_SIZE = 500; // 渲染阶段批处理大小
+
+// 让出事件循环，并在被中止时抛出 'Aborted'
+const yieldToEventLoop = async (signal) => {
+    await new Promise(r => setTimeout(r, 0));
+    if (signal && signal.aborted) throw new Error('Aborted');
+};
+
+/**
+ * 由文件列表构建树模型。
+ *
+ * 树模型是一个以名称为键的对象：
+ *   文件 { _type: 'file', size, lastModified, lines?, hash?, duplicates? }
+ *   目录 { _type: 'dir', _children: { ... } }
+ *   链接 { _type: 'symlink', target, size: 0 }
+ *
+ * 条目默认是文件；能够枚举目录的来源 (CLI、拖拽) 还可以提供
+ * { path, type: 'dir' } 以显示空目录，以及 { path, type: 'symlink', target } 表示符号链接。
+ *
+ * @param {{ path: string, size?: number, lastModified?: number, lines?: number, hash?: string, type?: 'file' | 'dir' | 'symlink', target?: string }[]} entries
+ *        path 为相对根目录的路径，以 "/" 分隔；lines 为文本文件的行数，hash 为内容哈希 (均可选，见 content.js)
+ * @param {object} cfg 与 App 配置相同的结构，缺省字段取 DEFAULT_CONFIG
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] 中止时抛出 Error('Aborted')
+ * @param {{ dir: string, content: string }[]} [options.gitignores] cfg.useGitignore 或 cfg.gitStatus 开启时使用的 .gitignore 内容
+ * @param {{ index: object, exclude?: string }} [options.git] cfg.gitStatus 开启时使用的仓库信息 (见 files.js readGitRepo)
+ * @param {(progress: { phase: 'build', processed: number, total: number }) => void} [options.onProgress]
+ * @returns {Promise<{ tree: object, statistics: { dirs: number, files: number, totalSize: number }, hits: { ignores: object, includes: object } }>}
+ *          开启 analyzeContent 时 statistics 另有 lines、languages (见 analysis.js languageBreakdown) 与
+ *          duplicates ({ groups, files, wastedSize })，重复文件节点带 duplicates (副本数)；
+ *          Git 模式下 statistics 另有 git ({ tracked, modified, untracked, ignored } 文件数)，
+ *          文件节点带 git (见 git.js GIT_STATUSES)，.git 目录不出现在树中；
+ *          多根工作区 (cfg.workspaceRoots) 的 statistics 另有 roots (各根的统计，见 workspace.js rootStatistics)
+ */
+export const buildTree = async (entries, cfg, { signal, gitignores = [], git, onProgress } = {}) => {
+    const config = { ...DEFAULT_CONFIG, ...cfg };
+    const tree = {};
+    const stats = { dirs: 0, files: 0, totalSize: 0 };
+    const hits = { ignores: {}, includes: {} }; // 每条规则命中 (隐藏 / 保留) 的文件数
+
+    const includes = config.includes || [];
+    const matchIgnore = createPatternMatcher(config.ignores);
+    const matchInclude = createPatternMatcher(includes);
+    const isGitIgnored = config.useGitignore ? createGitignoreMatcher(gitignores) : null;
+    const gitStatusOf = config.gitStatus && git
+        ? createGitClassifier(git, gitignores, { checkModified: config.gitCheckModified })
+        : null;
+    if (gitStatusOf) stats.git = { tracked: 0, modified: 0, untracked: 0, ignored: 0 };
+    const sourceDirs = new Set(); // 在来源中含有内容的目录，用于区分 "本来为空" 与 "被过滤为空"
+    // 多根工作区中排除 / 包含规则相对各根匹配 (去掉别名前缀)，根本身不受规则影响
+    const isWorkspace = config.workspaceRoots.length > 0;
+
+    for (let i = 0; i < entries.length; i++) {
+        if (i % CHUNK_SIZE === 0) {
+            if (onProgress) onProgress({ phase: 'build', processed: i, total: entries.length });
+            await yieldToEventLoop(signal);
+        }
+
+        const entry = entries[i];
+        const relevantParts = entry.path.split('/').filter(Boolean);
+        if (relevantParts.length === 0) continue;
+
+        const isDirEntry = entry.type === 'dir';
+        if (isDirEntry && !config.showEmptyDirs) continue;
+        if (relevantParts.length > 1) sourceDirs.add(relevantParts.slice(0, -1).join('/'));
+
+        // 目录条目不计入规则命中数 (命中数统计的是文件)
+        const patternParts = isWorkspace ? relevantParts.slice(1) : relevantParts;
+        const ignoredBy = patternParts.length > 0 ? matchIgnore(patternParts, isDirEntry) : -1;
+        if (ignoredBy !== -1) {
+            const pattern = config.ignores[ignoredBy];
+            if (!isDirEntry) hits.ignores[pattern] = (hits.ignores[pattern] || 0) + 1;
+            continue;
+        }
+        // Git 模式：隐藏 .git；已跟踪的文件不受 .gitignore 影响 (与 git 一致)；目录不会被跟踪
+        let gitStatus = null;
+        if (gitStatusOf) {
+            if (relevantParts.includes('.git')) continue;
+            if (!isDirEntry) gitStatus = gitStatusOf(relevantParts.join('/'), entry);
+            if (config.gitTrackedOnly && (isDirEntry || gitStatus === 'untracked' || gitStatus === 'ignored')) continue;
+        }
+        const isTracked = gitStatus === 'tracked' || gitStatus === 'modified';
+        if (isGitIgnored && !isTracked && isGitIgnored(relevantParts.join('/'), isDirEntry)) continue;
+
+        // 仅包含模式：设置了包含规则时，只保留至少命中一条的文件
+        if (includes.length > 0 && patternParts.length > 0) {
+            const includedBy = matchInclude(patternParts, isDirEntry);
+            if (includedBy === -1) continue;
+            const pattern = includes[includedBy];
+            if (!isDirEntry) hits.includes[pattern] = (hits.includes[pattern] || 0) + 1;
+        }
+
+        let currentLevel = tree;
+        relevantParts.forEach((part, index) => {
+            const isLeaf = index === relevantParts.length - 1;
+            if (!currentLevel[part]) {
+                if (isLeaf && entry.type === 'symlink') {
+                    currentLevel[part] = { _type: 'symlink', target: entry.target, size: 0 };
+                    stats.files++;
+                } else if (isLeaf && !isDirEntry) {
+                    currentLevel[part] = { _type: 'file', size: entry.size, lastModified: entry.lastModified };
+                    if (entry.lines !== undefined) currentLevel[part].lines = entry.lines;
+                    if (entry.hash) currentLevel[part].hash = entry.hash;
+                    stats.files++;
+                    stats.totalSize += entry.size;
+                } else {
+                    currentLevel[part] = { _type: 'dir', _children: {} };
+                    stats.dirs++;
+                }
+                if (isLeaf && gitStatus) {
+                    currentLevel[part].git = gitStatus;
+                    stats.git[gitStatus]++;
+                }
+            }
+            if (currentLevel[part]._type === 'dir') currentLevel = currentLevel[part]._children;
+        });
+    }
+
+    if (config.pruneEmptyDirs) stats.dirs -= pruneEmptyDirs(tree, '', sourceDirs);
+    if (gitStatusOf) markGitDirs(tree);
+    if (config.analyzeContent) {
+        stats.languages = languageBreakdown(tree, config);
+        stats.lines = stats.languages.reduce((sum, item) => sum + item.lines, 0);
+        stats.duplicates = markDuplicates(tree);
+    }
+    if (config.workspaceRoots.length > 0) stats.roots = rootStatistics(tree, config.workspaceRoots);
+
+    if (onProgress) onProgress({ phase: 'build', processed: entries.length, total: entries.length });
+    return { tree, statistics: stats, hits };
+};
+
+// 删除因过滤而变空的目录 (来源中本来就为空的目录保留)，返回删除的目录数
+const pruneEmptyDirs = (nodes, parentPath, sourceDirs) => {
+    let removed = 0;
+    for (const [name, data] of Object.entries(nodes)) {
+        if (data._type !== 'dir') continue;
+        const path = parentPath ? `${parentPath}/${name}` : name;
+        removed += pruneEmptyDirs(data._children, path, sourceDirs);
+        if (Object.keys(data._children).length === 0 && sourceDirs.has(path)) {
+            delete nodes[name];
+            removed++;
+        }
+    }
+    return removed;
+};
+
+// 目录的汇总大小与文件数，如 "12 KB, 3 files"
+const dirSummaryText = (nodes) => {
+    const { size, fileCount } = summarize(nodes);
+    return `${formatSize(size)}, ${fileCount} ${fileCount === 1 ? 'file' : 'files'}`;
+};
+
+const linesText = (lines) => `${lines} ${lines === 1 ? 'line' : 'lines'}`;
+const notesText = (notes) => (notes.length > 0 ? `  [${notes.join(' · ')}]` : '');
+
+// Git 模式下修改、未跟踪与忽略的条目标注状态 (已跟踪的不标注)
+const pushGitNote = (notes, data) => {
+    if (data.git && data.git !== 'tracked') notes.push(data.git);
+};
+
+// 文件行尾的注释，如 "  [JavaScript · 120 lines · 2024-05-01]"；内容分析找到的重复文件追加 "duplicate ×2"
+const annotationText = (data, fileType, cfg) => {
+    const notes = [];
+    if (cfg.annotateLanguage && fileType.language) notes.push(fileType.language);
+    if (cfg.annotateLines && data.lines !== undefined) notes.push(linesText(data.lines));
+    if (cfg.annotateDate && data.lastModified) notes.push(new Date(data.lastModified).toISOString().slice(0, 10));
+    if (data.duplicates) notes.push(`duplicate ×${data.duplicates}`);
+    pushGitNote(notes, data);
+    return notesText(notes);
+};
+
+// 目录行尾的注释：子树中文本文件的总行数与 Git 状态
+const dirAnnotationText = (data, cfg) => {
+    const notes = [];
+    if (cfg.annotateLines) {
+        const { lines } = summarize(data._children);
+        if (lines > 0) notes.push(linesText(lines));
+    }
+    pushGitNote(notes, data);
+    return notesText(notes);
+};
+
+const symlinkAnnotationText = (data) => {
+    const notes = [];
+    pushGitNote(notes, data);
+    return notesText(notes);
+};
+
+// 逐行模板中变量的取值 (见 template.js LINE_VARIABLES)；目录的汇总只在用到时计算一次
+const lineVariables = ({ name, data, path, depth, prefix, icon, fileType, cfg }) => {
+    const isDir = data._type === 'dir';
+    let summary = null;
+    const summaryOf = () => summary || (summary = summarize(data._children));
+    const values = {
+        prefix: () => prefix,
+        icon: () => icon,
+        name: () => name,
+        slash: () => (isDir ? '/' : ''),
+        size: () => (isDir ? formatSize(summaryOf().size) : data._type === 'file' ? formatSize(data.size) : ''),
+        bytes: () => (isDir ? summaryOf().size : data.size),
+        files: () => (isDir ? summaryOf().fileCount : ''),
+        mtime: (format) => {
+            const time = isDir ? summaryOf().lastModified : data.lastModified;
+            return time ? formatDate(time, format) : '';
+        },
+        lines: () => (isDir ? summaryOf().lines || '' : data.lines),
+        language: () => (fileType ? fileType.language : ''),
+        type: () => data._type,
+        target: () => data.target,
+        path: () => path,
+        depth: () => depth,
+        notes: () => {
+            if (fileType) return annotationText(data, fileType, cfg).trim();
+            return (isDir ? dirAnnotationText(data, cfg) : symlinkAnnotationText(data)).trim();
+        }
+    };
+    return (key, arg) => values[key](arg);
+};
+
+// 头部 / 尾部模板中变量的取值 (见 template.js SUMMARY_VARIABLES)
+const summaryVariables = (tree, root, statistics, now) => {
+    const summary = summarize(tree);
+    const stats = statistics || { dirs: summary.dirCount, files: summary.fileCount, totalSize: summary.size };
+    const lines = stats.lines !== undefined ? stats.lines : summary.lines;
+    const values = {
+        root: () => root,
+        dirs: () => stats.dirs,
+        files: () => stats.files,
+        totalSize: () => formatSize(stats.totalSize),
+        totalBytes: () => stats.totalSize,
+        lines: () => lines || '',
+        date: (format) => formatDate(now, format)
+    };
+    return (key, arg) => values[key](arg);
+};
+
+// 头部 / 尾部的行：每行一个 row，path 以 \0 开头，不会与真实路径冲突
+const templateRows = (template, kind, resolve) => template(resolve).split('\n').map((text, i) => ({
+    path: `\0${kind}:${i}`, name: '', depth: 0, isDir: false, extra: kind, text
+}));
+
+// 统计将要输出的行数 (用于渲染进度)
+const countLines = (nodes, path, depth, limit, cfg) => {
+    if (depth >= limit) return 0;
+    const { entries, more } = limitEntries(nodes, path, cfg);
+    let count = more ? 1 : 0;
+    for (const [name, data] of entries) {
+        count++;
+        if (data._type !== 'dir') continue;
+        const dir = compactDir(name, data, path ? `${path}/${name}` : name, cfg);
+        count += countLines(dir.data._children, dir.path, depth + 1, depthLimitOf(cfg, dir.path, depth + 1, limit), cfg);
+    }
+    return count;
+};
+
+// 渲染上下文：每行作为一个 row 写入 ctx.rows，最后一次性 join，避免大树上的反复字符串拼接
+// limit 为当前的深度上限 (见 limits.js depthLimitOf)
+const renderNodes = async (nodes, parentPath, prefix, depth, limit, cfg, ctx) => {
+    if (depth >= limit) return;
+    if (ctx.signal && ctx.signal.aborted) throw new Error('Aborted');
+
+    const { entries, more } = limitEntries(nodes, parentPath, cfg);
+    const { style } = ctx;
+
+    for (let i = 0; i < entries.length; i++) {
+        const isLast = i === entries.length - 1 && !more;
+        const isDir = entries[i][1]._type === 'dir';
+        const entryPath = parentPath ? `${parentPath}/${entries[i][0]}` : entries[i][0];
+        // 合并单子目录链时 name 为 "a/b/c"，path 与 data 取最深的目录
+        const { name, data, path } = isDir
+            ? compactDir(entries[i][0], entries[i][1], entryPath, cfg, ctx.collapsed)
+            : { name: entries[i][0], data: entries[i][1], path: entryPath };
+
+        const linePrefix = prefix + (isLast ? style.lastBranch : style.branch);
+        const isSymlink = data._type === 'symlink';
+        const fileType = data._type === 'file' ? ctx.fileType(name) : null;
+        const icon = ctx.showIcons ? iconOf(cfg.iconSet, data._type, fileType) : '';
+
+        // 对比模式：行首为变化标记，修改显示新旧大小，移动显示原位置
+        const change = ctx.diff ? data._diff : null;
+
+        // 空目录总是带尾部斜杠，否则在文本中与空文件无法区分 (见 parse.js)
+        const slash = isDir && (cfg.trailingSlash || Object.keys(data._children).length === 0) ? '/' : '';
+        let lineContent = isDir
+            ? `${style.dirPrefix}${name}${slash}${style.dirSuffix}`
+            : `${style.filePrefix}${name}${style.fileSuffix}`;
+        if (isSymlink) lineContent += ` -> ${data.target}`;
+        else if (change && change.status === 'modified') lineContent += ` (${formatSize(change.previousSize)} → ${formatSize(data.size)})`;
+        else if (cfg.showSizes) lineContent += ` (${isDir ? dirSummaryText(data._children) : formatSize(data.size)})`;
+        if (change && change.status === 'moved') lineContent += ` (← ${change.from})`;
+        if (fileType) lineContent += annotationText(data, fileType, cfg);
+        else if (isDir) lineContent += dirAnnotationText(data, cfg);
+        else lineContent += symlinkAnnotationText(data);
+
+        const mark = ctx.diff ? `${change ? DIFF_MARKS[change.status] : ' '} ` : '';
+        const text = ctx.lineTemplate
+            ? ctx.lineTemplate(lineVariables({ name, data, path, depth: depth + 1, prefix: linePrefix, icon, fileType, cfg }))
+            : `${linePrefix}${icon}${lineContent}`;
+        const row = { path, name, depth: depth + 1, isDir, text: `${mark}${text}` };
+        if (change) row.status = change.status;
+        if (data.git) row.git = data.git;
+        ctx.rows.push(row);
+        if (ctx.rows.length - ctx.flushed >= RENDER_CHUNK_SIZE) await ctx.flush();
+
+        if (isDir && !ctx.collapsed.has(path)) {
+            const nextPrefix = prefix + (isLast ? style.space : style.vertical);
+            await renderNodes(data._children, path, nextPrefix, depth + 1, depthLimitOf(cfg, path, depth + 1, limit), cfg, ctx);
+        }
+    }
+
+    // 被 maxChildren 省略的条目汇总为最后一行
+    if (more) {
+        const mark = ctx.diff ? '  ' : '';
+        ctx.rows.push({
+            path: parentPath ? `${parentPath}/${MORE_MARK}` : MORE_MARK,
+            name: MORE_MARK,
+            depth: depth + 1,
+            isDir: false,
+            more: true,
+            text: `${mark}${prefix}${style.lastBranch}${moreText(more)}`
+        });
+    }
+};
+
+// 行列表 -> 文本，每行以换行结尾
+export const rowsText = (rows) => rows.map(row => `${row.text}\n`).join('');
+
+/**
+ * 将树模型渲染为行列表 (文本风格)，交互式预览基于它实现折叠与虚拟滚动。
+ * 每行为 { path, name, depth, isDir, text, status?, git?, comment? }，根节点行的 path 为 ''、depth 为 0。
+ * 设置了头部 / 尾部模板时，根节点之前与最后一行之后另有 { extra: 'header' | 'footer', text } 行。
+ * 多根工作区依次输出 (workspaceLayout 'separate') 时，每个根各有一个 depth 为 0、path 为别名的根节点行，
+ * 相邻的树之间以空行 { extra: 'separator' } 分隔。
+ * @param {object} tree buildTree 返回的树模型
+ * @param {object} cfg 配置
+ * @param {string} root 根目录名称
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Iterable<string>} [options.collapsed] 折叠的目录路径，其子项不会输出
+ * @param {object} [options.changes] diffTrees 的统计；传入时按对比结果渲染 (行首 + - ~ > 标记，行上带 status)
+ * @param {object} [options.statistics] buildTree 的统计，用于头部 / 尾部模板 (缺省时按树汇总)
+ * @param {Date} [options.now] 模板中 {date} 的时间，默认为当前时间
+ * @param {(text: string) => void} [options.onChunk] 流式输出：每渲染一批行就回调新增的文本
+ * @param {(progress: { phase: 'render', processed: number, total: number }) => void} [options.onProgress]
+ * @returns {Promise<object[]>}
+ * @throws {Error} 模板无效时抛出 (见 template.js)
+ */
+export const renderRows = async (tree, cfg, root, { signal, collapsed, changes, statistics, now = new Date(), onChunk, onProgress } = {}) => {
+    const config = { ...DEFAULT_CONFIG, ...cfg };
+    const lineTemplate = config.lineTemplate ? compileLineTemplate(config.lineTemplate) : null;
+    const headerTemplate = config.headerTemplate ? compileSummaryTemplate(config.headerTemplate) : null;
+    const footerTemplate = config.footerTemplate ? compileSummaryTemplate(config.footerTemplate) : null;
+    const summaryValues = headerTemplate || footerTemplate ? summaryVariables(tree, root, statistics, now) : null;
+    const style = resolveStyle(config);
+    // 要输出的树：通常只有一棵；多根工作区依次输出时每个根各为一棵，以别名为根节点
+    const trees = config.workspaceLayout === 'separate' && config.workspaceRoots.length > 0
+        ? rootEntries(tree, config.workspaceRoots).map(([name, data]) => ({ name, path: name, nodes: data._children, change: data._diff }))
+        : [{ name: root, path: '', nodes: tree }];
+    trees.forEach(item => { item.limit = depthLimitOf(config, item.path, 0, config.maxDepth); });
+    const total = onProgress ? trees.reduce((sum, item) => sum + countLines(item.nodes, item.path, 0, item.limit, config), 0) : 0;
+    // 注释列的位置要等全部行渲染完才能确定，有注释时不分批输出
+    const hasComments = Object.keys(config.comments).length > 0;
+
+    const rootRow = ({ name, path, nodes, change }) => {
+        const label = style.rootLabel.replace(/\{name\}/g, config.trailingSlash ? `${name}/` : name);
+        const size = config.showSizes ? ` (${dirSummaryText(nodes)})` : '';
+        const mark = changes ? `${change ? DIFF_MARKS[change.status] : ' '} ` : '';
+        const row = { path, name, depth: 0, isDir: true, text: `${mark}${label}${size}` };
+        if (change) row.status = change.status;
+        return row;
+    };
+
+    const headerRows = headerTemplate ? templateRows(headerTemplate, 'header', summaryValues) : [];
+    let structuralRows = headerRows.length; // 头部、根节点与分隔行，不计入进度
+
+    const ctx = {
+        signal,
+        collapsed: new Set(collapsed || []),
+        diff: !!changes,
+        style,
+        showIcons: style.icons || config.showIcons,
+        fileType: createFileTypeResolver(config.iconMap),
+        lineTemplate,
+        rows: [...headerRows],
+        flushed: 0,
+        flush: async () => {
+            if (onChunk && !hasComments) onChunk(rowsText(ctx.rows.slice(ctx.flushed)));
+            ctx.flushed = ctx.rows.length;
+            if (onProgress) onProgress({ phase: 'render', processed: ctx.rows.length - structuralRows, total });
+            await yieldToEventLoop(signal);
+        }
+    };
+
+    for (let i = 0; i < trees.length; i++) {
+        const item = trees[i];
+        if (i > 0) ctx.rows.push({ path: `\0separator:${i}`, name: '', depth: 0, isDir: false, extra: 'separator', text: '' });
+        ctx.rows.push(rootRow(item));
+        structuralRows += i > 0 ? 2 : 1;
+        if (!ctx.collapsed.has(item.path)) await renderNodes(item.nodes, item.path, '', 0, item.limit, config, ctx);
+    }
+    if (footerTemplate) ctx.rows.push(...templateRows(footerTemplate, 'footer', summaryValues));
+    if (hasComments) {
+        alignComments(ctx.rows, config.comments);
+        if (onChunk) onChunk(rowsText(ctx.rows));
+    } else if (onChunk && ctx.flushed < ctx.rows.length) {
+        onChunk(rowsText(ctx.rows.slice(ctx.flushed)));
+    }
+    if (onProgress) onProgress({ phase: 'render', processed: total, total });
+    return ctx.rows;
+};
+
+/**
+ * 过滤掉位于折叠目录之下的行。折叠不影响其余行的连线，因此无需重新渲染。
+ * @param {object[]} rows renderRows 的结果
+ * @param {Set<string>} collapsed
+ * @returns {object[]}
+ */
+export const visibleRows = (rows, collapsed) => {
+    if (!collapsed || collapsed.size === 0) return rows;
+    const result = [];
+    let hiddenUnder = null; // 当前折叠目录的路径前缀
+    for (const row of rows) {
+        if (hiddenUnder !== null && row.path.startsWith(hiddenUnder)) continue;
+        hiddenUnder = null;
+        result.push(row);
+        if (row.isDir && row.path && collapsed.has(row.path)) hiddenUnder = `${row.path}/`;
+    }
+    return result;
+};
+
+/**
+ * 将树模型渲染为字符串。
+ * @param {object} tree buildTree 返回的树模型
+ * @param {object} cfg 配置
+ * @param {string} root 根目录名称
+ * @param {object} [options] 同 renderRows；导出格式另外以 statistics 作为头部统计
+ * @returns {Promise<string>}
+ */
+export const renderTree = async (tree, cfg, root, options = {}) => {
+    const config = { ...DEFAULT_CONFIG, ...cfg };
+
+    const format = EXPORT_FORMATS[config.style];
+    if (format) {
+        const { statistics, collapsed, changes } = options;
+        const exportConfig = format.sizes ? { ...config, showSizes: true } : config;
+        const output = format.render(toJsonExport(tree, exportConfig, root, { statistics, collapsed, changes }), config);
+        if (options.onChunk) options.onChunk(output);
+        return output;
+    }
+
+    return rowsText(await renderRows(tree, config, root, options));
+};
+
+/**
+ * 一步完成构建与渲染。
+ * @param {{ path: string, size: number, lastModified?: number }[]} entries
+ * @param {object} cfg
+ * @param {string} root
+ * @param {object} [options] buildTree 与 renderRows 的选项 (signal, gitignores, git, collapsed, now, onProgress, onChunk)
+ * @returns {Promise<{ tree: object, rows: object[] | null, output: string, statistics: object, hits: object }>}
+ *          rows 为文本风格下的行列表，导出格式 (json、yaml 等) 下为 null
+ */
+export const generateTree = async (entries, cfg, root, options = {}) => {
+    const { tree, statistics, hits } = await buildTree(entries, cfg, options);
+    const { signal, collapsed, now, onChunk, onProgress } = options;
+    const renderOptions = { signal, statistics, collapsed, now, onChunk, onProgress };
+
+    if (EXPORT_FORMATS[cfg.style || DEFAULT_CONFIG.style]) {
+        const output = await renderTree(tree, cfg, root, renderOptions);
+        return { tree, rows: null, output, statistics, hits };
+    }
+    const rows = await renderRows(tree, cfg, root, renderOptions);
+    return { tree, rows, output: rowsText(rows), statistics, hits };
+};
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTree, buildTree, renderTree } from './tree.js';
+
+const file = (path, size = 10) => ({ path, size, lastModified: 0 });
+
+const ENTRIES = [
+    file('src/index.js', 120),
+    file('src/lib/a.js'),
+    file('README.md', 5)
+];
+
+const render = async (entries, cfg) => (await generateTree(entries, cfg, 'proj')).output;
+
+test('各内置风格的输出', async () => {
+    const expected = {
+        classic: 'proj\n├── src\n│   ├── lib\n│   │   └── a.js\n│   └── index.js\n└── README.md\n',
+        ascii: 'proj\n|-- src\n|   |-- lib\n|   |   `-- a.js\n|   `-- index.js\n`-- README.md\n',
+        minimal: 'proj\n+ src\n  + lib\n    + a.js\n  + index.js\n+ README.md\n',
+        indent: 'proj\n  src\n    lib\n      a.js\n    index.js\n  README.md\n',
+        emoji: 'proj\n├── \u{1F4C1} src\n│   ├── \u{1F4C1} lib\n│   │   └── \u{1F7E8} a.js\n│   └── \u{1F7E8} index.js\n└── \u{1F4D6} README.md\n'
+    };
+    for (const [style, output] of Object.entries(expected)) {
+        assert.equal(await render(ENTRIES, { style }), output, style);
+    }
+});
+
+test('maxDepth 限制输出的层数', async () => {
+    assert.equal(await render(ENTRIES, { maxDepth: 1 }), 'proj\n├── src\n└── README.md\n');
+    assert.equal(await render(ENTRIES, { maxDepth: 2 }), 'proj\n├── src\n│   ├── lib\n│   └── index.js\n└── README.md\n');
+});
+
+test('showFiles 关闭时只输出目录', async () => {
+    assert.equal(await render(ENTRIES, { showFiles: false }), 'proj\n└── src\n    └── lib\n');
+});
+
+test('trailingSlash 为目录与根节点追加 /', async () => {
+    assert.equal(
+        await render(ENTRIES, { trailingSlash: true }),
+        'proj/\n├── src/\n│   ├── lib/\n│   │   └── a.js\n│   └── index.js\n└── README.md\n'
+    );
+});
+
+test('排除规则：名称、glob、路径 glob 与正则', async () => {
+    const entries = [
+        file('node_modules/x/index.js'),
+        file('src/app.log'),
+        file('src/app.js'),
+        file('src/__snapshots__/a.snap'),
+        file('test/a.test.js')
+    ];
+    const { tree, hits } = await buildTree(entries, {
+        ignores: ['node_modules', '*.log', 'src/**/__snapshots__', 're:\\.test\\.js$']
+    });
+    assert.deepEqual(Object.keys(tree).sort(), ['src']);
+    assert.deepEqual(Object.keys(tree.src._children), ['app.js']);
+    assert.deepEqual(hits.ignores, {
+        node_modules: 1, '*.log': 1, 'src/**/__snapshots__': 1, 're:\\.test\\.js$': 1
+    });
+});
+
+test('包含规则只保留命中的文件', async () => {
+    const { tree, hits } = await buildTree([file('a.ts'), file('b.js'), file('docs/c.md')], { ignores: [], includes: ['*.ts', '*.md'] });
+    assert.deepEqual(Object.keys(tree).sort(), ['a.ts', 'docs']);
+    assert.deepEqual(hits.includes, { '*.ts': 1, '*.md': 1 });
+});
+
+test('中止时以 Aborted 拒绝', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(generateTree(ENTRIES, {}, 'proj', { signal: controller.signal }), { message: 'Aborted' });
+});
+
+test('renderTree 与 generateTree 的输出一致', async () => {
+    const { tree } = await buildTree(ENTRIES, {});
+    assert.equal(await renderTree(tree, {}, 'proj'), await render(ENTRIES, {}));
+});
+
+test('导出格式同样省略折叠目录的子项', async () => {
+    const { output } = await generateTree(ENTRIES, { style: 'json' }, 'proj', { collapsed: ['src'] });
+    const src = JSON.parse(output).tree.children.find(node => node.name === 'src');
+    assert.equal(src.collapsed, true);
+    assert.deepEqual(src.children, []);
+});
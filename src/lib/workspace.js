@@ -0,0 +1,123 @@
+// --- 多根工作区 ---
+// 把多个文件夹组合为一棵树：每个根以别名作为一级目录，可以单独设置排除规则与深度。
+// 组合后的条目交给 buildTree，配置中的 workspaceRoots 记录各根的别名与顺序 (全局排除规则据此相对各根匹配)：
+//   workspaceLayout 'root'      以工作区名称为合成根节点，各根按工作区中的顺序排列
+//   workspaceLayout 'separate'  各根依次输出为独立的树 (仅文本风格，见 tree.js renderRows)
+// 只有一个根时条目保持原样 (不加别名前缀)，与打开单个文件夹完全一致。
+
+import { summarize } from './aggregate.js';
+import { createPatternMatcher } from './patterns.js';
+
+export const WORKSPACE_LAYOUTS = ['root', 'separate'];
+
+/**
+ * 校验根的别名：别名是组合后路径的第一级，不能为空、不能含 "/"，且在工作区中唯一。
+ * @param {string} alias
+ * @param {string[]} others 其他根的别名
+ * @returns {string | null} 错误信息，有效时为 null
+ */
+export const validateAlias = (alias, others) => {
+    if (!alias.trim()) return '别名不能为空';
+    if (alias !== alias.trim()) return '别名首尾不能有空格';
+    if (/[/\\]/.test(alias) || alias === '.' || alias === '..') return '别名不能包含 / 或 \\，也不能是 . 或 ..';
+    if (others.includes(alias)) return `已有名为 "${alias}" 的根`;
+    return null;
+};
+
+/**
+ * 为新加入的根生成不重复的别名 (api、api-2、api-3 …)。
+ * @param {string} name 文件夹名称
+ * @param {string[]} taken 已有的别名
+ */
+export const uniqueAlias = (name, taken) => {
+    const base = name.replace(/[/\\]/g, '-').trim() || 'root';
+    if (!taken.includes(base)) return base;
+    let n = 2;
+    while (taken.includes(`${base}-${n}`)) n++;
+    return `${base}-${n}`;
+};
+
+/**
+ * 组合工作区的各个根。
+ * @param {{ alias: string, items: { path: string, type?: string }[], ignores?: string[], maxDepth?: number | null }[]} roots
+ *        items 为相对该根的条目 (files.js 的 { file, path } 或 buildTree 的条目)；
+ *        ignores 为只作用于该根的排除规则 (路径相对该根)；maxDepth 为该根之下显示的层数
+ * @returns {{ items: object[], workspaceRoots: string[], pathLimits: object, hidden: { [alias: string]: number } }}
+ *          items 带别名前缀 (只有一个根时不加)；workspaceRoots 为别名列表 (只有一个根时为空)；
+ *          pathLimits 为各根深度对应的路径覆盖，需与配置中的 pathLimits 合并；hidden 为各根被自身规则隐藏的文件数
+ */
+export const combineRoots = (roots) => {
+    const single = roots.length === 1;
+    const items = [];
+    const pathLimits = {};
+    const hidden = {};
+
+    roots.forEach(root => {
+        const base = single ? '' : root.alias;
+        const ignores = root.ignores || [];
+        const matchIgnore = ignores.length > 0 ? createPatternMatcher(ignores) : null;
+        hidden[root.alias] = 0;
+        // 根目录本身也作为条目，使没有文件的根同样显示
+        if (!single) items.push({ path: base, type: 'dir' });
+
+        root.items.forEach(item => {
+            if (matchIgnore && matchIgnore(item.path.split('/'), item.type === 'dir') !== -1) {
+                if (item.type !== 'dir') hidden[root.alias]++;
+                return;
+            }
+            items.push(single ? item : { ...item, path: `${base}/${item.path}` });
+        });
+        if (Number.isInteger(root.maxDepth) && root.maxDepth >= 0) pathLimits[base] = { maxDepth: root.maxDepth };
+    });
+
+    return { items, workspaceRoots: single ? [] : roots.map(root => root.alias), pathLimits, hidden };
+};
+
+/**
+ * 把组合后的路径拆为所属的根与相对该根的路径，用于生成相对该根的排除规则。
+ * @param {string} path 组合后的路径
+ * @param {string[]} workspaceRoots 别名列表 (只有一个根时为空)
+ * @returns {{ alias: string | null, path: string }} 只有一个根时 alias 为 null，path 原样返回；路径就是根本身时 path 为 ''
+ */
+export const splitRootPath = (path, workspaceRoots) => {
+    if (workspaceRoots.length === 0) return { alias: null, path };
+    const slash = path.indexOf('/');
+    return slash === -1 ? { alias: path, path: '' } : { alias: path.slice(0, slash), path: path.slice(slash + 1) };
+};
+
+/**
+ * 合并工作区的路径覆盖与配置中的覆盖：同一路径上两者的字段合并，根的深度优先。
+ * @param {object} configLimits 配置中的 pathLimits
+ * @param {object} rootLimits combineRoots 返回的 pathLimits
+ */
+export const mergePathLimits = (configLimits, rootLimits) => {
+    const result = { ...configLimits };
+    Object.entries(rootLimits).forEach(([path, limit]) => {
+        result[path] = { ...result[path], ...limit };
+    });
+    return result;
+};
+
+/**
+ * 按工作区中的顺序取出顶层的根 (不参与排序)，不存在的根 (如被过滤为空) 跳过。
+ * @param {object} nodes 树模型的顶层
+ * @param {string[]} workspaceRoots
+ * @returns {[string, object][]}
+ */
+export const rootEntries = (nodes, workspaceRoots) => workspaceRoots
+    .filter(alias => Object.prototype.hasOwnProperty.call(nodes, alias))
+    .map(alias => [alias, nodes[alias]]);
+
+/**
+ * 各根的统计，按工作区中的顺序。不存在的根记为 0。
+ * @param {object} tree
+ * @param {string[]} workspaceRoots
+ * @returns {{ name: string, dirs: number, files: number, totalSize: number, lines: number }[]}
+ */
+export const rootStatistics = (tree, workspaceRoots) => workspaceRoots.map(alias => {
+    const data = tree[alias];
+    const { dirCount, fileCount, size, lines } = data && data._type === 'dir'
+        ? summarize(data._children)
+        : { dirCount: 0, fileCount: 0, size: 0, lines: 0 };
+    return { name: alias, dirs: dirCount, files: fileCount, totalSize: size, lines };
+});
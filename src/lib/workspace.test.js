@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTree } from './tree.js';
+import { combineRoots, splitRootPath } from './workspace.js';
+
+const file = (path) => ({ path, size: 1, lastModified: 0 });
+
+const paths = (nodes, prefix = '') => Object.entries(nodes).flatMap(([name, data]) => {
+    const path = prefix ? `${prefix}/${name}` : name;
+    return data._type === 'dir' ? [path, ...paths(data._children, path)] : [path];
+});
+
+const buildWorkspace = async (roots, cfg) => {
+    const { items, workspaceRoots } = combineRoots(roots);
+    return paths((await buildTree(items, { ...cfg, workspaceRoots })).tree);
+};
+
+test('多个根时全局规则相对各根匹配', async () => {
+    const roots = [
+        { alias: 'web', items: [file('dist/app.js'), file('src/dist/keep.js')] },
+        { alias: 'api', items: [file('dist/server.js'), file('index.js')] }
+    ];
+    assert.deepEqual(await buildWorkspace(roots, { ignores: ['/dist/'] }), [
+        'web', 'web/src', 'web/src/dist', 'web/src/dist/keep.js', 'api', 'api/index.js'
+    ]);
+    assert.deepEqual(await buildWorkspace(roots, { ignores: [], includes: ['/index.js'] }), ['web', 'api', 'api/index.js']);
+});
+
+test('别名与全局规则同名的根不会被隐藏', async () => {
+    const roots = [
+        { alias: 'build', items: [file('main.js'), file('build/out.js')] },
+        { alias: 'app', items: [file('build/out.js')] }
+    ];
+    assert.deepEqual(await buildWorkspace(roots, { ignores: ['build'] }), ['build', 'build/main.js', 'app']);
+});
+
+test('各根自己的规则同样相对该根', async () => {
+    const { items, hidden } = combineRoots([
+        { alias: 'a', items: [file('dist/x.js'), file('y.js')], ignores: ['/dist/'] },
+        { alias: 'b', items: [file('dist/x.js')] }
+    ]);
+    assert.deepEqual(items.map(item => item.path), ['a', 'a/y.js', 'b', 'b/dist/x.js']);
+    assert.deepEqual(hidden, { a: 1, b: 0 });
+});
+
+test('组合后的路径拆为所属的根与相对路径', () => {
+    assert.deepEqual(splitRootPath('api/src/index.js', ['web', 'api']), { alias: 'api', path: 'src/index.js' });
+    assert.deepEqual(splitRootPath('api', ['web', 'api']), { alias: 'api', path: '' });
+    assert.deepEqual(splitRootPath('src/index.js', []), { alias: null, path: 'src/index.js' });
+});
@@ -0,0 +1,69 @@
+// --- 最小 zip 写入 ---
+// 只写入目录与空文件 (存储方式，无需压缩与 CRC 计算)，供脚手架导出在浏览器中直接生成 zip。
+// 文件名以 UTF-8 编码 (通用标志位 11)；不支持 zip64，条目数不能超过 65535。
+
+const MAX_ENTRIES = 0xffff;
+const UTF8_FLAG = 0x0800;
+const VERSION = 20; // 2.0：目录条目
+const MADE_BY_UNIX = (3 << 8) | VERSION; // 外部属性按 Unix 权限解释
+const DIR_ATTRS = ((0o40755 << 16) | 0x10) >>> 0;
+const FILE_ATTRS = (0o100644 << 16) >>> 0;
+
+// DOS 格式的日期与时间 (精度 2 秒)
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * 生成 zip 文件。
+ * @param {{ path: string, isDir: boolean }[]} entries 以 / 分隔的相对路径，目录不带结尾的 /
+ * @param {Date} [date] 条目的修改时间
+ * @returns {Uint8Array}
+ * @throws {Error} 条目过多时抛出
+ */
+export const createZip = (entries, date = new Date()) => {
+    if (entries.length > MAX_ENTRIES) throw new Error(`条目过多 (${entries.length})，zip 最多支持 ${MAX_ENTRIES} 个`);
+
+    const encoder = new TextEncoder();
+    const { time, date: day } = dosDateTime(date);
+    const names = entries.map(entry => encoder.encode(entry.isDir ? `${entry.path}/` : entry.path));
+    const localSize = names.reduce((sum, name) => sum + 30 + name.length, 0);
+    const centralSize = names.reduce((sum, name) => sum + 46 + name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+
+    let offset = 0;
+    const u16 = (value) => { view.setUint16(offset, value, true); offset += 2; };
+    const u32 = (value) => { view.setUint32(offset, value, true); offset += 4; };
+    const raw = (data) => { bytes.set(data, offset); offset += data.length; };
+
+    // 本地文件头 (内容为空，CRC 与大小均为 0)
+    const offsets = names.map(name => {
+        const start = offset;
+        u32(0x04034b50);
+        u16(VERSION); u16(UTF8_FLAG); u16(0); u16(time); u16(day);
+        u32(0); u32(0); u32(0);
+        u16(name.length); u16(0);
+        raw(name);
+        return start;
+    });
+
+    // 中央目录
+    names.forEach((name, i) => {
+        u32(0x02014b50);
+        u16(MADE_BY_UNIX); u16(VERSION); u16(UTF8_FLAG); u16(0); u16(time); u16(day);
+        u32(0); u32(0); u32(0);
+        u16(name.length); u16(0); u16(0); u16(0); u16(0);
+        u32(entries[i].isDir ? DIR_ATTRS : FILE_ATTRS);
+        u32(offsets[i]);
+        raw(name);
+    });
+
+    // 中央目录结束记录
+    u32(0x06054b50);
+    u16(0); u16(0); u16(entries.length); u16(entries.length);
+    u32(centralSize); u32(localSize);
+    u16(0);
+    return bytes;
+};
@@ -0,0 +1,42 @@
+// --- 读取本地仓库 (Node) ---
+// CLI 的 Git 模式：读取 <root>/.git/index 与 .git/info/exclude，解析见 ../lib/git.js。
+// .git 为文件时 (工作树、子模块) 按其中的 "gitdir:" 定位仓库目录。
+
+import { readFile, stat } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { parseGitIndex } from '../lib/git.js';
+
+const readOptional = async (path, encoding) => {
+    try {
+        return await readFile(path, encoding);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * @param {string} rootDir 仓库的工作目录
+ * @returns {Promise<{ index: object, exclude: string } | null>} 不是仓库或还没有索引时为 null
+ * @throws {Error} 索引无法解析时抛出
+ */
+export const readGitRepo = async (rootDir) => {
+    let gitDir = join(rootDir, '.git');
+    const info = await stat(gitDir).catch(() => null);
+    if (!info) return null;
+    if (info.isFile()) {
+        const match = /^gitdir:\s*(.+?)\s*$/m.exec(await readFile(gitDir, 'utf8'));
+        if (!match) return null;
+        gitDir = resolve(rootDir, match[1]);
+    }
+
+    const bytes = await readOptional(join(gitDir, 'index'));
+    if (!bytes) return null;
+    let index;
+    try {
+        index = parseGitIndex(bytes);
+    } catch (err) {
+        throw new Error(`无法解析 .git/index: ${err.message}`);
+    }
+    const exclude = await readOptional(join(gitDir, 'info', 'exclude'), 'utf8');
+    return { index, exclude: exclude || '' };
+};
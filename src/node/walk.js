@@ -0,0 +1,62 @@
+// --- 本地目录遍历 (Node) ---
+// 将磁盘上的目录转换为核心库使用的条目列表：文件、目录 (用于显示空目录) 与符号链接。
+
+import { createReadStream } from 'node:fs';
+import { lstat, readdir, readFile, readlink } from 'node:fs/promises';
+import { join } from 'node:path';
+import { LINE_COUNT_LIMIT, readEntryContents } from '../lib/content.js';
+import { createPatternMatcher } from '../lib/patterns.js';
+
+/**
+ * 递归遍历目录。
+ * @param {string} rootDir 绝对或相对路径
+ * @param {object} [options]
+ * @param {string[]} [options.ignores] 被排除的目录不会被遍历 (文件级规则仍由 buildTree 处理)
+ * @param {boolean} [options.readGitignores] 同时读取遇到的 .gitignore 内容
+ * @param {boolean} [options.countLines] 统计文本文件的行数
+ * @param {boolean} [options.hashFiles] 为大小相同的文件计算哈希，用于查找重复文件 (见 content.js)
+ * @param {number} [options.contentLimit] 超过此大小的文件不读取内容 (默认 LINE_COUNT_LIMIT)
+ * @returns {Promise<{ entries: object[], gitignores: { dir: string, content: string }[] }>} entries 的结构见 buildTree
+ */
+export const walkDirectory = async (rootDir, {
+    ignores = [], readGitignores = false, countLines = false, hashFiles = false, contentLimit = LINE_COUNT_LIMIT
+} = {}) => {
+    const matchIgnore = createPatternMatcher(ignores);
+    const entries = [];
+    const gitignores = [];
+
+    const walk = async (relDir) => {
+        const dirents = await readdir(join(rootDir, relDir), { withFileTypes: true });
+        for (const dirent of dirents) {
+            const relPath = relDir ? `${relDir}/${dirent.name}` : dirent.name;
+
+            if (dirent.isDirectory()) {
+                if (matchIgnore(relPath.split('/'), true) !== -1) continue;
+                entries.push({ path: relPath, type: 'dir' });
+                await walk(relPath);
+                continue;
+            }
+            // 符号链接不跟随，避免循环
+            if (dirent.isSymbolicLink()) {
+                entries.push({ path: relPath, type: 'symlink', target: await readlink(join(rootDir, relPath)) });
+                continue;
+            }
+            if (!dirent.isFile()) continue;
+
+            const info = await lstat(join(rootDir, relPath));
+            entries.push({ path: relPath, size: info.size, lastModified: info.mtimeMs });
+            if (readGitignores && dirent.name === '.gitignore') {
+                gitignores.push({ dir: relDir, content: await readFile(join(rootDir, relPath), 'utf8') });
+            }
+        }
+    };
+
+    await walk('');
+    if (countLines || hashFiles) {
+        const matchFile = (entry) => matchIgnore(entry.path.split('/')) !== -1;
+        await readEntryContents(entries, entry => createReadStream(join(rootDir, entry.path)), {
+            lines: countLines, hash: hashFiles, limit: contentLimit, skip: matchFile
+        });
+    }
+    return { entries, gitignores };
+};
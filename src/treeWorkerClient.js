@@ -0,0 +1,87 @@
+// --- Worker 客户端 ---
+// 以 Promise + AbortSignal 的形式调用 tree.worker.js，不支持 Worker 的环境退回主线程执行。
+
+import { readGitRepo, readGitignores, toEntries } from './files.js';
+import { generateTree } from './lib/tree.js';
+
+let worker = null;
+let nextJobId = 1;
+const pendingJobs = new Map(); // id -> { resolve, reject, onChunk, onProgress }
+
+// Worker 加载失败或崩溃时拒绝所有进行中的任务并丢弃它，下一次任务会重新创建
+const failWorker = (message) => {
+    const jobs = [...pendingJobs.values()];
+    pendingJobs.clear();
+    if (worker) worker.terminate();
+    worker = null;
+    jobs.forEach(job => job.reject(new Error(message)));
+};
+
+const getWorker = () => {
+    if (worker) return worker;
+    worker = new Worker(new URL('./workers/tree.worker.js', import.meta.url), { type: 'module' });
+    worker.onerror = (e) => {
+        e.preventDefault();
+        failWorker(`Worker 出错: ${e.message || '无法加载'}`);
+    };
+    worker.onmessageerror = () => failWorker('无法解析 Worker 返回的数据');
+    worker.onmessage = (e) => {
+        const { type, id, ...data } = e.data;
+        const job = pendingJobs.get(id);
+        if (!job) return;
+
+        if (type === 'progress') {
+            if (job.onProgress) job.onProgress(data);
+        } else if (type === 'chunk') {
+            if (job.onChunk) job.onChunk(data.text);
+        } else if (type === 'done') {
+            pendingJobs.delete(id);
+            job.resolve(data);
+        } else if (type === 'error') {
+            pendingJobs.delete(id);
+            job.reject(new Error(data.message));
+        }
+    };
+    return worker;
+};
+
+/**
+ * 在 Worker 中生成目录树。
+ * @param {{ file: File, path: string }[]} files 见 files.js
+ * @param {object} config
+ * @param {string} rootName
+ * @param {{ signal?: AbortSignal, collapsed?: string[], onChunk?: (text: string) => void, onProgress?: (p: { phase: 'read' | 'build' | 'render', processed: number, total: number }) => void }} [options]
+ *        collapsed 为折叠的目录路径，见 tree.js generateTree
+ * @returns {Promise<{ tree: object, rows: object[] | null, output: string, statistics: object, hits: object }>} 中止时以 Error('Aborted') 拒绝
+ */
+export const runTreeJob = (files, config, rootName, { signal, collapsed, onChunk, onProgress } = {}) => {
+    if (typeof Worker === 'undefined') {
+        return (async () => {
+            const gitignores = config.useGitignore || config.gitStatus ? await readGitignores(files) : [];
+            const git = config.gitStatus ? await readGitRepo(files, config.workspaceRoots) : null;
+            const entries = await toEntries(files, config, { signal, onProgress });
+            return generateTree(entries, config, rootName, { signal, gitignores, git, collapsed, onChunk, onProgress });
+        })();
+    }
+
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new Error('Aborted'));
+            return;
+        }
+
+        const id = nextJobId++;
+        const target = getWorker();
+        pendingJobs.set(id, { resolve, reject, onChunk, onProgress });
+        target.postMessage({ type: 'generate', id, files, config, rootName, collapsed });
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                if (!pendingJobs.has(id)) return;
+                pendingJobs.delete(id);
+                target.postMessage({ type: 'cancel', id });
+                reject(new Error('Aborted'));
+            }, { once: true });
+        }
+    });
+};
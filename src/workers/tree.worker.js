@@ -0,0 +1,62 @@
+// --- 目录树生成 Worker ---
+// 在后台线程中完成 条目转换 (及行数统计) -> 构建 -> 渲染，避免大目录阻塞界面。
+//
+// 接收: { type: 'generate', id, files, config, rootName, collapsed? } | { type: 'cancel', id }
+//       files 为 { file, path } 列表 (见 files.js)；collapsed 为折叠的目录路径
+// 发送: { type: 'progress', id, phase, processed, total }
+//       { type: 'chunk', id, text }      渲染中的增量输出
+//       { type: 'done', id, tree, rows, output, statistics, hits }
+//       { type: 'error', id, message }  中止时 message 为 'Aborted'
+
+import { readGitRepo, readGitignores, toEntries } from '../files.js';
+import { generateTree } from '../lib/tree.js';
+
+const CHUNK_INTERVAL = 120; // 增量输出的最小发送间隔 (ms)
+
+const jobs = new Map(); // id -> AbortController
+
+const runJob = async ({ id, files, config, rootName, collapsed }) => {
+    const controller = new AbortController();
+    jobs.set(id, controller);
+    const { signal } = controller;
+
+    let pending = '';
+    let lastSent = 0;
+    const onChunk = (text) => {
+        pending += text;
+        const now = Date.now();
+        if (now - lastSent >= CHUNK_INTERVAL) {
+            self.postMessage({ type: 'chunk', id, text: pending });
+            pending = '';
+            lastSent = now;
+        }
+    };
+    const onProgress = (progress) => self.postMessage({ type: 'progress', id, ...progress });
+
+    try {
+        // Git 模式即使不隐藏被忽略的文件，也需要 .gitignore 判断 ignored 状态
+        const gitignores = config.useGitignore || config.gitStatus ? await readGitignores(files) : [];
+        const git = config.gitStatus ? await readGitRepo(files, config.workspaceRoots) : null;
+        if (signal.aborted) throw new Error('Aborted');
+
+        const entries = await toEntries(files, config, { signal, onProgress });
+        const { tree, rows, output, statistics, hits } = await generateTree(
+            entries, config, rootName, { signal, gitignores, git, collapsed, onChunk, onProgress }
+        );
+        self.postMessage({ type: 'done', id, tree, rows, output, statistics, hits });
+    } catch (err) {
+        self.postMessage({ type: 'error', id, message: err.message });
+    } finally {
+        jobs.delete(id);
+    }
+};
+
+self.onmessage = (e) => {
+    const message = e.data;
+    if (message.type === 'generate') {
+        runJob(message);
+    } else if (message.type === 'cancel') {
+        const controller = jobs.get(message.id);
+        if (controller) controller.abort();
+    }
+};